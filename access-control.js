@@ -0,0 +1,187 @@
+// access-control.js
+import fs from 'fs/promises';
+import { watchFile, unwatchFile } from 'fs';
+import path from 'path';
+import { commandPath, isUnderPrefix } from './path-resolver.js';
+
+export const FORBIDDEN = 'forbidden';
+
+const ROLE_LEVELS = {
+  'read-only': 1,
+  'read-write': 2,
+  'admin': 3
+};
+
+const ACCESS_LEVELS = {
+  read: 1,
+  write: 2,
+  admin: 3
+};
+
+const WILDCARD = '*';
+
+// Which level of access every action needs and which storage paths it touches.
+// Actions missing from this table are only allowed for admins.
+const ACTION_ACCESS = {
+  ping: { access: 'read', paths: () => [] },
+  capabilities: { access: 'read', paths: () => [] },
+  discover: { access: 'read', paths: () => [] },
+  status: { access: 'read', paths: () => [] },
+  list: { access: 'read', paths: (c) => [commandPath(c.path)] },
+  search: { access: 'read', paths: (c) => [commandPath(c.path)] },
+  download: { access: 'read', paths: (c) => [commandPath(c.path, c.fileName)] },
+  'download-cancel': { access: 'read', paths: () => [] },
+  info: { access: 'read', paths: (c) => [commandPath(c.path, c.fileName)] },
+  upload: { access: 'write', paths: (c) => [commandPath(c.path, c.fileName)] },
+  'upload-begin': { access: 'write', paths: (c) => [commandPath(c.path, c.fileName)] },
+  // The remaining session actions only work on sessions the sender began
+  'upload-append': { access: 'write', paths: () => [] },
+  'upload-status': { access: 'write', paths: () => [] },
+  'upload-commit': { access: 'write', paths: () => [] },
+  'upload-abort': { access: 'write', paths: () => [] },
+  delete: { access: 'write', paths: (c) => [commandPath(c.path, c.fileName)] },
+  mkdir: { access: 'write', paths: (c) => [commandPath(c.path, c.dirName)] },
+  rename: { access: 'write', paths: (c) => [commandPath(c.path, c.oldName), commandPath(c.path, c.newName)] },
+  copy: { access: 'write', paths: (c) => [commandPath(c.path, c.fileName), commandPath(c.destinationPath, c.destinationName)] },
+  move: { access: 'write', paths: (c) => [commandPath(c.path, c.fileName), commandPath(c.destinationPath, c.destinationName)] },
+  usage: { access: 'read', paths: (c) => [commandPath(c.path)] },
+  versions: { access: 'read', paths: (c) => [commandPath(c.path, c.fileName)] },
+  'restore-version': { access: 'write', paths: (c) => [commandPath(c.path, c.fileName)] },
+  // Trash items are checked against their original path when listed or restored
+  'trash-list': { access: 'read', paths: () => [] },
+  restore: { access: 'write', paths: () => [] },
+  'trash-empty': { access: 'admin', paths: () => [] },
+  // Renewals and unwatch only work on subscriptions the sender created
+  watch: { access: 'read', paths: (c) => (c.subscriptionId !== undefined ? [] : [commandPath(c.path)]) },
+  unwatch: { access: 'read', paths: () => [] },
+  // Entries are checked against the paths they touched when listed
+  history: { access: 'read', paths: () => [] }
+};
+
+function parseRules(json) {
+  const parsed = JSON.parse(json);
+
+  if (!parsed || typeof parsed.users !== 'object' || parsed.users === null) {
+    throw new Error('ACL file must contain a "users" object');
+  }
+
+  const rules = new Map();
+
+  for (const [address, entry] of Object.entries(parsed.users)) {
+    if (!entry || !ROLE_LEVELS[entry.role]) {
+      throw new Error(`Unknown role for ${address}: ${entry && entry.role}`);
+    }
+    if (entry.paths !== undefined && !Array.isArray(entry.paths)) {
+      throw new Error(`paths for ${address} must be an array`);
+    }
+
+    rules.set(address.toLowerCase(), {
+      role: entry.role,
+      paths: entry.paths ? entry.paths.map((prefix) => commandPath(prefix)) : null
+    });
+  }
+
+  return rules;
+}
+
+class AccessControl {
+  constructor(config) {
+    this.filePath = path.resolve(config.filePath);
+    this.watchInterval = config.watchInterval || 2000;
+    // null means no ACL file is present and every sender is allowed everything
+    this.rules = null;
+    this.watching = false;
+  }
+
+  async load() {
+    let json;
+
+    try {
+      json = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      console.warn(`No ACL file at ${this.filePath} - every sender on the stream has full access`);
+      this.rules = null;
+      return this;
+    }
+
+    this.rules = parseRules(json);
+    console.log(`Loaded ACL with ${this.rules.size} entries from ${this.filePath}`);
+    return this;
+  }
+
+  async reload() {
+    try {
+      const json = await fs.readFile(this.filePath, 'utf8');
+      this.rules = parseRules(json);
+      console.log(`Reloaded ACL with ${this.rules.size} entries`);
+    } catch (error) {
+      // Keep the previous rules rather than falling open on a broken or removed file
+      console.error('Error reloading ACL, keeping previous rules:', error.message);
+    }
+  }
+
+  watch() {
+    if (this.watching) return;
+
+    watchFile(this.filePath, { interval: this.watchInterval }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) {
+        this.reload();
+      }
+    });
+    this.watching = true;
+  }
+
+  close() {
+    if (!this.watching) return;
+
+    unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  get enabled() {
+    return this.rules !== null;
+  }
+
+  // Returns null when the command is allowed, otherwise the reason it is not
+  authorize(senderId, command) {
+    const actionAccess = ACTION_ACCESS[command.action] || { access: 'admin', paths: () => [] };
+    return this.check(senderId, actionAccess.access, command.action, actionAccess.paths(command));
+  }
+
+  // Like authorize, for paths that are only known once a command runs, such as the
+  // original location of an item in the trash
+  authorizePath(senderId, access, target) {
+    return this.check(senderId, access, access, [commandPath(target)]);
+  }
+
+  check(senderId, access, operation, targets) {
+    if (!this.enabled) return null;
+
+    if (!senderId) {
+      return 'Sender could not be identified';
+    }
+
+    const entry = this.rules.get(senderId.toLowerCase()) || this.rules.get(WILDCARD);
+    if (!entry) {
+      return `Sender ${senderId} is not allowed to use this drive`;
+    }
+
+    if (ROLE_LEVELS[entry.role] < ACCESS_LEVELS[access]) {
+      return `Role ${entry.role} is not allowed to ${operation}`;
+    }
+
+    if (entry.paths) {
+      for (const target of targets) {
+        if (!entry.paths.some((prefix) => isUnderPrefix(target, prefix))) {
+          return `Access to "${target}" is not allowed`;
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+export default AccessControl;
@@ -0,0 +1,640 @@
+// archive.js
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+export const ARCHIVE_FORMATS = ['zip', 'tar.gz'];
+export const INVALID_ARCHIVE = 'invalid-archive';
+export const ARCHIVE_TOO_LARGE = 'archive-too-large';
+
+export class ArchiveError extends Error {
+  constructor(message, code = INVALID_ARCHIVE) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.code = code;
+  }
+}
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_DATA_DESCRIPTOR = 0x08074b50;
+const ZIP_FLAG_ENCRYPTED = 0x0001;
+const ZIP_FLAG_DATA_DESCRIPTOR = 0x0008;
+const ZIP_FLAG_UTF8 = 0x0800;
+const ZIP_MAX_32 = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+const TAR_BLOCK_SIZE = 512;
+const TAR_MAX_OCTAL_SIZE = 0o77777777777;
+// pax and GNU long name headers are read into memory, real ones are a few hundred bytes
+const TAR_MAX_EXTENDED_HEADER = 1024 * 1024;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buffer, previous = 0) {
+  let crc = previous ^ -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// Lists a directory tree depth first, parents before their contents. Symlinks are left
+// out so that an archive can never pull in content from outside of the tree.
+async function collectEntries(rootPath, relativeDir = '') {
+  const entries = [];
+  const names = (await fs.readdir(path.join(rootPath, relativeDir))).sort();
+
+  for (const name of names) {
+    const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+    const fullPath = path.join(rootPath, relativePath);
+    const stats = await fs.lstat(fullPath);
+
+    if (stats.isDirectory()) {
+      entries.push({ relativePath, fullPath, stats, isDirectory: true });
+      entries.push(...await collectEntries(rootPath, relativePath));
+    } else if (stats.isFile()) {
+      entries.push({ relativePath, fullPath, stats, isDirectory: false });
+    }
+  }
+
+  return entries;
+}
+
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Writes the tree below rootPath as a zip file, with every entry under rootName/
+async function writeZip(rootPath, outputPath, rootName) {
+  const entries = await collectEntries(rootPath);
+  if (entries.length + 1 > ZIP_MAX_ENTRIES) {
+    throw new ArchiveError('Too many entries for a zip archive, use tar.gz', ARCHIVE_TOO_LARGE);
+  }
+
+  const handle = await fs.open(outputPath, 'w');
+  const central = [];
+  let offset = 0;
+  let bytes = 0;
+
+  const write = async (buffer) => {
+    await handle.write(buffer);
+    offset += buffer.length;
+    if (offset > ZIP_MAX_32) {
+      throw new ArchiveError('Directory is too large for a zip archive, use tar.gz', ARCHIVE_TOO_LARGE);
+    }
+  };
+
+  try {
+    for (const entry of [{ relativePath: '', isDirectory: true, stats: await fs.stat(rootPath) }, ...entries]) {
+      const entryName = entry.relativePath ? `${rootName}/${entry.relativePath}` : rootName;
+      const name = Buffer.from(entry.isDirectory ? `${entryName}/` : entryName);
+      const { time, date } = dosDateTime(entry.stats.mtime);
+      const flags = ZIP_FLAG_UTF8 | (entry.isDirectory ? 0 : ZIP_FLAG_DATA_DESCRIPTOR);
+      const method = entry.isDirectory ? 0 : 8;
+      const localOffset = offset;
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(ZIP_LOCAL_HEADER, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(flags, 6);
+      local.writeUInt16LE(method, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt16LE(name.length, 26);
+      await write(Buffer.concat([local, name]));
+
+      let crc = 0;
+      let compressedSize = 0;
+      let size = 0;
+
+      // Sizes and checksum are only known afterwards, they follow the data in a descriptor
+      if (!entry.isDirectory) {
+        await pipeline(
+          createReadStream(entry.fullPath),
+          async function* (source) {
+            for await (const chunk of source) {
+              crc = crc32(chunk, crc);
+              size += chunk.length;
+              yield chunk;
+            }
+          },
+          zlib.createDeflateRaw(),
+          async (source) => {
+            for await (const chunk of source) {
+              await write(chunk);
+              compressedSize += chunk.length;
+            }
+          }
+        );
+        if (size > ZIP_MAX_32) {
+          throw new ArchiveError('File is too large for a zip archive, use tar.gz', ARCHIVE_TOO_LARGE);
+        }
+        bytes += size;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(ZIP_DATA_DESCRIPTOR, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        await write(descriptor);
+      }
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(ZIP_CENTRAL_HEADER, 0);
+      header.writeUInt16LE((3 << 8) | 20, 4); // made by Unix, so that modes are kept
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(flags, 8);
+      header.writeUInt16LE(method, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(crc, 16);
+      header.writeUInt32LE(compressedSize, 20);
+      header.writeUInt32LE(size, 24);
+      header.writeUInt16LE(name.length, 28);
+      header.writeUInt32LE((((entry.stats.mode & 0xffff) << 16) | (entry.isDirectory ? 0x10 : 0)) >>> 0, 38);
+      header.writeUInt32LE(localOffset, 42);
+      central.push(header, name);
+    }
+
+    const centralDirectory = Buffer.concat(central);
+    const centralOffset = offset;
+    await write(centralDirectory);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(ZIP_END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(centralOffset, 16);
+    await write(end);
+  } finally {
+    await handle.close();
+  }
+
+  return { files: entries.filter((entry) => !entry.isDirectory).length, bytes };
+}
+
+function writeOctal(buffer, value, offset, length) {
+  buffer.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+// A pax record is "<length> <key>=<value>\n", where length counts the whole record
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) length++;
+  return `${length}${body}`;
+}
+
+function tarHeader(name, { size, mode, mtime, type }) {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, mode & 0o7777, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, Math.min(size, TAR_MAX_OCTAL_SIZE), 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+  return header;
+}
+
+function tarPadding(size) {
+  return Buffer.alloc((TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE);
+}
+
+async function* tarStream(rootPath, rootName, totals) {
+  const entries = [{ relativePath: '', isDirectory: true, stats: await fs.stat(rootPath) }, ...await collectEntries(rootPath)];
+
+  for (const entry of entries) {
+    const entryName = entry.relativePath ? `${rootName}/${entry.relativePath}` : rootName;
+    const name = entry.isDirectory ? `${entryName}/` : entryName;
+    const size = entry.isDirectory ? 0 : entry.stats.size;
+
+    // Long names and huge files do not fit the ustar header, a pax header carries them
+    const records = [];
+    if (Buffer.byteLength(name) > 100) records.push(paxRecord('path', name));
+    if (size > TAR_MAX_OCTAL_SIZE) records.push(paxRecord('size', size));
+    if (records.length > 0) {
+      const pax = Buffer.from(records.join(''));
+      yield tarHeader('PaxHeader', { size: pax.length, mode: 0o644, mtime: entry.stats.mtime, type: 'x' });
+      yield pax;
+      yield tarPadding(pax.length);
+    }
+
+    yield tarHeader(name, { size, mode: entry.stats.mode, mtime: entry.stats.mtime, type: entry.isDirectory ? '5' : '0' });
+
+    if (!entry.isDirectory) {
+      // Only as many bytes as announced, even if the file grows meanwhile
+      let written = 0;
+      if (size > 0) {
+        for await (const chunk of createReadStream(entry.fullPath, { end: size - 1 })) {
+          written += chunk.length;
+          yield chunk;
+        }
+      }
+      if (written < size) {
+        throw new Error(`${entry.relativePath} shrank while it was being archived`);
+      }
+      yield tarPadding(size);
+      totals.files++;
+      totals.bytes += size;
+    }
+  }
+
+  yield Buffer.alloc(TAR_BLOCK_SIZE * 2);
+}
+
+async function writeTarGz(rootPath, outputPath, rootName) {
+  const totals = { files: 0, bytes: 0 };
+  await pipeline(Readable.from(tarStream(rootPath, rootName, totals)), zlib.createGzip(), createWriteStream(outputPath));
+  return totals;
+}
+
+// Packs the directory at rootPath into outputPath. Returns the number of files and bytes packed.
+export function createArchive(rootPath, outputPath, format) {
+  const rootName = path.basename(rootPath);
+  return format === 'tar.gz' ? writeTarGz(rootPath, outputPath, rootName) : writeZip(rootPath, outputPath, rootName);
+}
+
+// Turns an entry name into a safe relative path, or throws for names that try to leave
+// the extraction directory (zip-slip). Returns null for entries that are only "./".
+export function safeEntryPath(name) {
+  if (name.includes('\0')) {
+    throw new ArchiveError(`Invalid entry name: ${JSON.stringify(name)}`);
+  }
+
+  const normalized = name.replace(/\\/g, '/');
+  if (path.posix.isAbsolute(normalized) || path.win32.isAbsolute(name)) {
+    throw new ArchiveError(`Entry has an absolute path: ${name}`);
+  }
+
+  const segments = normalized.split('/').filter((segment) => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    throw new ArchiveError(`Entry points outside of the archive: ${name}`);
+  }
+
+  return segments.length > 0 ? segments.join('/') : null;
+}
+
+// Counts what is extracted and stops as soon as a limit is passed. Sizes stated in the
+// archive are not trusted, only the bytes actually written count.
+class ExtractionLimits {
+  constructor({ maxBytes, maxEntries }) {
+    this.maxBytes = maxBytes;
+    this.maxEntries = maxEntries;
+    this.files = 0;
+    this.directories = 0;
+    this.bytes = 0;
+    this.inflated = 0;
+  }
+
+  addEntry(isDirectory) {
+    if (this.files + this.directories + 1 > this.maxEntries) {
+      throw new ArchiveError(`Archive has more than ${this.maxEntries} entries`, ARCHIVE_TOO_LARGE);
+    }
+    isDirectory ? this.directories++ : this.files++;
+  }
+
+  addBytes(count) {
+    this.bytes += count;
+    if (this.bytes > this.maxBytes) this.tooLarge();
+  }
+
+  // Everything decompressed, headers and entries that are not extracted included
+  addInflated(count) {
+    this.inflated += count;
+    if (this.inflated > this.maxBytes) this.tooLarge();
+  }
+
+  tooLarge() {
+    const error = new ArchiveError(`Archive expands to more than ${this.maxBytes} bytes`, ARCHIVE_TOO_LARGE);
+    error.maxBytes = this.maxBytes;
+    throw error;
+  }
+}
+
+async function writeEntry(outputDir, relativePath, source, limits) {
+  const filePath = path.join(outputDir, ...relativePath.split('/'));
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const handle = await fs.open(filePath, 'w');
+  try {
+    for await (const chunk of source) {
+      limits.addBytes(chunk.length);
+      await handle.write(chunk);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+async function extractZip(archivePath, outputDir, limits) {
+  const handle = await fs.open(archivePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    let endOffset = -1;
+    for (let i = tailLength - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        endOffset = i;
+        break;
+      }
+    }
+    if (endOffset === -1) {
+      throw new ArchiveError('Zip end of central directory not found');
+    }
+
+    const entryCount = tail.readUInt16LE(endOffset + 10);
+    const centralSize = tail.readUInt32LE(endOffset + 12);
+    const centralOffset = tail.readUInt32LE(endOffset + 16);
+    if (centralOffset === ZIP_MAX_32 || centralOffset + centralSize > size) {
+      throw new ArchiveError('Zip64 and damaged zip archives are not supported');
+    }
+
+    const central = Buffer.alloc(centralSize);
+    await handle.read(central, 0, centralSize, centralOffset);
+
+    let position = 0;
+    for (let i = 0; i < entryCount; i++) {
+      if (position + 46 > central.length || central.readUInt32LE(position) !== ZIP_CENTRAL_HEADER) {
+        throw new ArchiveError('Damaged zip central directory');
+      }
+
+      const flags = central.readUInt16LE(position + 8);
+      const method = central.readUInt16LE(position + 10);
+      const crc = central.readUInt32LE(position + 16);
+      const compressedSize = central.readUInt32LE(position + 20);
+      const nameLength = central.readUInt16LE(position + 28);
+      const extraLength = central.readUInt16LE(position + 30);
+      const commentLength = central.readUInt16LE(position + 32);
+      const mode = central.readUInt32LE(position + 38) >>> 16;
+      const localOffset = central.readUInt32LE(position + 42);
+      const name = central.toString('utf8', position + 46, position + 46 + nameLength);
+      position += 46 + nameLength + extraLength + commentLength;
+
+      if ((mode & S_IFMT) === S_IFLNK) continue;
+      if (flags & ZIP_FLAG_ENCRYPTED) {
+        throw new ArchiveError(`Encrypted entries are not supported: ${name}`);
+      }
+      if (method !== 0 && method !== 8) {
+        throw new ArchiveError(`Unsupported compression method ${method} for ${name}`);
+      }
+
+      const relativePath = safeEntryPath(name);
+      if (relativePath === null) continue;
+
+      const isDirectory = name.endsWith('/') || name.endsWith('\\');
+      limits.addEntry(isDirectory);
+
+      if (isDirectory) {
+        await fs.mkdir(path.join(outputDir, ...relativePath.split('/')), { recursive: true });
+        continue;
+      }
+
+      const local = Buffer.alloc(30);
+      await handle.read(local, 0, 30, localOffset);
+      if (local.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+        throw new ArchiveError(`Damaged zip entry: ${name}`);
+      }
+      const dataStart = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+      let actualCrc = 0;
+      const raw = compressedSize === 0
+        ? Readable.from([])
+        : createReadStream(archivePath, { start: dataStart, end: dataStart + compressedSize - 1 });
+      const data = method === 8 ? raw.pipe(zlib.createInflateRaw()) : raw;
+      raw.on('error', (error) => data.destroy(error));
+
+      await writeEntry(outputDir, relativePath, (async function* () {
+        try {
+          for await (const chunk of data) {
+            actualCrc = crc32(chunk, actualCrc);
+            yield chunk;
+          }
+        } finally {
+          raw.destroy();
+          data.destroy();
+        }
+      })(), limits);
+
+      if (actualCrc !== crc) {
+        throw new ArchiveError(`Checksum mismatch for ${name}`);
+      }
+    }
+  } catch (error) {
+    if (error instanceof ArchiveError || error.code === 'ENOSPC') throw error;
+    throw new ArchiveError(`Damaged zip archive: ${error.message}`);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Hands out exact amounts of bytes from a stream of chunks, telling onChunk the size of
+// every chunk read from the stream
+class ChunkReader {
+  constructor(source, onChunk = () => {}) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.onChunk = onChunk;
+  }
+
+  async fill() {
+    const { value, done } = await this.iterator.next();
+    if (done) return false;
+    this.onChunk(value.length);
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, value]) : value;
+    return true;
+  }
+
+  // Returns exactly length bytes, or fewer at the end of the stream
+  async read(length) {
+    while (this.buffer.length < length && await this.fill());
+    const result = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(result.length);
+    return result;
+  }
+
+  // Yields the next length bytes chunk by chunk
+  async* take(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      if (this.buffer.length === 0 && !(await this.fill())) {
+        throw new ArchiveError('Unexpected end of tar archive');
+      }
+      const chunk = this.buffer.subarray(0, remaining);
+      this.buffer = this.buffer.subarray(chunk.length);
+      remaining -= chunk.length;
+      yield chunk;
+    }
+  }
+
+  async skip(length) {
+    for await (const chunk of this.take(length)) void chunk;
+  }
+}
+
+function readOctal(header, offset, length) {
+  // Sizes beyond the octal range are stored in base-256 with the high bit set
+  if (header[offset] & 0x80) {
+    let value = header[offset] & 0x7f;
+    for (let i = 1; i < length; i++) value = value * 256 + header[offset + i];
+    return value;
+  }
+  const text = header.toString('ascii', offset, offset + length).replace(/\0.*$/, '').trim();
+  return text === '' ? 0 : parseInt(text, 8);
+}
+
+function readString(header, offset, length) {
+  const end = header.indexOf(0, offset);
+  return header.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function parsePax(buffer) {
+  const values = {};
+  let position = 0;
+
+  while (position < buffer.length) {
+    const space = buffer.indexOf(0x20, position);
+    const length = parseInt(buffer.toString('ascii', position, space), 10);
+    if (space === -1 || !(length > 0)) break;
+
+    const record = buffer.toString('utf8', space + 1, position + length - 1);
+    const separator = record.indexOf('=');
+    values[record.substring(0, separator)] = record.substring(separator + 1);
+    position += length;
+  }
+
+  return values;
+}
+
+async function extractTarGz(archivePath, outputDir, limits) {
+  const raw = createReadStream(archivePath);
+  const gunzip = zlib.createGunzip();
+  raw.on('error', (error) => gunzip.destroy(error));
+  const reader = new ChunkReader(raw.pipe(gunzip), (length) => limits.addInflated(length));
+  let pax = {};
+  let longName = null;
+
+  try {
+    while (true) {
+      const header = await reader.read(TAR_BLOCK_SIZE);
+      if (header.length < TAR_BLOCK_SIZE) {
+        throw new ArchiveError('Unexpected end of tar archive');
+      }
+      if (header.every((byte) => byte === 0)) break;
+
+      let checksum = 0;
+      for (let i = 0; i < TAR_BLOCK_SIZE; i++) checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+      if (checksum !== readOctal(header, 148, 8)) {
+        throw new ArchiveError('Damaged tar header');
+      }
+
+      const type = String.fromCharCode(header[156] || 0x30);
+      const prefix = header.toString('ascii', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+      const headerName = readString(header, 0, 100);
+      const name = pax.path || longName || (prefix ? `${prefix}/${headerName}` : headerName);
+      const size = pax.size !== undefined ? Number(pax.size) : readOctal(header, 124, 12);
+      const padding = (TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+
+      if (type === 'x' || type === 'L') {
+        // Extended headers apply to the entry that follows
+        if (size > TAR_MAX_EXTENDED_HEADER) {
+          throw new ArchiveError(`Extended tar header of ${size} bytes is too large`);
+        }
+        const chunks = [];
+        for await (const chunk of reader.take(size)) chunks.push(chunk);
+        const data = Buffer.concat(chunks);
+        if (type === 'x') pax = parsePax(data);
+        else longName = data.toString('utf8').replace(/\0+$/, '');
+        await reader.skip(padding);
+        continue;
+      }
+
+      pax = {};
+      longName = null;
+      const relativePath = safeEntryPath(name);
+
+      if ((type === '0' || type === '7') && relativePath !== null) {
+        limits.addEntry(false);
+        await writeEntry(outputDir, relativePath, reader.take(size), limits);
+      } else if (type === '5' && relativePath !== null) {
+        limits.addEntry(true);
+        await fs.mkdir(path.join(outputDir, ...relativePath.split('/')), { recursive: true });
+      } else {
+        // Links, devices and global headers are not extracted
+        await reader.skip(size);
+      }
+      await reader.skip(padding);
+    }
+  } catch (error) {
+    if (error instanceof ArchiveError || error.code === 'ENOSPC') throw error;
+    throw new ArchiveError(`Damaged tar.gz archive: ${error.message}`);
+  } finally {
+    raw.destroy();
+    gunzip.destroy();
+  }
+}
+
+// Tells the format of an archive from its first bytes
+export async function detectArchiveFormat(archivePath) {
+  const handle = await fs.open(archivePath, 'r');
+
+  try {
+    const magic = Buffer.alloc(4);
+    await handle.read(magic, 0, 4, 0);
+    if (magic.readUInt32LE(0) === ZIP_LOCAL_HEADER || magic.readUInt32LE(0) === ZIP_END_OF_CENTRAL_DIRECTORY) return 'zip';
+    if (magic[0] === 0x1f && magic[1] === 0x8b) return 'tar.gz';
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Unpacks a zip or tar.gz archive into outputDir, which should be new and empty.
+// Throws an ArchiveError for unsafe or damaged archives and when a limit is passed.
+export async function extractArchive(archivePath, outputDir, { maxBytes = Infinity, maxEntries = Infinity } = {}) {
+  const format = await detectArchiveFormat(archivePath);
+  if (!format) {
+    throw new ArchiveError('Unsupported archive format, expected zip or tar.gz');
+  }
+
+  const limits = new ExtractionLimits({ maxBytes, maxEntries });
+  await fs.mkdir(outputDir, { recursive: true });
+
+  if (format === 'zip') {
+    await extractZip(archivePath, outputDir, limits);
+  } else {
+    await extractTarGz(archivePath, outputDir, limits);
+  }
+
+  return { format, files: limits.files, directories: limits.directories, bytes: limits.bytes };
+}
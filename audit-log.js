@@ -0,0 +1,151 @@
+// audit-log.js
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { isUnderPrefix } from './path-resolver.js';
+
+// Records what happened to the drive as one JSON object per line. Once the file would grow
+// past maxSize it is rotated: audit.log becomes audit.log.1, audit.log.1 becomes
+// audit.log.2 and so on, and the oldest file beyond maxFiles is dropped.
+class AuditLog {
+  constructor(config) {
+    this.filePath = config.filePath;
+    this.maxSize = config.maxSize;
+    this.maxFiles = config.maxFiles;
+    this.size = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Appends an entry. Writes are queued, so entries keep their order and queries see
+  // every entry appended before them. A failed write is logged and does not fail anything.
+  append(entry) {
+    return this.serialize(async () => {
+      try {
+        let line = `${JSON.stringify(entry)}\n`;
+
+        if (this.size === null) {
+          await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+          this.size = await this.currentSize();
+          // A line cut short by a crash must not swallow the first new entry
+          if (this.size > 0 && !(await this.endsWithNewline())) line = `\n${line}`;
+        }
+        if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxSize) await this.rotate();
+
+        await fs.appendFile(this.filePath, line);
+        this.size += Buffer.byteLength(line);
+      } catch (error) {
+        console.error('Error writing audit log:', error);
+      }
+    });
+  }
+
+  // Returns the entries matching the filter, newest first, and whether older ones were
+  // left out because of limit. filter.path matches entries on that path, below it and on
+  // the directories above it, as deleting or moving a directory affects what it contains.
+  // since and until are epoch milliseconds, include is a last check per entry.
+  query(filter = {}) {
+    const limit = filter.limit || Infinity;
+    const matches = (entry) => {
+      const time = Date.parse(entry.time);
+      if (filter.action !== undefined && entry.action !== filter.action) return false;
+      if (filter.senderId !== undefined && (entry.senderId || '').toLowerCase() !== filter.senderId.toLowerCase()) return false;
+      if (filter.since !== undefined && time < filter.since) return false;
+      if (filter.until !== undefined && time > filter.until) return false;
+      if (filter.path !== undefined && !entry.paths.some((entryPath) =>
+        isUnderPrefix(entryPath, filter.path) || isUnderPrefix(filter.path, entryPath))) return false;
+      return !filter.include || filter.include(entry);
+    };
+
+    return this.serialize(async () => {
+      const found = [];
+
+      // Newest file first, older files are only read while more entries are wanted
+      for (let index = 0; index <= this.maxFiles && found.length <= limit; index++) {
+        found.push(...(await this.readFile(this.rotatedPath(index), matches)).reverse());
+      }
+
+      return { entries: found.slice(0, limit), truncated: found.length > limit };
+    });
+  }
+
+  // Resolves once every entry appended so far is on disk
+  flush() {
+    return this.serialize(() => {});
+  }
+
+  rotatedPath(index) {
+    return index === 0 ? this.filePath : `${this.filePath}.${index}`;
+  }
+
+  async readFile(filePath, matches) {
+    const entries = [];
+    let lines;
+
+    try {
+      await fs.access(filePath);
+      lines = readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    } catch (error) {
+      if (error.code === 'ENOENT') return entries;
+      throw error;
+    }
+
+    for await (const line of lines) {
+      if (line === '') continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A line cut short by a crash, the entries around it are still good
+        continue;
+      }
+      if (matches(entry)) entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  async currentSize() {
+    try {
+      return (await fs.stat(this.filePath)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  async endsWithNewline() {
+    const handle = await fs.open(this.filePath, 'r');
+
+    try {
+      const buffer = Buffer.alloc(1);
+      await handle.read(buffer, 0, 1, this.size - 1);
+      return buffer[0] === 0x0a;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async rotate() {
+    await fs.rm(this.rotatedPath(this.maxFiles), { force: true });
+
+    for (let index = this.maxFiles - 1; index >= 0; index--) {
+      try {
+        await fs.rename(this.rotatedPath(index), this.rotatedPath(index + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    this.size = 0;
+  }
+
+  serialize(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+export default AuditLog;
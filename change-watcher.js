@@ -0,0 +1,257 @@
+// change-watcher.js
+import { watch } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { isUnderPrefix } from './path-resolver.js';
+
+// Local events on a path this soon after a command changed it are echoes of that command
+const ECHO_WINDOW = 2000;
+
+function parentPath(relativePath) {
+  const parent = path.posix.dirname(relativePath);
+  return parent === '.' ? '' : parent;
+}
+
+// Folds a new change of a path into the one still waiting to be sent, null if they cancel out
+function mergeChanges(previous, next) {
+  if (!previous) return next;
+  // The drive knows what a command did, the local event may have been its echo
+  if (previous.source === 'local' && next.source === 'command') return next;
+
+  if (previous.type === 'created' && next.type === 'deleted') return null;
+  if (previous.type === 'created' && next.type === 'modified') return { ...previous, time: next.time };
+  if (previous.type === 'deleted' && next.type === 'created') return { ...next, type: 'modified' };
+  return next;
+}
+
+// Keeps watch subscriptions and collects the changes below their directories. Changes made
+// through commands are reported by the drive with notify(), changes made on the device
+// itself are picked up with fs.watch. Changes are debounced per subscription and handed to
+// onChanges in one go; subscriptions that are not renewed expire after their ttl.
+// Subscriptions of the same directory share one fs.watch watcher.
+class ChangeWatcher {
+  constructor(config) {
+    this.debounce = config.debounce;
+    this.maxDelay = config.maxDelay;
+    this.ignore = config.ignore || (() => false);
+    this.onChanges = config.onChanges;
+    this.onExpired = config.onExpired;
+    this.subscriptions = new Map();
+    this.recentChanges = new Map();
+    // `${recursive}:${dirPath}` to { watcher, subscriptions } of the directories watched
+    this.watchers = new Map();
+  }
+
+  get size() {
+    return this.subscriptions.size;
+  }
+
+  // dirPath is the watched directory on disk, relativePath the storage-relative form of it.
+  // replyTo is kept for the owner, who sends events the way the watch command asked for.
+  subscribe({ senderId, dirPath, relativePath, recursive, ttl, replyTo }) {
+    const subscription = {
+      id: randomUUID(),
+      senderId,
+      replyTo,
+      path: relativePath,
+      recursive,
+      expiresAt: null,
+      pending: new Map(),
+      firstPendingAt: null,
+      flushTimer: null,
+      expiryTimer: null,
+      watcher: null
+    };
+
+    this.attachWatcher(subscription, dirPath);
+    this.subscriptions.set(subscription.id, subscription);
+    this.renew(subscription, ttl);
+
+    return subscription;
+  }
+
+  // Subscriptions are only visible to the sender that created them
+  get(id, senderId) {
+    const subscription = this.subscriptions.get(id);
+    return subscription && subscription.senderId === senderId ? subscription : null;
+  }
+
+  renew(subscription, ttl) {
+    clearTimeout(subscription.expiryTimer);
+    subscription.expiresAt = Date.now() + ttl;
+    subscription.expiryTimer = setTimeout(() => {
+      this.unsubscribe(subscription);
+      this.onExpired(subscription);
+    }, ttl);
+  }
+
+  // Ends a subscription. Changes that were still waiting for the debounce are dropped.
+  unsubscribe(subscription) {
+    clearTimeout(subscription.expiryTimer);
+    clearTimeout(subscription.flushTimer);
+    this.detachWatcher(subscription);
+    this.subscriptions.delete(subscription.id);
+  }
+
+  close() {
+    for (const subscription of this.subscriptions.values()) {
+      this.unsubscribe(subscription);
+    }
+  }
+
+  // Reports a change made through a command: { type, path, from, isDirectory }, with from
+  // set for renames. The event goes to every subscription watching either path.
+  notify(change) {
+    const now = Date.now();
+
+    for (const [changedPath, time] of this.recentChanges) {
+      if (now - time > ECHO_WINDOW) this.recentChanges.delete(changedPath);
+    }
+    this.recentChanges.set(change.path, now);
+    if (change.from) this.recentChanges.set(change.from, now);
+
+    for (const subscription of this.subscriptions.values()) {
+      if (this.covers(subscription, change.path) || (change.from && this.covers(subscription, change.from))) {
+        this.queue(subscription, { ...change, source: 'command' });
+      }
+    }
+  }
+
+  covers(subscription, relativePath) {
+    if (relativePath === subscription.path) return true;
+    return subscription.recursive
+      ? isUnderPrefix(relativePath, subscription.path)
+      : parentPath(relativePath) === subscription.path;
+  }
+
+  // True if a command changed the path or one of its parents just now
+  isEcho(relativePath) {
+    const now = Date.now();
+
+    for (let current = relativePath; ; current = parentPath(current)) {
+      const time = this.recentChanges.get(current);
+      if (time !== undefined && now - time <= ECHO_WINDOW) return true;
+      if (current === '') return false;
+    }
+  }
+
+  // Adds the subscription to the watcher of its directory, which is started for the first one
+  attachWatcher(subscription, dirPath) {
+    const key = `${subscription.recursive}:${dirPath}`;
+    const shared = this.watchers.get(key) || this.watchDirectory(key, dirPath, subscription);
+    if (!shared) return;
+
+    shared.subscriptions.add(subscription);
+    subscription.watcher = shared;
+  }
+
+  // The watcher is closed along with the last subscription of its directory
+  detachWatcher(subscription) {
+    const shared = subscription.watcher;
+    if (!shared) return;
+
+    shared.subscriptions.delete(subscription);
+    subscription.watcher = null;
+    if (shared.subscriptions.size === 0) {
+      shared.watcher.close();
+      this.watchers.delete(shared.key);
+    }
+  }
+
+  watchDirectory(key, dirPath, { path: relativePath, recursive }) {
+    try {
+      const shared = { key, watcher: null, subscriptions: new Set() };
+
+      shared.watcher = watch(dirPath, { recursive }, (eventType, fileName) => {
+        if (!fileName) return;
+
+        for (const subscription of shared.subscriptions) {
+          this.handleLocalEvent(subscription, dirPath, eventType, fileName).catch((error) => {
+            console.error('Error handling local change:', error);
+          });
+        }
+      });
+
+      // The directory itself went away; commands are still reported until the subscriptions end
+      shared.watcher.on('error', (error) => {
+        console.warn(`Stopped watching "${relativePath}" for local changes: ${error.message}`);
+        shared.watcher.close();
+        this.watchers.delete(key);
+        for (const subscription of shared.subscriptions) subscription.watcher = null;
+      });
+
+      this.watchers.set(key, shared);
+      return shared;
+    } catch (error) {
+      console.warn(`Cannot watch "${relativePath}" for local changes: ${error.message}`);
+      return null;
+    }
+  }
+
+  // fs.watch only says that something happened to a name, so look at what is there now
+  async handleLocalEvent(subscription, dirPath, eventType, fileName) {
+    const relativePath = path.posix.join(subscription.path, fileName.split(path.sep).join('/'));
+    if (this.ignore(relativePath) || this.isEcho(relativePath)) return;
+
+    let stats = null;
+    try {
+      stats = await fs.lstat(path.join(dirPath, fileName));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Checked again, the command may have reported the change while we were looking
+    if (!this.subscriptions.has(subscription.id) || this.isEcho(relativePath)) return;
+
+    let type;
+    if (!stats) {
+      type = 'deleted';
+    } else if (eventType === 'rename') {
+      type = 'created';
+    } else if (stats.isDirectory()) {
+      // Directories "change" whenever their entries do, which is reported for the entries
+      return;
+    } else {
+      type = 'modified';
+    }
+
+    this.queue(subscription, {
+      type,
+      path: relativePath,
+      isDirectory: stats ? stats.isDirectory() : undefined,
+      source: 'local'
+    });
+  }
+
+  // Holds the change back until no other change came in for the debounce time, but never
+  // longer than maxDelay after the first of the changes waiting
+  queue(subscription, change) {
+    const now = Date.now();
+    const merged = mergeChanges(subscription.pending.get(change.path), { ...change, time: new Date(now) });
+
+    if (merged) {
+      subscription.pending.set(change.path, merged);
+    } else {
+      subscription.pending.delete(change.path);
+    }
+
+    if (subscription.firstPendingAt === null) subscription.firstPendingAt = now;
+
+    clearTimeout(subscription.flushTimer);
+    const wait = Math.min(this.debounce, Math.max(subscription.firstPendingAt + this.maxDelay - now, 0));
+    subscription.flushTimer = setTimeout(() => this.flush(subscription), wait);
+  }
+
+  flush(subscription) {
+    const changes = [...subscription.pending.values()];
+
+    subscription.pending.clear();
+    subscription.firstPendingAt = null;
+    subscription.flushTimer = null;
+
+    if (changes.length > 0) this.onChanges(subscription, changes);
+  }
+}
+
+export default ChangeWatcher;
@@ -0,0 +1,77 @@
+// command-scheduler.js
+import { isUnderPrefix } from './path-resolver.js';
+
+export const BUSY = 'busy';
+
+// Two locks conflict if one path covers the other and at least one of them writes
+function conflicts(a, b) {
+  return (a.mode === 'write' || b.mode === 'write') &&
+    (isUnderPrefix(a.path, b.path) || isUnderPrefix(b.path, a.path));
+}
+
+const anyConflict = (locks, others) => locks.some((lock) => others.some((other) => conflicts(lock, other)));
+
+// Runs commands with read/write locks on storage-relative paths. A lock on a directory
+// covers everything below it, so a write to "docs" waits for a read of "docs/a.txt" and
+// the other way round. Commands whose locks do not conflict run in parallel, up to
+// concurrency at a time; the others wait in arrival order, and a waiting command also
+// holds back later ones it conflicts with, so writers are not starved by a stream of
+// readers. No more than maxQueued commands wait at once.
+class CommandScheduler {
+  constructor(config) {
+    this.concurrency = config.concurrency;
+    this.maxQueued = config.maxQueued;
+    this.running = new Set();
+    this.waiting = [];
+  }
+
+  get size() {
+    return this.waiting.length;
+  }
+
+  isFull() {
+    return this.waiting.length >= this.maxQueued;
+  }
+
+  // locks is a list of { path, mode }, mode being read or write. Resolves with what task
+  // resolves with once it has run.
+  run(locks, task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ locks, task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    const held = [...this.running].flatMap((entry) => entry.locks);
+    const blocked = [];
+
+    for (let i = 0; i < this.waiting.length && this.running.size < this.concurrency; ) {
+      const entry = this.waiting[i];
+
+      if (anyConflict(entry.locks, held) || anyConflict(entry.locks, blocked)) {
+        blocked.push(...entry.locks);
+        i++;
+        continue;
+      }
+
+      this.waiting.splice(i, 1);
+      this.running.add(entry);
+      held.push(...entry.locks);
+      this.start(entry);
+    }
+  }
+
+  async start(entry) {
+    try {
+      entry.resolve(await entry.task());
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      this.running.delete(entry);
+      this.dispatch();
+    }
+  }
+}
+
+export default CommandScheduler;
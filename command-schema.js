@@ -0,0 +1,224 @@
+// command-schema.js
+import { isSha256 } from './file-hash.js';
+import { SORT_FIELDS, decodeCursor, isValidGlob } from './file-listing.js';
+import { CONFLICT_POLICIES } from './file-operations.js';
+import { ARCHIVE_FORMATS } from './archive.js';
+
+// Bumped whenever commands or responses change in a way older peers would misread
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_VERSIONS = [1];
+
+export const MISSING_FIELD = 'missing-field';
+export const INVALID_FIELD = 'invalid-field';
+export const INVALID_COMMAND = 'invalid-command';
+export const UNKNOWN_ACTION = 'unknown-action';
+export const UNSUPPORTED_VERSION = 'unsupported-version';
+export const INTERNAL_ERROR = 'internal-error';
+
+const string = { type: 'string' };
+const requiredString = { type: 'string', required: true };
+const boolean = { type: 'boolean' };
+const byteCount = { type: 'integer', min: 0 };
+const positiveInteger = { type: 'integer', min: 1 };
+const onConflict = { type: 'string', values: CONFLICT_POLICIES };
+
+const LIST_OPTIONS = {
+  path: string,
+  withHash: boolean,
+  maxDepth: positiveInteger,
+  include: { type: 'patterns' },
+  exclude: { type: 'patterns' },
+  sortBy: { type: 'string', values: SORT_FIELDS },
+  order: { type: 'string', values: ['asc', 'desc'] },
+  limit: positiveInteger,
+  cursor: { type: 'cursor' }
+};
+
+// The fields of every action. Fields not listed here are ignored, like target, which any
+// command may carry to address one of several drives on a stream, and acceptEncoding, the
+// list of encodings the sender takes for the responses. Kept as plain data, so that the
+// capabilities action can hand the schemas to clients as they are.
+//
+// type is one of string, integer, boolean, sha256 (hex digest), precondition (SHA-256 or
+// modification time, see ifMatch), time (ISO date or epoch ms), patterns (a glob or a
+// list of globs) and cursor (a nextCursor from a listing). values limits a string to a set, min an integer. A required string must
+// not be empty unless allowEmpty is set.
+export const COMMAND_SCHEMAS = {
+  ping: {},
+  discover: {},
+  capabilities: {},
+  status: {},
+  list: { ...LIST_OPTIONS, recursive: boolean },
+  search: {
+    ...LIST_OPTIONS,
+    pattern: { type: 'patterns' },
+    type: { type: 'string', values: ['file', 'directory'] },
+    minSize: byteCount,
+    maxSize: byteCount,
+    modifiedAfter: { type: 'time' },
+    modifiedBefore: { type: 'time' }
+  },
+  upload: {
+    path: string,
+    fileName: requiredString,
+    data: requiredString,
+    expectedHash: { type: 'sha256' },
+    ifMatch: { type: 'precondition' },
+    extract: boolean,
+    onConflict
+  },
+  'upload-begin': {
+    path: string,
+    fileName: requiredString,
+    size: { ...byteCount, required: true },
+    hash: { type: 'sha256' },
+    ifMatch: { type: 'precondition' },
+    extract: boolean,
+    onConflict
+  },
+  'upload-append': {
+    sessionId: requiredString,
+    offset: { ...byteCount, required: true },
+    data: { type: 'string', required: true, allowEmpty: true }
+  },
+  'upload-status': { sessionId: requiredString },
+  'upload-commit': { sessionId: requiredString },
+  'upload-abort': { sessionId: requiredString },
+  download: {
+    path: string,
+    fileName: requiredString,
+    version: string,
+    offset: byteCount,
+    length: byteCount,
+    stream: boolean,
+    sliceSize: positiveInteger,
+    format: { type: 'string', values: ARCHIVE_FORMATS }
+  },
+  'download-cancel': { transferId: requiredString },
+  delete: { path: string, fileName: requiredString, permanent: boolean },
+  mkdir: { path: string, dirName: requiredString },
+  info: { path: string, fileName: requiredString },
+  rename: { path: string, oldName: requiredString, newName: requiredString },
+  copy: {
+    path: string,
+    fileName: requiredString,
+    destinationPath: { type: 'string', required: true, allowEmpty: true },
+    destinationName: string,
+    onConflict
+  },
+  move: {
+    path: string,
+    fileName: requiredString,
+    destinationPath: { type: 'string', required: true, allowEmpty: true },
+    destinationName: string,
+    onConflict
+  },
+  versions: { path: string, fileName: requiredString },
+  'restore-version': {
+    path: string,
+    fileName: requiredString,
+    version: requiredString,
+    ifMatch: { type: 'precondition' }
+  },
+  usage: { path: string },
+  'trash-list': {},
+  restore: { id: requiredString, onConflict },
+  'trash-empty': { id: string },
+  watch: { path: string, recursive: boolean, ttl: positiveInteger, subscriptionId: string },
+  unwatch: { subscriptionId: requiredString },
+  // operation and sender filter by the action and address recorded in the audit log
+  history: {
+    path: string,
+    operation: string,
+    sender: string,
+    since: { type: 'time' },
+    until: { type: 'time' },
+    limit: positiveInteger
+  }
+};
+
+const isPatterns = (value) => {
+  const patterns = Array.isArray(value) ? value : [value];
+  return patterns.length > 0 &&
+    patterns.every((pattern) => typeof pattern === 'string' && pattern !== '' && isValidGlob(pattern));
+};
+
+// The message for a value that does not fit its field, null if it does
+function checkField(name, field, value) {
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      if (field.values && !field.values.includes(value)) return `${name} must be one of ${field.values.join(', ')}`;
+      return null;
+    case 'integer':
+      if (!Number.isSafeInteger(value) || value < field.min) {
+        return `${name} must be a ${field.min > 0 ? 'positive' : 'non-negative'} integer`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    case 'sha256':
+      return isSha256(value) ? null : `${name} must be a hex encoded SHA-256 digest`;
+    case 'precondition':
+      return isSha256(value) ||
+        (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+        ? null
+        : `${name} must be a SHA-256 hash or a modification time`;
+    case 'time':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+        ? null
+        : `${name} must be an ISO date or epoch milliseconds`;
+    case 'patterns':
+      return isPatterns(value) ? null : `${name} must be a pattern or a list of patterns`;
+    case 'cursor':
+      return typeof value === 'string' && decodeCursor(value) !== null
+        ? null
+        : `${name} must be the nextCursor of a listing`;
+    default:
+      throw new Error(`Unknown field type ${field.type}`);
+  }
+}
+
+// Checks a parsed command against the schema of its action. Returns null for a valid
+// command, otherwise the error body { code, field, message } of the first problem found.
+export function validateCommand(command) {
+  if (command.action === undefined) {
+    return { code: MISSING_FIELD, field: 'action', message: 'Missing action' };
+  }
+
+  const schema = typeof command.action === 'string' && Object.hasOwn(COMMAND_SCHEMAS, command.action)
+    ? COMMAND_SCHEMAS[command.action]
+    : null;
+  if (!schema) {
+    return { code: UNKNOWN_ACTION, field: 'action', message: `Unknown action ${command.action}` };
+  }
+
+  for (const [name, field] of Object.entries(schema)) {
+    const value = command[name];
+
+    if (value === undefined || (value === '' && field.required && !field.allowEmpty)) {
+      if (field.required) return { code: MISSING_FIELD, field: name, message: `Missing ${name}` };
+      continue;
+    }
+
+    const message = checkField(name, field, value);
+    if (message) return { code: INVALID_FIELD, field: name, message };
+  }
+
+  return null;
+}
+
+// Returns the error body for a command asking for a protocol version we do not speak
+export function checkProtocolVersion(command) {
+  const version = command.protocolVersion === undefined ? PROTOCOL_VERSION : command.protocolVersion;
+  if (SUPPORTED_VERSIONS.includes(version)) return null;
+
+  return {
+    code: UNSUPPORTED_VERSION,
+    field: 'protocolVersion',
+    message: `Protocol version ${version} is not supported, use one of ${SUPPORTED_VERSIONS.join(', ')}`,
+    supportedVersions: SUPPORTED_VERSIONS
+  };
+}
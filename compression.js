@@ -0,0 +1,86 @@
+// compression.js
+import path from 'path';
+import zlib from 'zlib';
+
+export const IDENTITY = 'identity';
+// Encodings both ends understand, in order of preference
+export const ENCODINGS = ['br', 'gzip'];
+
+const DEFAULT_THRESHOLD = 1024;
+const DEFAULT_MAX_DECODED_SIZE = 64 * 1024 * 1024;
+// Quality 11, the default, is far too slow for a Pi; 5 compresses about as well as gzip -9
+const BROTLI_QUALITY = 5;
+
+// File types that are compressed already and gain nothing from another pass
+const COMPRESSED_EXTENSIONS = new Set([
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.avif',
+  '.mp3', '.aac', '.m4a', '.ogg', '.opus', '.flac',
+  '.mp4', '.m4v', '.mov', '.mkv', '.webm', '.avi',
+  '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.zst', '.br',
+  '.pdf', '.docx', '.xlsx', '.pptx', '.odt', '.epub', '.jar', '.apk'
+]);
+
+export function isCompressedMedia(fileName) {
+  return typeof fileName === 'string' && COMPRESSED_EXTENSIONS.has(path.extname(fileName).toLowerCase());
+}
+
+// The first accepted encoding that is also offered, identity if there is none
+export function negotiateEncoding(accepted, offered = ENCODINGS) {
+  if (!Array.isArray(accepted)) return IDENTITY;
+  return accepted.find((encoding) => offered.includes(encoding)) || IDENTITY;
+}
+
+function compress(data, encoding) {
+  if (encoding === 'gzip') return zlib.gzipSync(data);
+  if (encoding === 'br') {
+    return zlib.brotliCompressSync(data, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+      }
+    });
+  }
+  throw new Error(`Unsupported encoding ${encoding}`);
+}
+
+function decompress(data, encoding, maxOutputLength) {
+  if (encoding === 'gzip') return zlib.gunzipSync(data, { maxOutputLength });
+  if (encoding === 'br') return zlib.brotliDecompressSync(data, { maxOutputLength });
+  throw new Error(`Unsupported encoding ${encoding}`);
+}
+
+// Text bodies are strings, file bodies base64 encoded bytes
+const contentOf = (message) => Buffer.from(message.body, message.type === 'file' ? 'base64' : 'utf8');
+
+// Compresses the body of a text or file message into base64 and notes the decodedSize of
+// its content and the encodedSize of the body as sent. Bodies below options.threshold
+// bytes, already compressed files and bodies that would not get any smaller go out as
+// they are, with encoding identity. Compression is synchronous so that messages leave in
+// the order they were handed over.
+export function encodeMessage(message, encoding, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+  const content = contentOf(message);
+  const { body: plainBody, ...envelope } = message;
+  let body = plainBody;
+  let used = IDENTITY;
+
+  if (encoding !== IDENTITY && content.length >= threshold && !(message.type === 'file' && isCompressedMedia(message.fileName))) {
+    const compressed = compress(content, encoding).toString('base64');
+    if (compressed.length < Buffer.byteLength(plainBody)) {
+      body = compressed;
+      used = encoding;
+    }
+  }
+
+  return { ...envelope, encoding: used, decodedSize: content.length, encodedSize: Buffer.byteLength(body), body };
+}
+
+// Restores the body of a message from encodeMessage. Bodies that would decompress to more
+// than options.maxSize bytes are refused, so that a small message cannot exhaust memory.
+export function decodeMessage(message, options = {}) {
+  if (message.encoding === undefined || message.encoding === IDENTITY) return message;
+
+  const maxSize = options.maxSize || DEFAULT_MAX_DECODED_SIZE;
+  const content = decompress(Buffer.from(message.body, 'base64'), message.encoding, maxSize);
+  return { ...message, body: message.type === 'file' ? content.toString('base64') : content.toString('utf8') };
+}
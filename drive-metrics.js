@@ -0,0 +1,102 @@
+// drive-metrics.js
+import http from 'http';
+
+const PREFIX = 'streamr_drive';
+
+// Counts what a drive has handled since it started: the bytes of message bodies that came
+// in and went out, and commands and errors per action
+class DriveMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.bytesIn = 0;
+    this.bytesOut = 0;
+    this.commands = {};
+    this.errors = {};
+  }
+
+  received(bytes) {
+    this.bytesIn += bytes;
+  }
+
+  sent(bytes) {
+    this.bytesOut += bytes;
+  }
+
+  command(action) {
+    this.commands[action] = (this.commands[action] || 0) + 1;
+  }
+
+  error(action) {
+    this.errors[action] = (this.errors[action] || 0) + 1;
+  }
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Formats the answer of the status action in the Prometheus text exposition format
+export function formatPrometheus(status) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`${PREFIX}_${name}${formatLabels(labels)} ${value}`);
+  };
+  const perAction = (counts) => Object.entries(counts).map(([action, count]) => [{ action }, count]);
+
+  metric('info', 'gauge', 'Version and device ID of the drive.', [
+    [{ device_id: status.deviceId, version: status.serverVersion }, 1]
+  ]);
+  metric('uptime_seconds', 'gauge', 'Seconds since the drive started.', [[{}, status.uptime / 1000]]);
+  metric('disk_total_bytes', 'gauge', 'Size of the file system holding the storage directory.', [[{}, status.disk.total]]);
+  metric('disk_free_bytes', 'gauge', 'Free bytes on the file system holding the storage directory.', [[{}, status.disk.free]]);
+  metric('disk_used_bytes', 'gauge', 'Used bytes on the file system holding the storage directory.', [[{}, status.disk.used]]);
+  metric('commands_running', 'gauge', 'Commands being carried out.', [[{}, status.commands.running]]);
+  metric('commands_waiting', 'gauge', 'Commands waiting for others to finish.', [[{}, status.commands.waiting]]);
+  metric('downloads_active', 'gauge', 'Streamed downloads in progress.', [[{}, status.transfers.downloads]]);
+  metric('upload_sessions', 'gauge', 'Resumable uploads begun and not yet committed.', [[{}, status.transfers.uploadSessions]]);
+  metric('received_bytes_total', 'counter', 'Bytes of message bodies received.', [[{}, status.bytesIn]]);
+  metric('sent_bytes_total', 'counter', 'Bytes of message bodies sent.', [[{}, status.bytesOut]]);
+  metric('commands_total', 'counter', 'Commands handled per action.', perAction(status.handled));
+  metric('errors_total', 'counter', 'Error responses per action.', perAction(status.errors));
+  if (status.tempCleanup) {
+    metric('temp_cleanup_timestamp_seconds', 'gauge', 'When the temp folder was last cleaned up.', [
+      [{}, new Date(status.tempCleanup.time).getTime() / 1000]
+    ]);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Serves formatPrometheus(await collect()) at /metrics. Resolves with the listening server.
+export function startMetricsServer({ port, host, collect }) {
+  const server = http.createServer(async (request, response) => {
+    if (request.method !== 'GET' || request.url.split('?')[0] !== '/metrics') {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      return response.end('Not found\n');
+    }
+
+    try {
+      const body = formatPrometheus(await collect());
+      response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      response.end(body);
+    } catch (error) {
+      console.error('Error collecting metrics:', error);
+      response.writeHead(500, { 'Content-Type': 'text/plain' });
+      response.end(`${error.message}\n`);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+export default DriveMetrics;
@@ -0,0 +1,48 @@
+// file-hash.js
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filePath)
+      .on('data', (data) => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+export function isSha256(value) {
+  return typeof value === 'string' && /^[0-9a-fA-F]{64}$/.test(value);
+}
+
+// Remembers SHA-256 digests by path. An entry is only reused while the file's size and
+// mtime are unchanged, so files modified outside of the drive are hashed again.
+export class HashCache {
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 10000;
+    this.entries = new Map();
+  }
+
+  async get(filePath, stats) {
+    const entry = this.entries.get(filePath);
+
+    if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+      return entry.hash;
+    }
+
+    const hash = await hashFile(filePath);
+    this.set(filePath, stats, hash);
+    return hash;
+  }
+
+  set(filePath, stats, hash) {
+    // Maps iterate in insertion order, so the first key is the oldest entry
+    this.entries.delete(filePath);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+  }
+}
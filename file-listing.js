@@ -0,0 +1,153 @@
+// file-listing.js
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SORT_FIELDS = ['name', 'size', 'modified'];
+
+// Translates a glob into a RegExp. "**" matches across directories, "*" and "?" do not.
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// False for globs that do not make a RegExp, like "[z-a]"
+export function isValidGlob(glob) {
+  try {
+    globToRegExp(glob);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Patterns without a slash match the entry name anywhere, others the whole relative path
+export function createMatcher(patterns) {
+  if (patterns === undefined || patterns === null) return null;
+
+  const list = (Array.isArray(patterns) ? patterns : [patterns]).map((pattern) => {
+    if (typeof pattern !== 'string' || pattern === '') {
+      throw new TypeError('Patterns must be non-empty strings');
+    }
+    return { regExp: globToRegExp(pattern), wholePath: pattern.includes('/') };
+  });
+
+  return (relativePath) => list.some(({ regExp, wholePath }) => {
+    return regExp.test(wholePath ? relativePath : path.posix.basename(relativePath));
+  });
+}
+
+// Walks a directory tree breadth first, up to maxDepth levels (1 = only the directory
+// itself). Symlinked directories are listed but never descended into. Entries matching
+// exclude are skipped together with everything below them.
+export async function walkTree(rootPath, options = {}) {
+  const { maxDepth = Infinity, exclude = null } = options;
+  const entries = [];
+  let queue = [''];
+
+  for (let depth = 1; depth <= maxDepth && queue.length > 0; depth++) {
+    const nextQueue = [];
+
+    for (const relativeDir of queue) {
+      let dirents;
+      try {
+        dirents = await fs.readdir(path.join(rootPath, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        // The tree may change while we walk it
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const dirent of dirents) {
+        const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+        if (exclude && exclude(relativePath)) continue;
+
+        const fullPath = path.join(rootPath, relativeDir, dirent.name);
+        let stats;
+        try {
+          stats = await fs.stat(fullPath);
+        } catch (error) {
+          if (error.code === 'ENOENT') continue;
+          throw error;
+        }
+
+        entries.push({ relativePath, name: dirent.name, fullPath, isDirectory: dirent.isDirectory(), stats });
+        if (dirent.isDirectory()) nextQueue.push(relativePath);
+      }
+    }
+
+    queue = nextQueue;
+  }
+
+  return entries;
+}
+
+export function sortEntries(entries, sortBy = 'name', order = 'asc') {
+  const direction = order === 'desc' ? -1 : 1;
+  const compare = {
+    name: (a, b) => a.relativePath.localeCompare(b.relativePath),
+    size: (a, b) => a.stats.size - b.stats.size || a.relativePath.localeCompare(b.relativePath),
+    modified: (a, b) => a.stats.mtimeMs - b.stats.mtimeMs || a.relativePath.localeCompare(b.relativePath)
+  }[sortBy];
+
+  return [...entries].sort((a, b) => direction * compare(a, b));
+}
+
+// Cursors are opaque to clients; internally they are the offset of the next entry. null
+// for anything that is not a cursor.
+export function decodeCursor(cursor) {
+  const offset = parseInt(Buffer.from(String(cursor), 'base64').toString(), 10);
+  return Number.isSafeInteger(offset) && offset >= 0 ? offset : null;
+}
+
+export function paginate(entries, limit, cursor) {
+  const offset = cursor ? decodeCursor(cursor) : 0;
+
+  if (offset === null) {
+    throw new TypeError('Invalid cursor');
+  }
+
+  const end = limit ? offset + limit : entries.length;
+  const page = entries.slice(offset, end);
+  const nextCursor = end < entries.length ? Buffer.from(String(end)).toString('base64') : undefined;
+
+  return { page, nextCursor };
+}
+
+// Parses an ISO date string or epoch milliseconds into epoch milliseconds
+export function parseTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new TypeError(`Invalid date: ${value}`);
+  }
+  return time;
+}
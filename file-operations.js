@@ -0,0 +1,95 @@
+// file-operations.js
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+export const CONFLICT_POLICIES = ['fail', 'overwrite', 'suffix'];
+
+export async function exists(entryPath) {
+  try {
+    await fs.lstat(entryPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+// Sums up the files and bytes below a path, without following symlinks
+export async function measureTree(entryPath) {
+  const stats = await fs.lstat(entryPath);
+
+  if (stats.isFile()) return { files: 1, bytes: stats.size };
+  if (!stats.isDirectory()) return { files: 0, bytes: 0 };
+
+  let files = 0;
+  let bytes = 0;
+
+  for (const name of await fs.readdir(entryPath)) {
+    const sub = await measureTree(path.join(entryPath, name));
+    files += sub.files;
+    bytes += sub.bytes;
+  }
+
+  return { files, bytes };
+}
+
+// Copies files and directories recursively. Symlinks are skipped so that a copy can
+// never pull content from outside of the storage directory into it.
+export async function copyTree(source, destination, onFileCopied) {
+  const stats = await fs.lstat(source);
+
+  if (stats.isDirectory()) {
+    await fs.mkdir(destination);
+    for (const name of await fs.readdir(source)) {
+      await copyTree(path.join(source, name), path.join(destination, name), onFileCopied);
+    }
+  } else if (stats.isFile()) {
+    await fs.copyFile(source, destination, constants.COPYFILE_EXCL);
+    if (onFileCopied) onFileCopied(stats.size);
+  }
+}
+
+// Finds the first free "name (n).ext" next to an existing entry
+export async function findAvailablePath(entryPath) {
+  const dirPath = path.dirname(entryPath);
+  const extension = path.extname(entryPath);
+  const baseName = path.basename(entryPath, extension);
+
+  for (let i = 1; ; i++) {
+    const candidate = path.join(dirPath, `${baseName} (${i})${extension}`);
+    if (!(await exists(candidate))) return candidate;
+  }
+}
+
+// A hidden path next to the destination, so that the final rename stays on one file system
+export function siblingTempPath(entryPath, suffix) {
+  return path.join(path.dirname(entryPath), `.${path.basename(entryPath)}.${randomUUID()}.${suffix}`);
+}
+
+// True for names made by siblingTempPath
+export function isSiblingTempName(name) {
+  return /^\..+\.[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.[a-z]+$/.test(name);
+}
+
+// Moves newPath to destinationPath. An existing destination is only removed once the new
+// entry is in place, and is put back if that fails.
+export async function replaceEntry(newPath, destinationPath, replace) {
+  if (!replace) {
+    await fs.rename(newPath, destinationPath);
+    return;
+  }
+
+  const backupPath = siblingTempPath(destinationPath, 'backup');
+  await fs.rename(destinationPath, backupPath);
+
+  try {
+    await fs.rename(newPath, destinationPath);
+  } catch (error) {
+    await fs.rename(backupPath, destinationPath);
+    throw error;
+  }
+
+  await fs.rm(backupPath, { recursive: true, force: true });
+}
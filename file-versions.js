@@ -0,0 +1,149 @@
+// file-versions.js
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+
+const VERSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const INDEX_FILE_NAME = 'index.json';
+
+// Keeps earlier contents of overwritten files. The versions of a file live in a folder
+// named after a hash of its storage-relative path, with an index.json listing them.
+class FileVersions {
+  constructor(config) {
+    this.dir = config.dir;
+    this.maxVersions = config.maxVersions;
+    this.maxAge = config.maxAge;
+    this.queues = new Map();
+  }
+
+  folderPath(relativePath) {
+    const key = createHash('sha256').update(relativePath).digest('hex').substring(0, 32);
+    return path.join(this.dir, key);
+  }
+
+  dataPath(relativePath, id) {
+    return path.join(this.folderPath(relativePath), id);
+  }
+
+  // Returns the versions of a file, newest first
+  async list(relativePath) {
+    try {
+      const index = JSON.parse(await fs.readFile(path.join(this.folderPath(relativePath), INDEX_FILE_NAME), 'utf8'));
+      return index.versions;
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async get(relativePath, id) {
+    if (typeof id !== 'string' || !VERSION_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    const versions = await this.list(relativePath);
+    return versions.find((version) => version.id === id) || null;
+  }
+
+  // Keeps the current content of filePath as a version, before it is replaced. The
+  // content is hard linked where possible, so archiving does not copy any data.
+  archive(filePath, relativePath, { stats, hash }) {
+    if (this.maxVersions <= 0) return Promise.resolve(null);
+
+    return this.serialize(relativePath, async () => {
+      const version = {
+        id: randomUUID(),
+        size: stats.size,
+        modified: stats.mtime.getTime(),
+        hash,
+        archived: Date.now()
+      };
+      const dataPath = this.dataPath(relativePath, version.id);
+
+      await fs.mkdir(this.folderPath(relativePath), { recursive: true });
+      try {
+        await fs.link(filePath, dataPath);
+      } catch (error) {
+        await fs.copyFile(filePath, dataPath);
+      }
+
+      await this.save(relativePath, [version, ...await this.list(relativePath)]);
+      return version;
+    });
+  }
+
+  // Applies maxVersions and maxAge to the versions of every file
+  async removeExpired() {
+    let folders;
+
+    try {
+      folders = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removedCount = 0;
+
+    for (const folder of folders) {
+      let index;
+      try {
+        index = JSON.parse(await fs.readFile(path.join(this.dir, folder, INDEX_FILE_NAME), 'utf8'));
+      } catch (error) {
+        continue;
+      }
+
+      removedCount += await this.serialize(index.path, async () => {
+        const versions = await this.list(index.path);
+        const kept = await this.save(index.path, versions);
+        return versions.length - kept.length;
+      });
+    }
+
+    return removedCount;
+  }
+
+  // Writes the index after applying the limits, and removes the data of dropped versions.
+  // Returns the versions that were kept.
+  async save(relativePath, versions) {
+    const now = Date.now();
+    const kept = versions
+      .filter((version) => now - version.archived <= this.maxAge)
+      .slice(0, this.maxVersions);
+    const folderPath = this.folderPath(relativePath);
+
+    for (const version of versions) {
+      if (!kept.includes(version)) {
+        await fs.rm(this.dataPath(relativePath, version.id), { force: true });
+      }
+    }
+
+    if (kept.length === 0) {
+      await fs.rm(folderPath, { recursive: true, force: true });
+      return kept;
+    }
+
+    const indexPath = path.join(folderPath, INDEX_FILE_NAME);
+    const tmpPath = `${indexPath}.${randomUUID()}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ path: relativePath, versions: kept }));
+    await fs.rename(tmpPath, indexPath);
+
+    return kept;
+  }
+
+  // Runs index updates of one file one after another
+  serialize(relativePath, task) {
+    const previous = this.queues.get(relativePath) || Promise.resolve();
+    const result = previous.then(task, task);
+    const settled = result.catch(() => {});
+
+    this.queues.set(relativePath, settled);
+    settled.then(() => {
+      if (this.queues.get(relativePath) === settled) this.queues.delete(relativePath);
+    });
+
+    return result;
+  }
+}
+
+export default FileVersions;
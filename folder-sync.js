@@ -0,0 +1,303 @@
+// folder-sync.js
+import fs from 'fs/promises';
+import path from 'path';
+import { hashFile } from './file-hash.js';
+import { createMatcher, walkTree } from './file-listing.js';
+import { isSiblingTempName, siblingTempPath } from './file-operations.js';
+import { isInside, RESERVED_FOLDER_NAMES } from './path-resolver.js';
+
+export const SYNC_MODES = ['push', 'pull', 'bidirectional'];
+export const SYNC_CONFLICT_POLICIES = ['skip', 'local', 'remote'];
+export const DEFAULT_STATE_FILE_NAME = '.streamr-sync.json';
+
+const STATE_VERSION = 1;
+
+// Mirrors the files of a local folder and a drive path using the client's commands. Both
+// sides are described by a manifest of path, size, modification time and SHA-256; the
+// state file keeps the manifest of the last sync, which tells which side changed a file
+// since and which files were deleted. Only files are synced, empty directories are not.
+//
+// push makes the drive follow the local folder, pull the other way round, bidirectional
+// merges the changes of either side. A file the other side changed since the last sync
+// is a conflict: onConflict skips it (the default) or lets the local or remote copy win.
+// One-way syncs leave files alone that only ever existed on their target.
+class FolderSync {
+  constructor(config) {
+    this.client = config.client;
+    this.localDir = path.resolve(config.localDir);
+    this.remotePath = (config.remotePath || '').replace(/^\/+|\/+$/g, '');
+    this.mode = config.mode || 'bidirectional';
+    this.onConflict = config.onConflict || 'skip';
+    this.stateFile = config.stateFile || path.join(this.localDir, DEFAULT_STATE_FILE_NAME);
+    this.exclude = config.exclude;
+
+    if (!SYNC_MODES.includes(this.mode)) {
+      throw new TypeError(`mode must be one of ${SYNC_MODES.join(', ')}`);
+    }
+    if (!SYNC_CONFLICT_POLICIES.includes(this.onConflict)) {
+      throw new TypeError(`onConflict must be one of ${SYNC_CONFLICT_POLICIES.join(', ')}`);
+    }
+  }
+
+  // Compares both sides and runs the resulting operations, or only returns them with
+  // dryRun. onOperation is called before each operation is carried out.
+  async run({ dryRun = false, onOperation } = {}) {
+    const state = await this.loadState();
+    const local = await this.localManifest(state);
+    const remote = await this.remoteManifest();
+    const { operations, conflicts, synced } = this.plan(local, remote, state.files);
+    const result = { mode: this.mode, dryRun, operations, conflicts, failed: [] };
+
+    if (dryRun) return result;
+
+    const files = { ...state.files };
+    for (const [relativePath, entry] of synced) {
+      if (entry) {
+        files[relativePath] = entry;
+      } else {
+        delete files[relativePath];
+      }
+    }
+
+    for (const operation of operations) {
+      if (onOperation) onOperation(operation);
+
+      try {
+        const entry = await this.execute(operation, local.get(operation.path), remote.get(operation.path));
+        if (entry) {
+          files[operation.path] = entry;
+        } else {
+          delete files[operation.path];
+        }
+      } catch (error) {
+        // A file that changed on the drive while we were working is a conflict after all
+        if (error.code === 'conflict') {
+          conflicts.push({ path: operation.path, reason: 'changed during sync' });
+        } else {
+          result.failed.push({ ...operation, error: error.message });
+        }
+      }
+    }
+
+    await this.saveState(files);
+    return result;
+  }
+
+  // Works out what to do with every path found on either side or in the last sync. Files
+  // that are the same on both sides are returned in synced with their new state entry,
+  // files gone from both sides with null.
+  plan(local, remote, base) {
+    const operations = [];
+    const conflicts = [];
+    const synced = new Map();
+    const paths = new Set([...local.keys(), ...remote.keys(), ...Object.keys(base)]);
+
+    for (const relativePath of [...paths].sort()) {
+      const localFile = local.get(relativePath);
+      const remoteFile = remote.get(relativePath);
+      const baseFile = base[relativePath];
+
+      if (localFile && remoteFile && localFile.hash === remoteFile.hash) {
+        synced.set(relativePath, this.stateEntry(localFile, remoteFile));
+        continue;
+      }
+      if (!localFile && !remoteFile) {
+        synced.set(relativePath, null);
+        continue;
+      }
+
+      const localChanged = localFile ? !baseFile || localFile.hash !== baseFile.hash : Boolean(baseFile);
+      const remoteChanged = remoteFile ? !baseFile || remoteFile.hash !== baseFile.hash : Boolean(baseFile);
+
+      let direction = null;
+      if (this.mode === 'push') {
+        if (localFile || baseFile) {
+          direction = remoteFile && remoteChanged ? this.resolve(relativePath, 'changed on the drive', conflicts) : 'push';
+        }
+      } else if (this.mode === 'pull') {
+        if (remoteFile || baseFile) {
+          direction = localFile && localChanged ? this.resolve(relativePath, 'changed locally', conflicts) : 'pull';
+        }
+      } else if (localChanged && remoteChanged) {
+        direction = this.resolve(relativePath, 'changed on both sides', conflicts);
+      } else if (localChanged) {
+        direction = 'push';
+      } else if (remoteChanged) {
+        direction = 'pull';
+      }
+
+      if (direction === 'push') {
+        operations.push(localFile
+          ? { type: 'upload', path: relativePath, size: localFile.size }
+          : { type: 'delete-remote', path: relativePath });
+      } else if (direction === 'pull') {
+        operations.push(remoteFile
+          ? { type: 'download', path: relativePath, size: remoteFile.size }
+          : { type: 'delete-local', path: relativePath });
+      }
+    }
+
+    return { operations, conflicts, synced };
+  }
+
+  // The direction a conflict is settled in, null when it is skipped
+  resolve(relativePath, reason, conflicts) {
+    if (this.onConflict === 'local') return 'push';
+    if (this.onConflict === 'remote') return 'pull';
+
+    conflicts.push({ path: relativePath, reason });
+    return null;
+  }
+
+  // Carries out an operation and returns the state entry of the file afterwards, null
+  // once it is gone from both sides
+  async execute(operation, localFile, remoteFile) {
+    const localPath = this.localPath(operation.path);
+    const remoteFilePath = this.remoteFilePath(operation.path);
+
+    switch (operation.type) {
+      case 'upload': {
+        // ifMatch makes the drive refuse the upload if the file changed since we looked
+        const response = await this.client.uploadFile(localPath, remoteFilePath, {
+          ifMatch: remoteFile ? remoteFile.hash : undefined
+        });
+        return this.stateEntry(localFile, { size: response.size, modified: Date.parse(response.modified), hash: response.hash });
+      }
+      case 'download': {
+        // Downloaded next to the target and renamed into place, so it is never half written
+        const tempPath = siblingTempPath(localPath, 'download');
+        await fs.mkdir(path.dirname(localPath), { recursive: true });
+
+        try {
+          await this.client.downloadToFile(remoteFilePath, tempPath);
+          // The remote modification time, so the next run sees the file as unchanged
+          await fs.utimes(tempPath, new Date(), new Date(remoteFile.modified));
+          await fs.rename(tempPath, localPath);
+        } catch (error) {
+          await fs.rm(tempPath, { force: true });
+          throw error;
+        }
+
+        const stats = await fs.stat(localPath);
+        return this.stateEntry({ size: stats.size, modified: stats.mtimeMs, hash: remoteFile.hash }, remoteFile);
+      }
+      case 'delete-remote':
+        // Into the drive's trash, so a mistaken sync can be undone
+        await this.client.delete(remoteFilePath);
+        return null;
+      case 'delete-local':
+        await fs.rm(localPath, { force: true });
+        return null;
+      default:
+        throw new Error(`Unknown sync operation ${operation.type}`);
+    }
+  }
+
+  stateEntry(localFile, remoteFile) {
+    return {
+      hash: remoteFile.hash,
+      size: remoteFile.size,
+      localModified: localFile.modified,
+      remoteModified: remoteFile.modified
+    };
+  }
+
+  remoteFilePath(relativePath) {
+    return this.remotePath ? `${this.remotePath}/${relativePath}` : relativePath;
+  }
+
+  // Paths of the remote manifest come from the drive, one leading out of the local folder
+  // is refused
+  localPath(relativePath) {
+    const localPath = path.resolve(this.localDir, ...relativePath.split('/'));
+
+    if (localPath === path.resolve(this.localDir) || !isInside(this.localDir, localPath)) {
+      throw new Error(`Path ${relativePath} is outside of the local folder`);
+    }
+    return localPath;
+  }
+
+  // The folders the drive keeps for itself are never synced, even where a drive lists them
+  isDriveInternal(relativePath) {
+    return RESERVED_FOLDER_NAMES.includes(this.remoteFilePath(relativePath).split('/')[0]);
+  }
+
+  isExcluded(relativePath, exclude) {
+    return relativePath === path.relative(this.localDir, this.stateFile).split(path.sep).join('/') ||
+      this.isDriveInternal(relativePath) ||
+      isSiblingTempName(path.posix.basename(relativePath)) ||
+      Boolean(exclude && exclude(relativePath));
+  }
+
+  // Files below the local folder. Hashes are taken from the state when size and
+  // modification time are unchanged since the last sync.
+  async localManifest(state) {
+    const exclude = createMatcher(this.exclude);
+    const manifest = new Map();
+
+    let entries = [];
+    try {
+      entries = await walkTree(this.localDir, { exclude: (relativePath) => this.isExcluded(relativePath, exclude) });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const entry of entries) {
+      if (!entry.stats.isFile()) continue;
+
+      const known = state.files[entry.relativePath];
+      const unchanged = known && known.size === entry.stats.size && known.localModified === entry.stats.mtimeMs;
+
+      manifest.set(entry.relativePath, {
+        size: entry.stats.size,
+        modified: entry.stats.mtimeMs,
+        hash: unchanged ? known.hash : await hashFile(entry.fullPath)
+      });
+    }
+
+    return manifest;
+  }
+
+  // Files below the drive path, a missing directory counts as empty
+  async remoteManifest() {
+    let files;
+
+    try {
+      files = await this.client.list(this.remotePath, { recursive: true, withHash: true, exclude: this.exclude });
+    } catch (error) {
+      if (error.code === 'not-found') return new Map();
+      throw error;
+    }
+
+    return new Map(files
+      .filter((file) => !file.isDirectory && !this.isDriveInternal(file.path))
+      .map((file) => [file.path, { size: file.size, modified: Date.parse(file.modified), hash: file.hash }]));
+  }
+
+  // The state of the last sync. A state kept for another drive path is ignored.
+  async loadState() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+      if (state.version === STATE_VERSION && state.remotePath === this.remotePath) return state;
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+    }
+
+    return { version: STATE_VERSION, remotePath: this.remotePath, files: {} };
+  }
+
+  async saveState(files) {
+    const tmpPath = siblingTempPath(this.stateFile, 'tmp');
+
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({
+      version: STATE_VERSION,
+      remotePath: this.remotePath,
+      syncedAt: new Date(),
+      files
+    }, null, 2));
+    await fs.rename(tmpPath, this.stateFile);
+  }
+}
+
+export default FolderSync;
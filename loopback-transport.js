@@ -0,0 +1,53 @@
+// loopback-transport.js
+import { randomUUID } from 'crypto';
+
+// Connects the loopback transports of drives and clients living in the same process
+export class LoopbackHub {
+  constructor() {
+    this.transports = new Set();
+  }
+
+  deliver(sender, message) {
+    // Serialize like a real network would, so no objects are shared between the peers
+    const json = JSON.stringify(message);
+
+    for (const transport of this.transports) {
+      if (transport === sender || !transport.onMessage) continue;
+
+      setImmediate(() => {
+        if (transport.onMessage) {
+          transport.onMessage(JSON.parse(json), { senderId: sender.senderId });
+        }
+      });
+    }
+  }
+}
+
+// An in-memory transport for running a drive and its clients without any network,
+// e.g. in tests. Every transport on the same hub receives what the others publish.
+class LoopbackTransport {
+  constructor(config = {}) {
+    this.hub = config.hub || new LoopbackHub();
+    this.senderId = config.senderId || `0x${randomUUID().replace(/-/g, '')}`;
+    this.name = `loopback:${this.senderId}`;
+    this.maxMessageSize = config.maxMessageSize || Infinity;
+    this.onMessage = null;
+  }
+
+  async subscribe(onMessage) {
+    this.onMessage = onMessage;
+    this.hub.transports.add(this);
+    return this;
+  }
+
+  async publish(message) {
+    this.hub.deliver(this, message);
+  }
+
+  async shutdown() {
+    this.onMessage = null;
+    this.hub.transports.delete(this);
+  }
+}
+
+export default LoopbackTransport;
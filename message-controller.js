@@ -7,8 +7,9 @@ class StreamrMessageController extends EventEmitter {
   constructor(config) {
     super();
     this.deviceId = config.deviceId;
-    this.receivedMessages = [];
-    this.sentMessages = [];
+    // Only the latest message of each type is kept, commands carry whole files in their bodies
+    this.latestMessages = {};
+    this.latestMessage = undefined;
   }
   
   async init() {
@@ -22,7 +23,8 @@ class StreamrMessageController extends EventEmitter {
   
   async receiveHandler(msg) {
     // console.log(`Message received: ${msg.type}`);
-    this.receivedMessages.push(msg);
+    this.latestMessages[msg.type] = msg;
+    this.latestMessage = msg;
     this.emit("message", msg);
     
     if (msg.type === "image") this.emit("image", msg);
@@ -43,25 +45,24 @@ class StreamrMessageController extends EventEmitter {
   }
   
   getLatestMessage() {
-    return this.receivedMessages.length > 0 ? this.receivedMessages[this.receivedMessages.length - 1] : undefined;
+    return this.latestMessage;
   }
   
   getLatest(type) {
-    const filtered = this.receivedMessages.filter((m) => m.type === type);
-    return filtered.length > 0 ? filtered[filtered.length - 1] : undefined;
+    return this.latestMessages[type];
   }
   
+  // msg.replyTo is handed to "publish" listeners next to the message, see StreamrDrive.sealMessage.
+  // Sent messages are not kept, as streamed downloads send whole files through here.
   async upload(msg) {
     if (!SUPPORTED_MESSAGE_TYPES.includes(msg.type)) {
       throw new Error("unknown content type");
     }
     
-    this.sentMessages.unshift(msg);
-    
     if (msg.type === "image") {
       await this.uploadImage(msg.body);
     } else if (msg.type === "text") {
-      await this.uploadText(msg.body);
+      await this.uploadText(msg.body, msg.requestId, msg.replyTo);
     } else if (msg.type === "file") {
       await this.uploadFile(msg);
     }
@@ -71,12 +72,20 @@ class StreamrMessageController extends EventEmitter {
     try {
       const msgObj = {
         type: 'file',
+        requestId: msg.requestId,
         fileName: msg.fileName,
         fileSize: msg.fileSize,
+        // Present on ranged and streamed downloads only
+        transferId: msg.transferId,
+        offset: msg.offset,
+        length: msg.length,
+        sequence: msg.sequence,
+        totalSlices: msg.totalSlices,
+        checksum: msg.checksum,
         body: msg.body,
         deviceId: this.deviceId,
       };
-      this.emit("publish", msgObj);
+      this.emit("publish", msgObj, msg.replyTo);
     } catch (err) {
       console.log("uploadFile error:", err);
       throw err;
@@ -91,14 +100,16 @@ class StreamrMessageController extends EventEmitter {
     });
   }
   
-  async uploadText(text) {
+  async uploadText(text, requestId, replyTo) {
     // console.log("uploading text: ", text.substring(0, 100) + (text.length > 100 ? '...' : ''));
     
+    // requestId goes ahead of the body so that it ends up in the first chunk
     this.emit("publish", {
       type: 'text',
+      requestId,
       body: text,
       deviceId: this.deviceId,
-    });
+    }, replyTo);
   }
 }
 
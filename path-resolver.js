@@ -0,0 +1,111 @@
+// path-resolver.js
+import fs from 'fs/promises';
+import path from 'path';
+
+export const INVALID_PATH = 'invalid-path';
+
+export const TEMP_FOLDER_NAME = 'temp';
+export const TRASH_FOLDER_NAME = '.trash';
+export const VERSIONS_FOLDER_NAME = '.versions';
+// Top-level folders of the storage directory that only the drive itself may touch. temp
+// holds the parts of every sender's unfinished uploads.
+export const RESERVED_FOLDER_NAMES = [TEMP_FOLDER_NAME, TRASH_FOLDER_NAME, VERSIONS_FOLDER_NAME];
+
+export class PathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PathError';
+    this.code = INVALID_PATH;
+  }
+}
+
+// Joins a client supplied directory and name into a normalized, storage-relative path
+export function commandPath(dirPath, name) {
+  const joined = path.posix.join(
+    typeof dirPath === 'string' ? dirPath : '',
+    typeof name === 'string' ? name : ''
+  );
+  const normalized = path.posix.normalize(joined).replace(/\/+$/, '');
+  return normalized === '.' ? '' : normalized;
+}
+
+// True if a storage-relative path equals the prefix or lies below it. '' covers everything.
+export function isUnderPrefix(target, prefix) {
+  return prefix === '' || target === prefix || target.startsWith(`${prefix}/`);
+}
+
+function validateSegment(segment, label) {
+  if (typeof segment !== 'string') {
+    throw new PathError(`${label} must be a string`);
+  }
+  if (segment.includes('\0')) {
+    throw new PathError(`${label} contains a NUL byte`);
+  }
+  // Reject both POSIX and Windows style absolute paths, regardless of host
+  if (path.posix.isAbsolute(segment) || path.win32.isAbsolute(segment)) {
+    throw new PathError(`${label} must be relative to the storage directory`);
+  }
+}
+
+// True if target is rootDir or lies below it
+export function isInside(rootDir, target) {
+  const relative = path.relative(rootDir, target);
+  // '..notes' is a name inside, only a first segment of '..' leads out
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+// Walks up from the target until an existing entry is found and returns its real path,
+// so that symlinks anywhere along the way are taken into account.
+async function realpathOfClosestExisting(target) {
+  let current = target;
+
+  while (true) {
+    try {
+      return await fs.realpath(current);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+
+      const parent = path.dirname(current);
+      if (parent === current) throw error;
+      current = parent;
+    }
+  }
+}
+
+// Resolves a client supplied directory and optional entry name against the storage
+// directory. Throws a PathError for anything that would end up outside of it.
+export async function resolveStoragePath(storageDir, dirPath, name) {
+  const segments = [];
+
+  if (dirPath !== undefined && dirPath !== null && dirPath !== '') {
+    validateSegment(dirPath, 'path');
+    segments.push(dirPath);
+  }
+
+  if (name !== undefined) {
+    validateSegment(name, 'name');
+    if (name === '') {
+      throw new PathError('name must not be empty');
+    }
+    segments.push(name);
+  }
+
+  const rootDir = await fs.realpath(storageDir);
+  const target = path.resolve(rootDir, ...segments);
+
+  if (!isInside(rootDir, target)) {
+    throw new PathError('Path escapes the storage directory');
+  }
+
+  if (name !== undefined && target === rootDir) {
+    throw new PathError('Path must not refer to the storage directory itself');
+  }
+
+  const realTarget = await realpathOfClosestExisting(target);
+
+  if (!isInside(rootDir, realTarget)) {
+    throw new PathError('Path resolves outside of the storage directory');
+  }
+
+  return target;
+}
@@ -0,0 +1,204 @@
+// payload-cipher.js
+import crypto from 'crypto';
+
+export const ENCRYPTION_REQUIRED = 'encryption-required';
+export const DECRYPTION_FAILED = 'decryption-failed';
+
+export const SHARED_KEY = 'aes-256-gcm';
+export const KEY_PAIR = 'x25519-aes-256-gcm';
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const DEFAULT_MAX_AGE = 5 * 60 * 1000;
+
+// DER headers that turn raw X25519 keys into the PKCS#8 and SPKI structures crypto takes
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+// Fields that stay readable on sealed messages: the transport and the chunker need them to
+// route messages and report progress. They are authenticated along with the ciphertext.
+const ROUTING_FIELDS = ['type', 'requestId', 'target', 'deviceId'];
+const AUTHENTICATED_FIELDS = [...ROUTING_FIELDS, 'encryption', 'keyId', 'to'];
+
+export class CipherError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CipherError';
+    this.code = code;
+  }
+}
+
+// Reads a 32 byte key given as hex or base64
+function decodeKey(value, name) {
+  const bytes = typeof value === 'string'
+    ? Buffer.from(value, /^[0-9a-fA-F]{64}$/.test(value) ? 'hex' : 'base64')
+    : Buffer.alloc(0);
+
+  if (bytes.length !== KEY_BYTES) {
+    throw new Error(`${name} must be ${KEY_BYTES} bytes, hex or base64 encoded`);
+  }
+  return bytes;
+}
+
+// A random shared key, base64url encoded
+export function generateKey() {
+  return crypto.randomBytes(KEY_BYTES).toString('base64url');
+}
+
+// A random X25519 key pair, both keys base64url encoded
+export function generateKeyPair() {
+  const { d, x } = crypto.generateKeyPairSync('x25519').privateKey.export({ format: 'jwk' });
+  return { privateKey: d, publicKey: x };
+}
+
+// The encryption config from ENCRYPTION_KEY or ENCRYPTION_PRIVATE_KEY, null if neither is
+// set. peers is a comma separated list of public keys, ENCRYPTION_REQUIRED=false also lets
+// plaintext messages in.
+export function encryptionFromEnv(peers, env = process.env) {
+  if (!env.ENCRYPTION_KEY && !env.ENCRYPTION_PRIVATE_KEY) return null;
+
+  return {
+    key: env.ENCRYPTION_KEY,
+    privateKey: env.ENCRYPTION_PRIVATE_KEY,
+    peers: (peers || '').split(',').map((peer) => peer.trim()).filter(Boolean),
+    required: env.ENCRYPTION_REQUIRED !== 'false'
+  };
+}
+
+// Encrypts and authenticates messages with AES-256-GCM before they reach the transport.
+// Either everybody shares one key, or every party has an X25519 key pair and knows the
+// public keys of the peers it talks to: a message is then readable by the peer it was
+// sealed for only, and proves which key sealed it. Sealed messages carry the time they
+// were sealed and are refused once older than maxAge, which keeps recorded commands from
+// being replayed after the drive has forgotten their requestId.
+class PayloadCipher {
+  constructor(config) {
+    this.required = config.required !== false;
+    this.maxAge = config.maxAge || DEFAULT_MAX_AGE;
+
+    if (config.key) {
+      this.scheme = SHARED_KEY;
+      this.sharedKey = decodeKey(config.key, 'key');
+      this.publicKey = null;
+    } else {
+      this.scheme = KEY_PAIR;
+      this.privateKey = crypto.createPrivateKey({
+        key: Buffer.concat([PKCS8_PREFIX, decodeKey(config.privateKey, 'privateKey')]),
+        format: 'der',
+        type: 'pkcs8'
+      });
+      this.publicKey = crypto.createPublicKey(this.privateKey).export({ format: 'jwk' }).x;
+      this.peers = new Set((config.peers || []).map((peer) => decodeKey(peer, 'peer').toString('base64url')));
+      this.peerKeys = new Map();
+    }
+  }
+
+  // The AES key shared with a peer, derived from the X25519 secret of both key pairs
+  peerKey(peer) {
+    if (!this.peerKeys.has(peer)) {
+      const secret = crypto.diffieHellman({
+        privateKey: this.privateKey,
+        publicKey: crypto.createPublicKey({
+          key: Buffer.concat([SPKI_PREFIX, Buffer.from(peer, 'base64url')]),
+          format: 'der',
+          type: 'spki'
+        })
+      });
+      const info = `streamr-drive ${[this.publicKey, peer].sort().join(' ')}`;
+      this.peerKeys.set(peer, Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), info, KEY_BYTES)));
+    }
+    return this.peerKeys.get(peer);
+  }
+
+  // Encrypts all but the routing fields of a message into its body. With key pairs,
+  // recipient is the public key of the peer to seal for and defaults to the only peer.
+  seal(message, recipient) {
+    const sealed = { encryption: this.scheme };
+    const payload = { sealedAt: Date.now() };
+    let key = this.sharedKey;
+
+    for (const [name, value] of Object.entries(message)) {
+      if (value === undefined) continue;
+      if (ROUTING_FIELDS.includes(name)) sealed[name] = value;
+      else payload[name] = value;
+    }
+
+    if (this.scheme === KEY_PAIR) {
+      const to = recipient || (this.peers.size === 1 ? [...this.peers][0] : undefined);
+      if (!to || !this.peers.has(to)) {
+        throw new Error(to ? `${to} is not a known peer` : 'A recipient is needed with more than one peer');
+      }
+      sealed.keyId = this.publicKey;
+      sealed.to = to;
+      key = this.peerKey(to);
+    }
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(authenticatedData(sealed));
+    const body = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+    // The body goes last, so the routing fields end up in the first chunk
+    return {
+      ...sealed,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      body: body.toString('base64')
+    };
+  }
+
+  // Returns { message, sealed, peer } for a message that may be read, peer being the
+  // public key it was sealed with. Returns null for messages sealed for another peer.
+  // Throws a CipherError for plaintext while encryption is required, and for messages
+  // that do not decrypt, were tampered with or are too old.
+  open(message) {
+    if (message.encryption === undefined) {
+      if (this.required) throw new CipherError(ENCRYPTION_REQUIRED, 'Messages must be encrypted');
+      return { message, sealed: false, peer: undefined };
+    }
+
+    if (message.encryption !== this.scheme) {
+      throw new CipherError(DECRYPTION_FAILED, `Expected ${this.scheme} encryption, not ${message.encryption}`);
+    }
+
+    let key = this.sharedKey;
+    let peer;
+    if (this.scheme === KEY_PAIR) {
+      if (message.to !== this.publicKey) return null;
+      if (!this.peers.has(message.keyId)) throw new CipherError(DECRYPTION_FAILED, 'Message was sealed with an unknown key');
+      peer = message.keyId;
+      key = this.peerKey(peer);
+    }
+
+    let payload;
+    try {
+      const tag = Buffer.from(message.tag, 'base64');
+      if (tag.length !== TAG_BYTES) throw new Error('Truncated tag');
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(message.iv, 'base64'));
+      decipher.setAAD(authenticatedData(message));
+      decipher.setAuthTag(tag);
+      payload = JSON.parse(Buffer.concat([decipher.update(Buffer.from(message.body, 'base64')), decipher.final()]).toString('utf8'));
+    } catch (error) {
+      throw new CipherError(DECRYPTION_FAILED, 'Message could not be decrypted');
+    }
+
+    const { sealedAt, ...fields } = payload;
+    if (!(Math.abs(Date.now() - sealedAt) <= this.maxAge)) {
+      throw new CipherError(DECRYPTION_FAILED, 'Message was sealed too long ago, check the clocks of both devices');
+    }
+
+    const opened = { ...fields };
+    for (const name of ROUTING_FIELDS) {
+      if (message[name] !== undefined) opened[name] = message[name];
+    }
+    return { message: opened, sealed: true, peer };
+  }
+}
+
+function authenticatedData(message) {
+  return Buffer.from(JSON.stringify(AUTHENTICATED_FIELDS.map((name) => (message[name] === undefined ? null : message[name]))));
+}
+
+export default PayloadCipher;
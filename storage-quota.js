@@ -0,0 +1,160 @@
+// storage-quota.js
+import fs from 'fs/promises';
+import path from 'path';
+import { commandPath, isUnderPrefix } from './path-resolver.js';
+import { measureTree } from './file-operations.js';
+
+export const QUOTA_EXCEEDED = 'quota-exceeded';
+
+// What replacing content frees below prefix. Content kept as a version (keepsReplaced)
+// moves to the storage root, so it still counts for the whole drive and the disk.
+const freedBytes = (prefix, { replacedBytes = 0, keepsReplaced = false }) => (
+  keepsReplaced && prefix === '' ? 0 : replacedBytes
+);
+
+// Enforces an optional limit on the whole storage directory, optional limits per path
+// prefix and a reserve of free disk space that uploads must leave untouched.
+//
+// Walking the storage for every command gets slow as it grows, so measured usage is kept
+// for cacheTtl ms. Writes that passed check are added to it with record, and invalidate
+// drops it after anything was removed. Changes made behind the drive's back show up once
+// the cache expires.
+class StorageQuota {
+  constructor(config) {
+    this.storageDir = config.storageDir;
+    this.totalBytes = config.totalBytes || null;
+    this.reserveBytes = config.reserveBytes || 0;
+    this.pathBytes = Object.entries(config.pathBytes || {}).map(([prefix, bytes]) => ({
+      prefix: commandPath(prefix),
+      bytes
+    }));
+    this.cacheTtl = config.cacheTtl !== undefined ? config.cacheTtl : 60 * 1000;
+    this.usage = new Map();
+  }
+
+  // Free and total bytes of the file system holding the storage directory
+  async diskSpace() {
+    const stats = await fs.statfs(this.storageDir);
+    return { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+  }
+
+  // Bytes used below a storage-relative path, 0 if it does not exist
+  async used(relativePath) {
+    const cached = this.usage.get(relativePath);
+    if (cached && Date.now() - cached.measuredAt < this.cacheTtl) return cached.bytes;
+
+    const bytes = await this.measure(relativePath);
+    this.usage.set(relativePath, { bytes, measuredAt: Date.now() });
+    return bytes;
+  }
+
+  async measure(relativePath) {
+    const rootDir = await fs.realpath(this.storageDir);
+
+    try {
+      const { bytes } = await measureTree(path.join(rootDir, ...relativePath.split('/')));
+      return bytes;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  // The configured limits with their current use
+  async limits() {
+    const limits = [];
+
+    if (this.totalBytes) {
+      limits.push({ path: '', quota: this.totalBytes, used: await this.used('') });
+    }
+    for (const { prefix, bytes } of this.pathBytes) {
+      limits.push({ path: prefix, quota: bytes, used: await this.used(prefix) });
+    }
+
+    return limits;
+  }
+
+  // Returns an error response body if adding bytes at relativePath would break a limit.
+  // Entries moved within the storage only count against path quotas they newly enter,
+  // which is what sourcePath is for. replacedBytes is the size of what the new entry
+  // replaces, which it is only charged the difference to.
+  async check(relativePath, bytes, options = {}) {
+    const moving = options.sourcePath !== undefined;
+
+    if (!moving && this.reserveBytes > 0) {
+      const { free } = await this.diskSpace();
+      const required = bytes - freedBytes('', options);
+      if (free - required < this.reserveBytes) {
+        return this.exceeded(`Not enough free disk space, ${this.reserveBytes} bytes are kept in reserve`, {
+          free,
+          reserve: this.reserveBytes,
+          required
+        });
+      }
+    }
+
+    const limits = [];
+    if (!moving && this.totalBytes) {
+      limits.push({ prefix: '', bytes: this.totalBytes });
+    }
+    for (const limit of this.pathBytes) {
+      if (!isUnderPrefix(relativePath, limit.prefix)) continue;
+      if (moving && isUnderPrefix(options.sourcePath, limit.prefix)) continue;
+      limits.push(limit);
+    }
+
+    for (const { prefix, bytes: quota } of limits) {
+      const used = await this.used(prefix);
+      const required = bytes - freedBytes(prefix, options);
+      if (used + required > quota) {
+        const scope = prefix === '' ? 'the drive' : `"${prefix}"`;
+        return this.exceeded(`Quota of ${quota} bytes for ${scope} would be exceeded`, {
+          quotaPath: prefix,
+          quota,
+          used,
+          required
+        });
+      }
+    }
+
+    return null;
+  }
+
+  // Adds new content that passed check, with the same arguments, to the cached usage
+  record(relativePath, bytes, options = {}) {
+    for (const [prefix, cached] of this.usage) {
+      if (isUnderPrefix(relativePath, prefix)) cached.bytes += bytes - freedBytes(prefix, options);
+    }
+  }
+
+  // Drops the cached usage, after entries were removed or moved
+  invalidate() {
+    this.usage.clear();
+  }
+
+  // The most that can still be added at relativePath without breaking a limit
+  async available(relativePath) {
+    let bytes = Infinity;
+
+    if (this.reserveBytes > 0) {
+      const { free } = await this.diskSpace();
+      bytes = free - this.reserveBytes;
+    }
+    if (this.totalBytes) {
+      bytes = Math.min(bytes, this.totalBytes - await this.used(''));
+    }
+    for (const { prefix, bytes: quota } of this.pathBytes) {
+      if (isUnderPrefix(relativePath, prefix)) {
+        bytes = Math.min(bytes, quota - await this.used(prefix));
+      }
+    }
+
+    return Math.max(bytes, 0);
+  }
+
+  exceeded(message, details) {
+    return { status: 'error', code: QUOTA_EXCEEDED, message, ...details };
+  }
+}
+
+export default StorageQuota;
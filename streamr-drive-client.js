@@ -0,0 +1,937 @@
+// streamr-drive-client.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, randomUUID } from 'crypto';
+import EventEmitter from 'events';
+import dotenv from 'dotenv';
+import { hashFile } from './file-hash.js';
+import { PROTOCOL_VERSION } from './command-schema.js';
+import FolderSync from './folder-sync.js';
+import PayloadCipher, {
+  CipherError,
+  ENCRYPTION_REQUIRED,
+  DECRYPTION_FAILED,
+  encryptionFromEnv,
+  generateKey,
+  generateKeyPair
+} from './payload-cipher.js';
+import { ENCODINGS, negotiateEncoding, encodeMessage, decodeMessage } from './compression.js';
+
+const DEFAULT_TIMEOUT = 30 * 1000;
+const DEFAULT_PART_SIZE = 256 * 1024;
+const DEFAULT_DISCOVER_WAIT = 3 * 1000;
+
+export class DriveError extends Error {
+  constructor(response) {
+    super(response.message || `${response.action} failed`);
+    this.name = 'DriveError';
+    this.code = response.code;
+    // The command field the error is about, if any
+    this.field = response.field;
+    this.response = response;
+  }
+}
+
+// How a message travelled: its encoding, the size of its content and of the body as sent
+function transferOf(message) {
+  return { encoding: message.encoding, decodedSize: message.decodedSize, encodedSize: message.encodedSize };
+}
+
+// The [start, end) byte ranges of a file of size that the sorted ranges leave out
+function missingRanges(ranges, size) {
+  const missing = [];
+  let position = 0;
+
+  for (const [start, end] of ranges) {
+    if (start > position) missing.push([position, start]);
+    position = Math.max(position, end);
+  }
+  if (position < size) missing.push([position, size]);
+  return missing;
+}
+
+// Splits "dir/sub/name.txt" into the { path, name } pair the drive's commands expect
+export function splitRemotePath(remotePath) {
+  const normalized = path.posix.normalize(remotePath || '').replace(/^\/+|\/+$/g, '');
+  const name = path.posix.basename(normalized);
+  const dir = path.posix.dirname(normalized);
+
+  return { path: dir === '.' ? '' : dir, name };
+}
+
+class StreamrDriveClient extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = {
+      privateKey: process.env.STREAMR_PRIVATE_KEY,
+      streamId: process.env.STREAMR_STREAM_ID,
+      deviceId: `streamr-drive-client-${randomUUID().substring(0, 8)}`,
+      timeout: DEFAULT_TIMEOUT,
+      busyRetries: 3, // times a command the drive was too busy for is sent again
+      partRetries: 3, // times a part of uploadFile that got no answer is sent again
+      compression: ENCODINGS, // encodings to ask the drive for, in order of preference; [] turns compression off
+      // deviceId of the drive to address when several drives share the stream
+      target: process.env.DRIVE_TARGET,
+      // { key } shared with the drive, or { privateKey, peers: [drivePublicKey] }, see payload-cipher.js
+      encryption: encryptionFromEnv(process.env.DRIVE_PUBLIC_KEY),
+      // An object with subscribe, publish and shutdown, defaults to a StreamrTransport
+      transport: null,
+      ...config
+    };
+
+    this.transport = null;
+    this.cipher = this.config.encryption ? new PayloadCipher(this.config.encryption) : null;
+    this.pending = new Map();
+    this.watches = new Map();
+    // The encodings the drive takes for commands, known from its first compressed answer
+    this.driveEncodings = null;
+  }
+
+  async initialize() {
+    this.transport = this.config.transport;
+
+    if (!this.transport) {
+      const { default: StreamrTransport } = await import('./streamr-transport.js');
+      this.transport = new StreamrTransport({
+        privateKey: this.config.privateKey,
+        streamId: this.config.streamId,
+        deviceId: this.config.deviceId
+      });
+    }
+
+    await this.transport.subscribe((message) => this.handleMessage(message));
+
+    return this;
+  }
+
+  handleMessage(received) {
+    const opened = this.cipher ? this.openMessage(received) : received;
+    if (!opened) return;
+
+    let message;
+    try {
+      message = decodeMessage(opened);
+    } catch (error) {
+      return;
+    }
+    if (Array.isArray(message.acceptEncoding)) this.driveEncodings = message.acceptEncoding;
+
+    if (message.type === 'file') {
+      const request = this.pending.get(message.requestId);
+      if (request) request.handleFile(message);
+      return;
+    }
+
+    if (message.type !== 'text') return;
+
+    let response;
+    try {
+      response = JSON.parse(message.body);
+    } catch (error) {
+      return;
+    }
+    if (message.encoding !== undefined) response.transfer = transferOf(message);
+
+    const request = this.pending.get(response.requestId);
+    if (request) {
+      request.handleResponse(response);
+    } else if (this.watches.has(response.subscriptionId)) {
+      if (response.action === 'change') this.emit('change', response);
+      if (response.action === 'watch-expired') this.endWatch(response.subscriptionId);
+    } else if (response.status) {
+      // Responses to other clients and events nobody asked for. Commands have no status.
+      this.emit('response', response);
+    }
+  }
+
+  // Decrypts a message, null for messages that are not for us or cannot be trusted. The
+  // plaintext errors a drive answers commands it could not read with are let through, so
+  // that a request with the wrong key fails instead of timing out.
+  openMessage(message) {
+    try {
+      const opened = this.cipher.open(message);
+      return opened && opened.message;
+    } catch (error) {
+      if (!(error instanceof CipherError)) throw error;
+      if (error.code !== ENCRYPTION_REQUIRED || message.type !== 'text') return null;
+
+      try {
+        const { status, code } = JSON.parse(message.body);
+        return status === 'error' && [ENCRYPTION_REQUIRED, DECRYPTION_FAILED].includes(code) ? message : null;
+      } catch (parseError) {
+        return null;
+      }
+    }
+  }
+
+  // Sends a command and resolves with its final response. Messages with status "info"
+  // are passed to onProgress and keep the request alive. onFile receives file messages.
+  // Commands the drive is too busy for are sent again after the retryAfter it asks for.
+  request(action, params = {}, options = {}) {
+    const requestId = randomUUID();
+    const timeout = options.timeout || this.config.timeout;
+    let retries = options.busyRetries !== undefined ? options.busyRetries : this.config.busyRetries;
+
+    return new Promise((resolve, reject) => {
+      let timer;
+
+      const finish = (error, response) => {
+        clearTimeout(timer);
+        this.pending.delete(requestId);
+        error ? reject(error) : resolve(response);
+      };
+
+      const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          finish(new DriveError({ action, code: 'timeout', message: `${action} timed out after ${timeout} ms` }));
+        }, timeout);
+      };
+
+      const request = {
+        handleResponse: (response) => {
+          touch();
+          if (response.status === 'info') {
+            if (options.onProgress) options.onProgress(response);
+          } else if (response.status === 'success') {
+            options.onSuccess ? options.onSuccess(response, finish) : finish(null, response);
+          } else if (response.code === 'busy' && retries > 0) {
+            // The drive did not remember the busy request, so it can keep its requestId
+            retries--;
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+              touch();
+              this.publishCommand(action, requestId, params).catch((error) => finish(error));
+            }, response.retryAfter);
+          } else {
+            finish(new DriveError(response));
+          }
+        },
+        handleFile: (message) => {
+          touch();
+          if (options.onFile) options.onFile(message, finish);
+        }
+      };
+
+      this.pending.set(requestId, request);
+      touch();
+
+      this.publishCommand(action, requestId, params).catch((error) => finish(error));
+    });
+  }
+
+  // requestId and target also go on the envelope, ahead of the body, so that a drive
+  // can tell what a large command is and whom it is for from its first chunk
+  async publishCommand(action, requestId, params) {
+    const { target, compression } = this.config;
+    const acceptEncoding = compression.length > 0 ? compression : undefined;
+    let message = {
+      type: 'text',
+      requestId,
+      target,
+      body: JSON.stringify({ action, requestId, protocolVersion: PROTOCOL_VERSION, target, acceptEncoding, ...params }),
+      deviceId: this.config.deviceId
+    };
+
+    // Older drives cannot read compressed commands, so wait until the drive tells us its encodings
+    if (acceptEncoding && this.driveEncodings) {
+      message = encodeMessage(message, negotiateEncoding(compression, this.driveEncodings));
+    }
+
+    return this.transport.publish(this.cipher ? this.cipher.seal(message) : message);
+  }
+
+  // Asks every drive on the stream to introduce itself, whatever the target. Resolves
+  // with the answers that arrived within options.wait ms, one per drive.
+  discover(options = {}) {
+    const requestId = randomUUID();
+    const drives = new Map();
+
+    return new Promise((resolve, reject) => {
+      const finish = (error) => {
+        clearTimeout(timer);
+        this.pending.delete(requestId);
+        error ? reject(error) : resolve([...drives.values()]);
+      };
+      const timer = setTimeout(() => finish(null), options.wait || DEFAULT_DISCOVER_WAIT);
+
+      this.pending.set(requestId, {
+        handleResponse: (response) => {
+          if (response.status === 'success') drives.set(response.deviceId, response);
+          if (response.code === 'shutdown') finish(null);
+        },
+        handleFile: () => {}
+      });
+
+      this.publishCommand('discover', requestId, {}).catch((error) => finish(error));
+    });
+  }
+
+  ping(options) {
+    return this.request('ping', {}, options);
+  }
+
+  // The protocol versions, actions with their fields, and limits the drive supports
+  capabilities(options) {
+    return this.request('capabilities', {}, options);
+  }
+
+  // Uptime, disk space, commands and transfers in flight, traffic and errors of the drive
+  status(options) {
+    return this.request('status', {}, options);
+  }
+
+  // Like request, but for list and search: resolves with the final response, whose files
+  // then hold the entries of every batch
+  query(action, params, options = {}) {
+    const files = [];
+
+    return this.request(action, params, {
+      ...options,
+      onProgress: (response) => {
+        if (response.files) files.push(...response.files);
+      }
+    }).then((response) => ({ ...response, files: files.concat(response.files) }));
+  }
+
+  // Options are passed on to the drive: withHash, recursive, maxDepth, include, exclude,
+  // sortBy, order, limit and cursor
+  async list(remotePath = '', options = {}) {
+    const { timeout, ...params } = options;
+    const response = await this.query('list', { ...params, path: remotePath }, { timeout });
+    return response.files;
+  }
+
+  // criteria: pattern, type, minSize, maxSize, modifiedAfter, modifiedBefore and the list options
+  async search(remotePath = '', criteria = {}, options = {}) {
+    const response = await this.query('search', { ...criteria, path: remotePath }, options);
+    return response.files;
+  }
+
+  // Subscribes to changes below a directory, options.recursive includes subdirectories.
+  // Changes are emitted as 'change' events holding the subscriptionId and the changes. The
+  // subscription is renewed until unwatch(); if renewing fails 'watch-expired' is emitted.
+  async watch(remotePath = '', options = {}) {
+    const response = await this.request('watch', {
+      path: remotePath,
+      recursive: options.recursive,
+      ttl: options.ttl
+    }, options);
+    const { subscriptionId } = response;
+
+    const timer = setInterval(() => {
+      this.request('watch', { subscriptionId, ttl: options.ttl }).catch(() => this.endWatch(subscriptionId));
+    }, response.ttl / 2);
+    this.watches.set(subscriptionId, { path: response.path, timer });
+
+    return response;
+  }
+
+  unwatch(subscriptionId, options) {
+    const watch = this.watches.get(subscriptionId);
+    if (watch) {
+      clearInterval(watch.timer);
+      this.watches.delete(subscriptionId);
+    }
+
+    return this.request('unwatch', { subscriptionId }, options);
+  }
+
+  endWatch(subscriptionId) {
+    const watch = this.watches.get(subscriptionId);
+    if (!watch) return;
+
+    clearInterval(watch.timer);
+    this.watches.delete(subscriptionId);
+    this.emit('watch-expired', { subscriptionId, path: watch.path });
+  }
+
+  info(remotePath, options) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    return this.request('info', { path: dirPath, fileName: name }, options);
+  }
+
+  mkdir(remotePath, options) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    return this.request('mkdir', { path: dirPath, dirName: name }, options);
+  }
+
+  usage(remotePath = '', options) {
+    return this.request('usage', { path: remotePath }, options);
+  }
+
+  async versions(remotePath, options) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    const response = await this.request('versions', { path: dirPath, fileName: name }, options);
+    return response.versions;
+  }
+
+  restoreVersion(remotePath, version, options = {}) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    return this.request('restore-version', { path: dirPath, fileName: name, version, ifMatch: options.ifMatch }, options);
+  }
+
+  // Deleted entries go to the trash unless options.permanent is set
+  delete(remotePath, options = {}) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    return this.request('delete', { path: dirPath, fileName: name, permanent: options.permanent }, options);
+  }
+
+  async trash(options) {
+    const response = await this.request('trash-list', {}, options);
+    return response.items;
+  }
+
+  // options.onConflict is fail, overwrite or suffix, for when the original location is taken
+  restore(id, options = {}) {
+    return this.request('restore', { id, onConflict: options.onConflict }, options);
+  }
+
+  // Removes a single item when an id is given, otherwise everything in the trash
+  emptyTrash(id, options) {
+    return this.request('trash-empty', { id }, options);
+  }
+
+  // The drive's record of commands that changed its storage, newest first, as entries and
+  // whether older ones were left out. options.path, operation (an action), sender, since,
+  // until and limit narrow it down; pass the time of the oldest entry as until for more.
+  history(options = {}) {
+    const { path: remotePath, operation, sender, since, until, limit } = options;
+    return this.request('history', { path: remotePath, operation, sender, since, until, limit }, options);
+  }
+
+  rename(remotePath, newName, options) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    return this.request('rename', { path: dirPath, oldName: name, newName }, options);
+  }
+
+  // Moves or copies to a full destination path. options.onConflict is fail, overwrite or suffix.
+  move(remotePath, destinationRemotePath, options = {}) {
+    return this.transfer('move', remotePath, destinationRemotePath, options);
+  }
+
+  copy(remotePath, destinationRemotePath, options = {}) {
+    return this.transfer('copy', remotePath, destinationRemotePath, options);
+  }
+
+  transfer(action, remotePath, destinationRemotePath, options) {
+    const source = splitRemotePath(remotePath);
+    const destination = splitRemotePath(destinationRemotePath);
+
+    return this.request(action, {
+      path: source.path,
+      fileName: source.name,
+      destinationPath: destination.path,
+      destinationName: destination.name,
+      onConflict: options.onConflict
+    }, options);
+  }
+
+  // Uploads a buffer in a single command. The drive verifies it against our own hash.
+  // With options.extract the data is a zip or tar.gz archive, which the drive unpacks into
+  // the directory of remotePath; options.onConflict then applies to the unpacked files.
+  async upload(remotePath, data, options = {}) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    const expectedHash = createHash('sha256').update(data).digest('hex');
+
+    return this.request('upload', {
+      path: dirPath,
+      fileName: name,
+      data: data.toString('base64'),
+      expectedHash,
+      ifMatch: options.ifMatch,
+      extract: options.extract,
+      onConflict: options.onConflict
+    }, options);
+  }
+
+  // Sends a command again, up to retries times, while it times out or cannot be published.
+  // Errors the drive answered with are final.
+  async requestWithRetries(action, params, options, retries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.request(action, params, options);
+      } catch (error) {
+        if (attempt >= retries || (error instanceof DriveError && error.code !== 'timeout')) throw error;
+      }
+    }
+  }
+
+  // Uploads a local file through an upload session, part by part, so that it never has to
+  // fit into a single message. onProgress is called with the number of bytes sent and the
+  // sessionId. Parts are sent again up to partRetries times; if the upload still fails the
+  // session is kept and the error carries its sessionId. Passed back as options.sessionId
+  // it resumes the upload, sending only the ranges upload-status reports as missing.
+  // options.extract and options.onConflict work as for upload().
+  async uploadFile(localPath, remotePath, options = {}) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    const partSize = options.partSize || DEFAULT_PART_SIZE;
+    const partRetries = options.partRetries !== undefined ? options.partRetries : this.config.partRetries;
+    const { size } = await fs.stat(localPath);
+
+    const requestOptions = { timeout: options.timeout };
+    let { sessionId } = options;
+    let ranges = [];
+
+    if (sessionId) {
+      const status = await this.request('upload-status', { sessionId }, requestOptions);
+      if (status.size !== size) {
+        throw new Error(`Upload session ${sessionId} is for ${status.size} bytes, ${localPath} has ${size}`);
+      }
+      ranges = status.ranges;
+    } else {
+      ({ sessionId } = await this.request('upload-begin', {
+        path: dirPath,
+        fileName: name,
+        size,
+        hash: await hashFile(localPath),
+        ifMatch: options.ifMatch,
+        extract: options.extract,
+        onConflict: options.onConflict
+      }, requestOptions));
+    }
+    const handle = await fs.open(localPath, 'r');
+
+    try {
+      const buffer = Buffer.alloc(partSize);
+      let sent = ranges.reduce((total, [start, end]) => total + end - start, 0);
+
+      for (const [start, end] of missingRanges(ranges, size)) {
+        for (let offset = start; offset < end; offset += partSize) {
+          const { bytesRead } = await handle.read(buffer, 0, Math.min(partSize, end - offset), offset);
+          await this.requestWithRetries('upload-append', {
+            sessionId,
+            offset,
+            data: buffer.subarray(0, bytesRead).toString('base64')
+          }, requestOptions, partRetries);
+
+          sent += bytesRead;
+          if (options.onProgress) options.onProgress({ sent, size, sessionId });
+        }
+      }
+
+      return await this.request('upload-commit', { sessionId }, requestOptions);
+    } catch (error) {
+      error.sessionId = sessionId;
+      throw error;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Downloads a file, or a byte range of it with offset/length, into a buffer. A directory
+  // arrives as an archive in options.format, zip unless tar.gz is asked for.
+  download(remotePath, options = {}) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    let data = null;
+    let done = null;
+
+    // The success response and the file message may arrive in either order
+    return this.request('download', {
+      path: dirPath,
+      fileName: name,
+      offset: options.offset,
+      length: options.length,
+      version: options.version,
+      format: options.format
+    }, {
+      ...options,
+      onFile: (message, finish) => {
+        data = Buffer.from(message.body, 'base64');
+        if (done) finish(null, data);
+      },
+      onSuccess: (response, finish) => {
+        done = response;
+        if (data) finish(null, data);
+      }
+    });
+  }
+
+  // Streams a file slice by slice straight into a local file and checks its checksum
+  async downloadToFile(remotePath, localPath, options = {}) {
+    const { path: dirPath, name } = splitRemotePath(remotePath);
+    const handle = await fs.open(localPath, 'w');
+    const writes = [];
+    const transfer = { encoding: undefined, decodedSize: 0, encodedSize: 0 };
+    let received = 0;
+    let totalSlices = null;
+    let done = null;
+
+    try {
+      const response = await this.request('download', {
+        path: dirPath,
+        fileName: name,
+        stream: true,
+        version: options.version,
+        format: options.format
+      }, {
+        ...options,
+        onProgress: (info) => {
+          totalSlices = info.totalSlices;
+        },
+        onFile: (message, finish) => {
+          writes.push(handle.write(Buffer.from(message.body, 'base64'), 0, message.length, message.offset));
+          received++;
+          if (message.encoding !== undefined) {
+            if (transfer.encoding === undefined || message.encoding !== 'identity') transfer.encoding = message.encoding;
+            transfer.decodedSize += message.decodedSize;
+            transfer.encodedSize += message.encodedSize;
+          }
+          if (options.onProgress) options.onProgress({ received, totalSlices, size: message.fileSize });
+          if (done && received === totalSlices) finish(null, done);
+        },
+        onSuccess: (result, finish) => {
+          done = result;
+          totalSlices = result.totalSlices;
+          if (received === totalSlices) finish(null, done);
+        }
+      });
+
+      await Promise.all(writes);
+      await handle.close();
+
+      const hash = await hashFile(localPath);
+      if (hash !== response.checksum) {
+        throw new DriveError({ action: 'download', code: 'checksum-mismatch', message: 'Downloaded data does not match the checksum' });
+      }
+
+      // The slices are what counts here, not the final response
+      return transfer.encoding !== undefined ? { ...response, transfer } : response;
+    } catch (error) {
+      await Promise.allSettled(writes);
+      await handle.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  // Syncs a local folder with a drive path, see FolderSync for the options. Resolves with
+  // the operations carried out (or only planned with dryRun), the conflicts and failures.
+  sync(localDir, remotePath, options = {}) {
+    const { dryRun, onOperation, ...config } = options;
+    return new FolderSync({ ...config, client: this, localDir, remotePath }).run({ dryRun, onOperation });
+  }
+
+  async shutdown() {
+    for (const watch of this.watches.values()) {
+      clearInterval(watch.timer);
+    }
+    this.watches.clear();
+
+    for (const request of this.pending.values()) {
+      request.handleResponse({ status: 'error', code: 'shutdown', message: 'Client shut down' });
+    }
+
+    if (this.transport) {
+      await this.transport.shutdown();
+    }
+  }
+}
+
+export default StreamrDriveClient;
+
+const USAGE = `Usage: node streamr-drive-client.js <command> [arguments]
+
+Commands (mv, cp, restore and put --extract take --overwrite or --suffix for existing destinations;
+every command takes --target=<deviceId> to address one of several drives on the stream):
+  ls [path] [--hash] [-R]       List a directory, -R includes all subdirectories
+  find [path] <pattern>         Find files and directories by name, e.g. "*.jpg"
+  put <localFile> [remotePath]  Upload a file, --extract unpacks a zip or tar.gz archive,
+                                --resume=<sessionId> continues an upload that failed
+  get <remotePath> [localFile]  Download a file, --version=<id> fetches an earlier version;
+                                directories arrive as zip, or as tar.gz with --format=tar.gz
+  versions <remotePath>         List the earlier versions of a file
+  revert <remotePath> <id>      Make an earlier version the current content
+  rm <remotePath> [--permanent] Move a file or directory to the trash, or delete it for good
+  trash                         List the trash
+  restore <id>                  Restore an item from the trash to where it came from
+  empty-trash [id]              Permanently delete one item or everything in the trash
+  mkdir <remotePath>            Create a directory
+  mv <remotePath> <newPath>     Move or rename a file or directory
+  cp <remotePath> <newPath>     Copy a file or directory
+  stat <remotePath>             Show file information
+  du [path]                     Show disk usage, free space and quotas
+  history [path]                Show who changed what, --action=<action>, --sender=<address>,
+                                --since=<date> and --until=<date> narrow it down
+  watch [path] [-R]             Print changes as they happen until Ctrl+C
+  sync <localDir> [remotePath]  Sync a folder both ways, or one way with --push or --pull;
+                                --dry-run only prints the plan, --prefer-local or
+                                --prefer-remote settles conflicts instead of skipping them
+  ping                          Check that the drive responds
+  status                        Show uptime, disk space, traffic and errors of the drive
+  discover                      List the drives on the stream
+  keygen                        Print a new shared key and key pair for encryption`;
+
+function formatEntry(file) {
+  const type = file.isDirectory ? 'd' : '-';
+  const size = String(file.isDirectory ? '' : file.size).padStart(12);
+  const modified = new Date(file.modified).toISOString().replace('T', ' ').substring(0, 19);
+  return `${type} ${size}  ${modified}  ${file.path || file.name}${file.hash ? `  ${file.hash}` : ''}`;
+}
+
+function formatChange(change) {
+  const time = new Date(change.time).toISOString().replace('T', ' ').substring(0, 19);
+  return `${time}  ${change.type.padEnd(8)}  ${change.from ? `${change.from} -> ` : ''}${change.path}`;
+}
+
+function formatHistoryEntry(entry) {
+  const time = entry.time.replace('T', ' ').substring(0, 19);
+  const result = entry.status === 'success' ? '' : `  (${entry.code})`;
+  return `${time}  ${entry.action.padEnd(15)}  ${entry.senderId || '?'}  ${entry.paths.join(' -> ')}${result}`;
+}
+
+function formatSyncOperation(operation) {
+  return `${operation.type.padEnd(13)}  ${operation.path}${operation.size !== undefined ? ` (${operation.size} bytes)` : ''}`;
+}
+
+async function runCli(args) {
+  const [command, ...rest] = args;
+  const flags = rest.filter((arg) => arg.startsWith('-'));
+  const params = rest.filter((arg) => !arg.startsWith('-'));
+
+  if (!command || command === 'help' || flags.includes('--help')) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (command === 'keygen') {
+    const { privateKey, publicKey } = generateKeyPair();
+    console.log(`Shared key, ENCRYPTION_KEY on the drive and every client:\n  ${generateKey()}`);
+    console.log('Key pair, the private key is ENCRYPTION_PRIVATE_KEY here, the public key goes to the other side:');
+    console.log(`  private ${privateKey}\n  public  ${publicKey}`);
+    return 0;
+  }
+
+  const missingEnvVars = ['STREAMR_PRIVATE_KEY', 'STREAMR_STREAM_ID'].filter((name) => !process.env[name]);
+  if (missingEnvVars.length > 0) {
+    console.error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
+    return 1;
+  }
+
+  const targetFlag = flags.find((flag) => flag.startsWith('--target='));
+  const client = new StreamrDriveClient(targetFlag ? { target: targetFlag.substring('--target='.length) } : {});
+  await client.initialize();
+
+  try {
+    switch (command) {
+      case 'ls': {
+        const files = await client.list(params[0] || '', {
+          withHash: flags.includes('--hash'),
+          recursive: flags.includes('-R')
+        });
+        files.forEach((file) => console.log(formatEntry(file)));
+        break;
+      }
+      case 'find': {
+        if (!params[0]) throw new Error('find needs a name pattern');
+        const [searchPath, pattern] = params.length > 1 ? params : ['', params[0]];
+        const files = await client.search(searchPath, { pattern });
+        files.forEach((file) => console.log(formatEntry(file)));
+        break;
+      }
+      case 'put': {
+        if (!params[0]) throw new Error('put needs a local file');
+        const remotePath = !params[1] || params[1].endsWith('/')
+          ? `${params[1] || ''}${path.basename(params[0])}`
+          : params[1];
+        const extract = flags.includes('--extract');
+        const onConflict = flags.includes('--overwrite') ? 'overwrite' : flags.includes('--suffix') ? 'suffix' : 'fail';
+        const resumeFlag = flags.find((flag) => flag.startsWith('--resume='));
+        const response = await client.uploadFile(params[0], remotePath, {
+          extract,
+          onConflict,
+          sessionId: resumeFlag ? resumeFlag.substring('--resume='.length) : undefined,
+          onProgress: ({ sent, size }) => process.stderr.write(`\r${sent}/${size} bytes`)
+        }).catch((error) => {
+          if (error.sessionId) process.stderr.write(`\nResume with --resume=${error.sessionId}`);
+          throw error;
+        });
+        process.stderr.write('\n');
+        if (extract) {
+          const { files, directories, size } = response.extracted;
+          console.log(`Extracted ${files} files and ${directories} directories (${size} bytes) into /${response.path}`);
+        } else {
+          console.log(`Uploaded ${remotePath} (${response.size} bytes, sha256 ${response.hash})`);
+        }
+        break;
+      }
+      case 'get': {
+        if (!params[0]) throw new Error('get needs a remote path');
+        const versionFlag = flags.find((flag) => flag.startsWith('--version='));
+        const formatFlag = flags.find((flag) => flag.startsWith('--format='));
+        const format = formatFlag ? formatFlag.substring('--format='.length) : undefined;
+        const localPath = params[1] || `${path.posix.basename(params[0])}${format ? `.${format}` : ''}`;
+        const response = await client.downloadToFile(params[0], localPath, {
+          version: versionFlag ? versionFlag.substring('--version='.length) : undefined,
+          format,
+          onProgress: ({ received, totalSlices }) => process.stderr.write(`\r${received}/${totalSlices || '?'} slices`)
+        });
+        process.stderr.write('\n');
+        console.log(`Downloaded ${params[0]} to ${localPath} (${response.size} bytes)`);
+        break;
+      }
+      case 'versions': {
+        if (!params[0]) throw new Error('versions needs a remote path');
+        const versions = await client.versions(params[0]);
+        versions.forEach((version) => {
+          const modified = new Date(version.modified).toISOString().replace('T', ' ').substring(0, 19);
+          console.log(`${version.id}  ${modified}  ${String(version.size).padStart(12)}  ${version.hash}`);
+        });
+        break;
+      }
+      case 'revert': {
+        if (!params[0] || !params[1]) throw new Error('revert needs a remote path and a version id');
+        await client.restoreVersion(params[0], params[1]);
+        console.log(`Restored version ${params[1]} of ${params[0]}`);
+        break;
+      }
+      case 'rm':
+        if (!params[0]) throw new Error('rm needs a remote path');
+        await client.delete(params[0], { permanent: flags.includes('--permanent') });
+        console.log(`Deleted ${params[0]}`);
+        break;
+      case 'trash': {
+        const items = await client.trash();
+        items.forEach((item) => {
+          const deletedAt = new Date(item.deletedAt).toISOString().replace('T', ' ').substring(0, 19);
+          console.log(`${item.id}  ${deletedAt}  ${item.originalPath}${item.isDirectory ? '/' : ''}`);
+        });
+        break;
+      }
+      case 'restore': {
+        if (!params[0]) throw new Error('restore needs a trash item id');
+        const onConflict = flags.includes('--overwrite') ? 'overwrite' : flags.includes('--suffix') ? 'suffix' : 'fail';
+        const response = await client.restore(params[0], { onConflict });
+        console.log(`Restored ${path.posix.join(response.path, response.fileName)}`);
+        break;
+      }
+      case 'empty-trash': {
+        const response = await client.emptyTrash(params[0]);
+        console.log(`Removed ${response.removed} items from the trash`);
+        break;
+      }
+      case 'mkdir':
+        if (!params[0]) throw new Error('mkdir needs a remote path');
+        await client.mkdir(params[0]);
+        console.log(`Created ${params[0]}`);
+        break;
+      case 'mv':
+      case 'cp': {
+        if (!params[0] || !params[1]) throw new Error(`${command} needs a source and a destination`);
+        const onConflict = flags.includes('--overwrite') ? 'overwrite' : flags.includes('--suffix') ? 'suffix' : 'fail';
+        const transfer = command === 'mv' ? client.move.bind(client) : client.copy.bind(client);
+        let reported = false;
+        const target = params[1].endsWith('/') ? `${params[1]}${path.posix.basename(params[0])}` : params[1];
+        const response = await transfer(params[0], target, {
+          onConflict,
+          onProgress: ({ copiedBytes, totalBytes }) => {
+            reported = true;
+            process.stderr.write(`\r${copiedBytes}/${totalBytes} bytes`);
+          }
+        });
+        if (reported) process.stderr.write('\n');
+        const destination = path.posix.join(response.destinationPath, response.destinationName);
+        console.log(`${command === 'mv' ? 'Moved' : 'Copied'} ${params[0]} to ${destination}`);
+        break;
+      }
+      case 'stat': {
+        if (!params[0]) throw new Error('stat needs a remote path');
+        const { action, status, requestId, ...info } = await client.info(params[0]);
+        console.log(JSON.stringify(info, null, 2));
+        break;
+      }
+      case 'du': {
+        const usage = await client.usage(params[0] || '');
+        usage.directories.forEach((dir) => console.log(`${String(dir.size).padStart(14)}  ${dir.name}/`));
+        console.log(`${String(usage.size).padStart(14)}  total in ${usage.path || '/'}`);
+        console.log(`\nDrive: ${usage.used} bytes used (trash ${usage.trash}, versions ${usage.versions})`);
+        console.log(`Disk: ${usage.disk.free} of ${usage.disk.total} bytes free, ${usage.reserve} kept in reserve`);
+        usage.quotas.forEach((quota) => console.log(`Quota ${quota.path || '/'}: ${quota.used} of ${quota.quota} bytes`));
+        break;
+      }
+      case 'history': {
+        const flagValue = (name) => {
+          const flag = flags.find((arg) => arg.startsWith(`--${name}=`));
+          return flag ? flag.substring(name.length + 3) : undefined;
+        };
+        const { entries, truncated } = await client.history({
+          path: params[0],
+          operation: flagValue('action'),
+          sender: flagValue('sender'),
+          since: flagValue('since'),
+          until: flagValue('until')
+        });
+        entries.forEach((entry) => console.log(formatHistoryEntry(entry)));
+        if (truncated) console.error(`Older entries left out, continue with --until=${entries[entries.length - 1].time}`);
+        break;
+      }
+      case 'watch': {
+        client.on('change', ({ changes }) => changes.forEach((change) => console.log(formatChange(change))));
+        const { subscriptionId, path: watchedPath } = await client.watch(params[0] || '', { recursive: flags.includes('-R') });
+        console.error(`Watching /${watchedPath} for changes, press Ctrl+C to stop`);
+        await new Promise((resolve) => {
+          process.once('SIGINT', resolve);
+          client.once('watch-expired', resolve);
+        });
+        await client.unwatch(subscriptionId).catch(() => {});
+        break;
+      }
+      case 'sync': {
+        if (!params[0]) throw new Error('sync needs a local folder');
+        const mode = flags.includes('--push') ? 'push' : flags.includes('--pull') ? 'pull' : 'bidirectional';
+        const onConflict = flags.includes('--prefer-local') ? 'local' : flags.includes('--prefer-remote') ? 'remote' : 'skip';
+        const dryRun = flags.includes('--dry-run');
+        const result = await client.sync(params[0], params[1] || '', {
+          mode,
+          onConflict,
+          dryRun,
+          onOperation: (operation) => console.log(formatSyncOperation(operation))
+        });
+        if (dryRun) result.operations.forEach((operation) => console.log(formatSyncOperation(operation)));
+        result.conflicts.forEach((conflict) => console.log(`conflict       ${conflict.path} (${conflict.reason})`));
+        result.failed.forEach((failure) => console.error(`failed         ${failure.path}: ${failure.error}`));
+        console.log(`${result.operations.length} operations${dryRun ? ' planned' : ''}, ${result.conflicts.length} conflicts`);
+        return result.failed.length > 0 ? 1 : 0;
+      }
+      case 'ping': {
+        const started = Date.now();
+        await client.ping();
+        console.log(`pong in ${Date.now() - started} ms`);
+        break;
+      }
+      case 'status': {
+        const { action, status, requestId, ...report } = await client.status();
+        console.log(JSON.stringify(report, null, 2));
+        break;
+      }
+      case 'discover': {
+        const drives = await client.discover();
+        drives.forEach((drive) => {
+          console.log(`${drive.deviceId}  ${String(drive.disk.free).padStart(14)} bytes free  ${drive.name} (${drive.hostname})`);
+        });
+        console.log(`${drives.length} drives found`);
+        break;
+      }
+      default:
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return 1;
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}${error.code ? ` (${error.code})` : ''}`);
+    return 1;
+  } finally {
+    await client.shutdown();
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  runCli(process.argv.slice(2)).then(
+    (exitCode) => process.exit(exitCode),
+    (error) => {
+      console.error('Error:', error);
+      process.exit(1);
+    }
+  );
+}
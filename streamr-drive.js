@@ -2,13 +2,210 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import StreamrClient from '@streamr/sdk';
-import { StreamrChunker } from 'streamr-chunker';
 import StreamrMessageController from './message-controller.js';
-import { createHash } from 'crypto';
+import {
+  resolveStoragePath,
+  commandPath,
+  isInside,
+  PathError,
+  TEMP_FOLDER_NAME,
+  TRASH_FOLDER_NAME,
+  VERSIONS_FOLDER_NAME,
+  RESERVED_FOLDER_NAMES
+} from './path-resolver.js';
+import AccessControl, { FORBIDDEN } from './access-control.js';
+import UploadSessions from './upload-sessions.js';
+import TrashBin from './trash-bin.js';
+import FileVersions from './file-versions.js';
+import StorageQuota, { QUOTA_EXCEEDED } from './storage-quota.js';
+import ChangeWatcher from './change-watcher.js';
+import CommandScheduler, { BUSY } from './command-scheduler.js';
+import AuditLog from './audit-log.js';
+import DriveMetrics, { startMetricsServer } from './drive-metrics.js';
+import WebDavGateway from './webdav-gateway.js';
+import PayloadCipher, { CipherError, DECRYPTION_FAILED, encryptionFromEnv } from './payload-cipher.js';
+import { ENCODINGS, negotiateEncoding, encodeMessage, decodeMessage } from './compression.js';
+import {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  COMMAND_SCHEMAS,
+  INVALID_COMMAND,
+  INTERNAL_ERROR,
+  validateCommand,
+  checkProtocolVersion
+} from './command-schema.js';
+import { ARCHIVE_FORMATS, ArchiveError, createArchive, extractArchive } from './archive.js';
+import { HashCache, hashFile, isSha256 } from './file-hash.js';
+import {
+  exists,
+  measureTree,
+  copyTree,
+  findAvailablePath,
+  siblingTempPath,
+  isSiblingTempName,
+  replaceEntry
+} from './file-operations.js';
+import { createMatcher, walkTree, sortEntries, paginate, parseTime } from './file-listing.js';
+import { createHash, randomUUID } from 'crypto';
 import os from 'os';
 
-const TEMP_FOLDER_NAME = 'temp';
+const UPLOADS_FOLDER_NAME = 'uploads';
+const PACKAGE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'package.json');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Bytes of a message body as it travels, which for files is base64
+const bodySize = (message) => (typeof message.body === 'string' ? Buffer.byteLength(message.body) : 0);
+
+async function readServerVersion() {
+  const { version } = JSON.parse(await fs.readFile(PACKAGE_FILE, 'utf8'));
+  return version;
+}
+
+async function readRange(filePath, offset, length) {
+  const handle = await fs.open(filePath, 'r');
+  
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, offset);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Answered right away instead of being scheduled: they touch no files, and download-cancel
+// must not wait behind the download it cancels
+const UNSCHEDULED_ACTIONS = ['ping', 'discover', 'capabilities', 'status', 'download-cancel'];
+
+// Run again when their requestId repeats instead of being answered from cache: they change
+// nothing, and what they send before their final response is not cached
+const RERUN_ACTIONS = ['download', 'list', 'search'];
+
+const readLock = (lockPath) => ({ path: lockPath, mode: 'read' });
+const writeLock = (lockPath) => ({ path: lockPath, mode: 'write' });
+const sessionPath = (sessionId) => path.posix.join(TEMP_FOLDER_NAME, UPLOADS_FOLDER_NAME, sessionId);
+
+// The path locks every scheduled action runs under. With onConflict "suffix" the final
+// name is only picked while running, so the whole directory is locked.
+const COMMAND_LOCKS = {
+  list: (drive, c) => [readLock(commandPath(c.path))],
+  search: (drive, c) => [readLock(commandPath(c.path))],
+  upload: (drive, c) => [writeLock(c.extract ? commandPath(c.path) : commandPath(c.path, c.fileName))],
+  'upload-begin': () => [],
+  'upload-append': (drive, c) => [writeLock(sessionPath(c.sessionId))],
+  'upload-status': (drive, c) => [readLock(sessionPath(c.sessionId))],
+  'upload-commit': async (drive, c) => {
+    const session = await drive.uploadSessions.get(c.sessionId, c.senderId);
+    if (!session) return [];
+    return [
+      writeLock(sessionPath(c.sessionId)),
+      writeLock(session.extract ? commandPath(session.path) : commandPath(session.path, session.fileName))
+    ];
+  },
+  'upload-abort': (drive, c) => [writeLock(sessionPath(c.sessionId))],
+  download: (drive, c) => [readLock(commandPath(c.path, c.fileName))],
+  delete: (drive, c) => [writeLock(commandPath(c.path, c.fileName))],
+  mkdir: (drive, c) => [writeLock(commandPath(c.path, c.dirName))],
+  info: (drive, c) => [readLock(commandPath(c.path, c.fileName))],
+  rename: (drive, c) => [writeLock(commandPath(c.path, c.oldName)), writeLock(commandPath(c.path, c.newName))],
+  copy: (drive, c) => [readLock(commandPath(c.path, c.fileName)), writeLock(transferDestination(c))],
+  move: (drive, c) => [writeLock(commandPath(c.path, c.fileName)), writeLock(transferDestination(c))],
+  versions: (drive, c) => [readLock(commandPath(c.path, c.fileName))],
+  'restore-version': (drive, c) => [writeLock(commandPath(c.path, c.fileName))],
+  usage: (drive, c) => [readLock(commandPath(c.path))],
+  'trash-list': () => [],
+  restore: async (drive, c) => {
+    const item = await drive.trash.get(c.id);
+    if (!item) return [];
+    return [writeLock(c.onConflict === 'suffix' ? commandPath(path.posix.dirname(item.originalPath)) : item.originalPath)];
+  },
+  'trash-empty': () => [],
+  watch: (drive, c) => (c.subscriptionId !== undefined ? [] : [readLock(commandPath(c.path))]),
+  unwatch: () => [],
+  history: () => []
+};
+
+// The requestId to answer a message the cipher rejected with, null if it is no command.
+// Plaintext is looked into. Sealed messages are only answered if their envelope carries a
+// requestId, as clients' commands do and drives' responses do not, so that drives sharing
+// a stream do not answer each other's rejections.
+function rejectedRequest(message) {
+  if (message.type !== 'text') return null;
+  if (message.encryption !== undefined) {
+    return message.requestId !== undefined ? { requestId: message.requestId } : null;
+  }
+  
+  try {
+    const body = JSON.parse(message.body);
+    if (!body || typeof body !== 'object' || body.status !== undefined) return null;
+    return { requestId: body.requestId !== undefined ? body.requestId : message.requestId };
+  } catch (error) {
+    return { requestId: message.requestId };
+  }
+}
+
+function transferDestination(c) {
+  if (c.onConflict === 'suffix') return commandPath(c.destinationPath);
+  return commandPath(c.destinationPath, c.destinationName || path.posix.basename(commandPath(c.fileName)));
+}
+
+// The actions that change the storage and what the audit log records of them, from the
+// command and its final response r: the storage paths touched, the bytes transferred and
+// the trash item involved. Upload sessions are recorded at upload-commit, when the file lands.
+const AUDITED_ACTIONS = {
+  upload: (c, r) => ({
+    paths: [commandPath(c.path, c.fileName)],
+    bytes: typeof c.data === 'string' ? Buffer.byteLength(c.data, 'base64') : undefined
+  }),
+  'upload-commit': (c, r) => ({ paths: r.fileName !== undefined ? [commandPath(r.path, r.fileName)] : [], bytes: r.size }),
+  delete: (c, r) => ({ paths: [commandPath(c.path, c.fileName)], trashId: r.trashId }),
+  mkdir: (c) => ({ paths: [commandPath(c.path, c.dirName)] }),
+  rename: (c) => ({ paths: [commandPath(c.path, c.oldName), commandPath(c.path, c.newName)] }),
+  copy: (c, r) => ({ paths: [commandPath(c.path, c.fileName), auditedDestination(c, r)], bytes: r.size }),
+  move: (c, r) => ({ paths: [commandPath(c.path, c.fileName), auditedDestination(c, r)], bytes: r.size }),
+  'restore-version': (c, r) => ({ paths: [commandPath(c.path, c.fileName)], bytes: r.size }),
+  restore: (c, r) => ({ paths: r.fileName !== undefined ? [commandPath(r.path, r.fileName)] : [], trashId: c.id }),
+  'trash-empty': (c) => ({ paths: [], trashId: c.id })
+};
+
+// Where a copy or move ended up, which with onConflict "suffix" only the response knows
+const auditedDestination = (c, r) => (r.destinationName !== undefined
+  ? commandPath(c.destinationPath, r.destinationName)
+  : transferDestination(c));
+
+// Every action of COMMAND_SCHEMAS and the method carrying it out
+const COMMAND_HANDLERS = {
+  ping: (drive, command) => drive.handlePing(command),
+  discover: (drive, command) => drive.handleDiscover(command),
+  capabilities: (drive, command) => drive.sendCapabilities(command),
+  status: (drive, command) => drive.sendStatus(command),
+  list: (drive, command) => drive.listFiles(command),
+  search: (drive, command) => drive.searchFiles(command),
+  upload: (drive, command) => drive.saveFile(command),
+  'upload-begin': (drive, command) => drive.beginUploadSession(command),
+  'upload-append': (drive, command) => drive.appendUploadSession(command),
+  'upload-status': (drive, command) => drive.getUploadSessionStatus(command),
+  'upload-commit': (drive, command) => drive.commitUploadSession(command),
+  'upload-abort': (drive, command) => drive.abortUploadSession(command),
+  download: (drive, command) => drive.downloadFile(command),
+  'download-cancel': (drive, command) => drive.cancelDownload(command),
+  delete: (drive, command) => drive.deleteFile(command),
+  mkdir: (drive, command) => drive.createDirectory(command),
+  info: (drive, command) => drive.getFileInfo(command),
+  rename: (drive, command) => drive.renameFile(command),
+  copy: (drive, command) => drive.transferEntry(command, 'copy'),
+  move: (drive, command) => drive.transferEntry(command, 'move'),
+  versions: (drive, command) => drive.listVersions(command),
+  'restore-version': (drive, command) => drive.restoreVersion(command),
+  usage: (drive, command) => drive.getUsage(command),
+  'trash-list': (drive, command) => drive.listTrash(command),
+  restore: (drive, command) => drive.restoreFromTrash(command),
+  'trash-empty': (drive, command) => drive.emptyTrash(command),
+  watch: (drive, command) => drive.watchPath(command),
+  unwatch: (drive, command) => drive.unwatchPath(command),
+  history: (drive, command) => drive.getHistory(command)
+};
 
 class StreamrDrive {
   constructor(config) {
@@ -16,16 +213,113 @@ class StreamrDrive {
       storageDir: './storage',
       privateKey: process.env.STREAMR_PRIVATE_KEY,
       streamId: process.env.STREAMR_STREAM_ID,
-      deviceId: this.generateDeviceId(),
+      deviceId: process.env.DEVICE_ID || this.generateDeviceId(),
+      name: process.env.DRIVE_NAME || os.hostname(), // friendly name reported by discover
       tempCleanupInterval: 24 * 60 * 60 * 1000, // 24 hours
+      requestDedupWindow: 5 * 60 * 1000, // 5 minutes
+      aclFile: process.env.ACL_FILE || './acl.json',
+      maxDownloadMessageSize: 64 * 1024 * 1024, // larger downloads must be ranged or streamed
+      downloadSliceSize: 128 * 1024,
+      downloadSliceDelay: 100, // ms between streamed slices
+      uploadSessionTimeout: 24 * 60 * 60 * 1000, // 24 hours without activity
+      progressInterval: 1000, // ms between progress events of long operations
+      listBatchSize: 1000, // entries per list or search response
+      trashRetention: 30 * 24 * 60 * 60 * 1000, // 30 days before deleted items are purged
+      maxVersions: 10, // earlier versions kept per file, 0 disables versioning
+      maxVersionAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+      purgeInterval: 24 * 60 * 60 * 1000, // 24 hours between purges of trash and versions
+      quotaBytes: Number(process.env.QUOTA_BYTES) || null, // limit for the whole storage directory
+      pathQuotas: {}, // limits per path prefix, e.g. { 'photos': 10 * 1024 ** 3 }
+      freeSpaceReserve: Number(process.env.FREE_SPACE_RESERVE) || 100 * 1024 * 1024, // disk space uploads must leave free
+      quotaCacheTtl: 60 * 1000, // ms measured usage is trusted before the storage is walked again
+      maxExtractSize: 1024 * 1024 * 1024, // bytes an uploaded archive may expand to
+      maxExtractEntries: 10000,
+      watchTtl: 5 * 60 * 1000, // watch subscriptions expire unless renewed within this time
+      maxWatchTtl: 60 * 60 * 1000,
+      maxWatches: 100, // active watch subscriptions over all senders
+      watchDebounce: 500, // ms without further changes before change events are sent
+      watchMaxDelay: 5000, // ms a change may be held back by ongoing changes
+      watchBatchSize: 100, // changes per change event
+      maxConcurrentCommands: 8, // commands running at once, conflicting ones also wait for each other
+      maxQueuedCommands: 100, // commands waiting to run before the drive answers busy
+      busyRetryAfter: 1000, // ms clients are asked to wait before retrying a busy command
+      auditLogFile: process.env.AUDIT_LOG_FILE || './audit.log', // record of every command changing the storage
+      auditLogMaxSize: 10 * 1024 * 1024, // bytes before the audit log is rotated
+      auditLogFiles: 5, // rotated audit logs kept besides the current one
+      maxHistoryEntries: 1000, // entries per history response
+      metricsPort: Number(process.env.METRICS_PORT) || null, // serves Prometheus metrics over HTTP unless null, 0 picks a free port
+      metricsHost: process.env.METRICS_HOST || '127.0.0.1',
+      gatewayPort: Number(process.env.GATEWAY_PORT) || null, // serves the storage over WebDAV unless null, 0 picks a free port
+      gatewayHost: process.env.GATEWAY_HOST || '127.0.0.1', // 0.0.0.0 to reach it from other machines
+      gatewaySenderId: process.env.GATEWAY_SENDER_ID || 'local-gateway', // ACL address requests to the gateway act as
+      gatewayUsername: process.env.GATEWAY_USERNAME || '',
+      gatewayPassword: process.env.GATEWAY_PASSWORD || '', // asks for basic auth unless empty
+      gatewayMaxUploadSize: 64 * 1024 * 1024, // bytes of a PUT to the gateway
+      compression: ENCODINGS, // encodings offered to clients that ask for one, [] turns compression off
+      compressionThreshold: 1024, // bytes below which bodies are not worth compressing
+      // { key } shared by all clients, or { privateKey, peers } with the clients' public keys,
+      // and required: false to also take plaintext. null sends and takes plaintext only.
+      encryption: encryptionFromEnv(process.env.ENCRYPTION_PEERS),
+      // An object with subscribe, publish and shutdown, defaults to a StreamrTransport
+      transport: null,
       ...config
     };
     
     this.messageController = null;
-    this.streamrClient = null;
-    this.streamrChunker = null;
-    this.streamUrl = null;
+    this.transport = null;
     this.tempCleanupTimer = null;
+    this.purgeTimer = null;
+    this.accessControl = null;
+    this.hashCache = new HashCache();
+    this.uploadSessions = new UploadSessions({
+      dir: path.join(this.config.storageDir, TEMP_FOLDER_NAME, UPLOADS_FOLDER_NAME),
+      timeout: this.config.uploadSessionTimeout
+    });
+    this.trash = new TrashBin({
+      dir: path.join(this.config.storageDir, TRASH_FOLDER_NAME),
+      retention: this.config.trashRetention
+    });
+    this.versions = new FileVersions({
+      dir: path.join(this.config.storageDir, VERSIONS_FOLDER_NAME),
+      maxVersions: this.config.maxVersions,
+      maxAge: this.config.maxVersionAge
+    });
+    this.quota = new StorageQuota({
+      storageDir: this.config.storageDir,
+      totalBytes: this.config.quotaBytes,
+      pathBytes: this.config.pathQuotas,
+      reserveBytes: this.config.freeSpaceReserve,
+      cacheTtl: this.config.quotaCacheTtl
+    });
+    this.changes = new ChangeWatcher({
+      debounce: this.config.watchDebounce,
+      maxDelay: this.config.watchMaxDelay,
+      ignore: (relativePath) => this.isInternalPath(relativePath),
+      onChanges: (subscription, changes) => this.publishChanges(subscription, changes),
+      onExpired: (subscription) => this.sendResponse({
+        action: 'watch-expired',
+        status: 'info',
+        subscriptionId: subscription.id,
+        path: subscription.path
+      }, subscription.replyTo)
+    });
+    this.cipher = this.config.encryption ? new PayloadCipher(this.config.encryption) : null;
+    this.scheduler = new CommandScheduler({
+      concurrency: this.config.maxConcurrentCommands,
+      maxQueued: this.config.maxQueuedCommands
+    });
+    this.audit = new AuditLog({
+      filePath: this.config.auditLogFile,
+      maxSize: this.config.auditLogMaxSize,
+      maxFiles: this.config.auditLogFiles
+    });
+    this.metrics = new DriveMetrics();
+    this.metricsServer = null;
+    this.gateway = null;
+    this.lastTempCleanup = null;
+    this.activeTempPaths = new Set();
+    this.recentRequests = new Map();
+    this.activeDownloads = new Map();
   }
 
   async initialize() {
@@ -34,21 +328,67 @@ class StreamrDrive {
     // Ensure storage directory exists
     await fs.mkdir(this.config.storageDir, { recursive: true });
     
+    // Load the sender ACL before accepting any commands
+    await this.initializeAccessControl();
+    
     // Initialize message controller
     await this.initializeMessageController();
     
-    // Initialize Streamr client
-    await this.initializeStreamrClient();
+    // Connect the transport, Streamr unless another one was configured
+    await this.initializeTransport();
     
     // Setup temp folder cleanup
     await this.setupTempFolderCleanup();
     
-    console.log(`StreamrDrive initialized and listening on stream: ${this.streamUrl}`);
+    // Purge expired items from the trash and old file versions
+    this.setupRetentionPurge();
+    
+    // Serve Prometheus metrics if a port was configured
+    await this.startMetricsServer();
+    
+    // Serve the storage over WebDAV if a port was configured
+    await this.startGateway();
+    
+    console.log(`StreamrDrive initialized and listening on: ${this.transport.name}`);
     console.log(`Storage directory: ${this.config.storageDir}`);
     
     return this;
   }
 
+  async initializeAccessControl() {
+    this.accessControl = new AccessControl({ filePath: this.config.aclFile });
+    await this.accessControl.load();
+    this.accessControl.watch();
+  }
+
+  async startMetricsServer() {
+    if (this.config.metricsPort === null) return;
+    
+    this.metricsServer = await startMetricsServer({
+      port: this.config.metricsPort,
+      host: this.config.metricsHost,
+      collect: () => this.collectStatus()
+    });
+    const { address, port } = this.metricsServer.address();
+    console.log(`Prometheus metrics served at http://${address}:${port}/metrics`);
+  }
+
+  async startGateway() {
+    if (this.config.gatewayPort === null) return;
+    
+    this.gateway = await new WebDavGateway({
+      drive: this,
+      port: this.config.gatewayPort,
+      host: this.config.gatewayHost,
+      senderId: this.config.gatewaySenderId,
+      username: this.config.gatewayUsername,
+      password: this.config.gatewayPassword,
+      maxUploadSize: this.config.gatewayMaxUploadSize
+    }).start();
+    const { address, port } = this.gateway.address();
+    console.log(`WebDAV gateway served at http://${address}:${port}/ as ${this.config.gatewaySenderId}`);
+  }
+
   async initializeMessageController() {
     this.messageController = new StreamrMessageController({ 
       deviceId: this.config.deviceId 
@@ -56,8 +396,8 @@ class StreamrDrive {
     
     await this.messageController.init();
     
-    this.messageController.on("publish", (message) => {
-      this.handleMessagePublish(message);
+    this.messageController.on("publish", (message, replyTo) => {
+      this.handleMessagePublish(message, replyTo);
     });
     
     this.messageController.on("message", (message) => {
@@ -65,47 +405,33 @@ class StreamrDrive {
     });
   }
 
-  async initializeStreamrClient() {
-    // Initialize Streamr client
-    console.log("Initializing Streamr client...");
-    this.streamrClient = new StreamrClient({
-      auth: { privateKey: this.config.privateKey },
-    });
-    
-    const address = await this.streamrClient.getAddress();
-    this.streamUrl = `${address}/${this.config.streamId}`;
-    console.log("Initialized");
-    // Make sure stream exists and add to storage node
-    const stream = await this.streamrClient.getStream(this.streamUrl);
+  async initializeTransport() {
+    this.transport = this.config.transport;
     
-    // Subscribe to stream
-    await this.streamrClient.subscribe(this.streamUrl, (message) => {
-      this.handleStreamrMessage(message);
-    });
-    console.log("Subscribed to stream");
-    // Initialize StreamrChunker
-    this.streamrChunker = new StreamrChunker()
-      .withDeviceId(this.config.deviceId)
-      .withIgnoreOwnMessages()
-      .withMaxMessageSize(8*64000);
-    
-    this.streamrChunker.on("publish", (message) => {
-      this.publishToStreamr(message);
-    });
+    if (!this.transport) {
+      // Loaded on demand so that other transports work without the Streamr SDK
+      const { default: StreamrTransport } = await import('./streamr-transport.js');
+      this.transport = new StreamrTransport({
+        privateKey: this.config.privateKey,
+        streamId: this.config.streamId,
+        deviceId: this.config.deviceId
+      });
+    }
     
-    this.streamrChunker.on("message", (message) => {
-      this.handleChunkerMessage(message);
-    });
-    this.streamrChunker.on("chunk-update", (updateData) => {
-      this.handleChunkUpdate(updateData);
-    });
+    await this.transport.subscribe(
+      (message, metadata) => this.handleTransportMessage(message, metadata),
+      (updateData) => this.handleChunkUpdate(updateData)
+    );
   }
 
   handleChunkUpdate(updateData) {
     try {
       // Loop through each message update in the array
       for (const update of updateData) {
-        const { messageId, noOfChunks, lastChunkId, progress } = update;
+        const { messageId, noOfChunks, lastChunkId, progress, requestId, target, keyId } = update;
+        
+        // Commands for another drive on the stream are its to report on
+        if (target !== undefined && target !== this.config.deviceId) continue;
         
         const total = lastChunkId + 1; // Since chunk IDs are zero-based
         
@@ -121,7 +447,7 @@ class StreamrDrive {
             total,
             progress: progressPercent,
             complete: progressPercent === 100
-          });
+          }, keyId !== undefined ? { requestId, sealed: true, senderKey: keyId } : { requestId });
           
           console.log(`Upload progress: ${received}/${total} chunks (${progressPercent}%) for message ${messageId}`);
         }
@@ -131,88 +457,233 @@ class StreamrDrive {
     }
   }
 
-  async handleMessagePublish(message) {
+  // replyTo comes from the command a message is sent for, see replyTo(). Messages are
+  // compressed before they are sealed, as ciphertext does not compress.
+  async handleMessagePublish(message, replyTo) {
     try {
-      this.streamrChunker.publish(message);
+      const encoded = replyTo && replyTo.encoding !== undefined ? this.encodeMessage(message, replyTo.encoding) : message;
+      const published = this.cipher ? this.sealMessage(encoded, replyTo) : encoded;
+      this.metrics.sent(bodySize(published));
+      await this.transport.publish(published);
     } catch (error) {
-      console.error('Error publishing message to chunker:', error);
+      console.error('Error publishing message:', error);
     }
   }
 
-  async publishToStreamr(message) {
-    try {
-      await this.streamrClient.publish(this.streamUrl, message);
-    } catch (error) {
-      console.error('Error publishing message to Streamr:', error);
-    }
+  // How to send the messages for a command: sealed or not and for which key, and the
+  // encoding negotiated from the acceptEncoding of the command, if it had one
+  replyTo(command) {
+    if (!command) return undefined;
+    
+    return {
+      sealed: command.sealed,
+      key: command.senderKey,
+      encoding: command.acceptEncoding !== undefined
+        ? negotiateEncoding(command.acceptEncoding, this.config.compression)
+        : undefined
+    };
+  }
+
+  // Also tells the client which encodings it may compress its commands with
+  encodeMessage(message, encoding) {
+    return {
+      ...encodeMessage(message, encoding, { threshold: this.config.compressionThreshold }),
+      acceptEncoding: this.config.compression
+    };
+  }
+
+  // Messages for a command go out the way it came in: sealed for the key it was sealed
+  // with, or as plaintext. Messages without a command, like the progress of a chunked
+  // command in shared key mode, are sealed for the only peer or with the shared key.
+  sealMessage(message, replyTo) {
+    if (replyTo && replyTo.sealed === false) return message;
+    return this.cipher.seal(message, replyTo ? replyTo.key : undefined);
   }
 
-  handleStreamrMessage(message) {
+  handleTransportMessage(message, metadata) {
     try {
-      this.streamrChunker.receiveHandler(message);
+      const senderId = metadata ? metadata.senderId : undefined;
+      this.metrics.received(bodySize(message));
+      const opened = this.openMessage(message, senderId);
+      if (!opened) return;
+      
+      // sealed and senderKey come last, so a message cannot claim them for itself
+      this.messageController.receiveHandler({
+        ...opened.message,
+        senderId,
+        sealed: opened.sealed,
+        senderKey: opened.peer
+      });
     } catch (error) {
-      console.error('Error handling Streamr message:', error);
+      console.error('Error handling transport message:', error);
     }
   }
 
-  handleChunkerMessage(message) {
+  // Decrypts a message from the transport. Returns null for messages that are not for
+  // this drive or were rejected; rejected commands are answered in plaintext, as there is
+  // no key to answer them with.
+  openMessage(message, senderId) {
     try {
-      this.messageController.receiveHandler(message);
+      if (this.cipher) return this.cipher.open(message);
+      if (message.encryption === undefined) return { message, sealed: false, peer: undefined };
+      throw new CipherError(DECRYPTION_FAILED, 'Encryption is not configured on this drive');
     } catch (error) {
-      console.error('Error handling chunker message:', error);
+      if (!(error instanceof CipherError)) throw error;
+      
+      // Messages for another drive on the stream are its own to reject
+      if (message.target !== undefined && message.target !== this.config.deviceId) return null;
+      
+      console.warn(`Rejected message from ${senderId}: ${error.message}`);
+      const request = rejectedRequest(message);
+      if (request) {
+        this.sendResponse({ status: 'error', code: error.code, message: error.message }, { ...request, sealed: false });
+      }
+      return null;
     }
   }
 
   async processCommand(message) {
     if (message.type !== 'text') return;
     
+    // requestId may also be set on the message envelope, so it survives a body that fails to parse
+    let command = { requestId: message.requestId, sealed: message.sealed, senderKey: message.senderKey };
+    
     try {
-      const command = JSON.parse(message.body);
-      
-      switch (command.action) {
-        case 'ping':
-          await this.handlePing(command);
-          break;
-        case 'list':
-          await this.listFiles(command);
-          break;
-        case 'upload':
-          await this.saveFile(command);
-          break;
-        case 'download':
-          await this.downloadFile(command);
-          break;
-        case 'delete':
-          await this.deleteFile(command);
-          break;
-        case 'mkdir':
-          await this.createDirectory(command);
-          break;
-        case 'info':
-          await this.getFileInfo(command);
-          break;
-        case 'rename':
-          await this.renameFile(command);
-          break;
-        default:
-          this.sendResponse({
-            action: command.action,
-            status: 'error',
-            message: 'Unknown command'
-          });
+      let text;
+      try {
+        text = decodeMessage(message).body;
+      } catch (error) {
+        return this.sendResponse({
+          status: 'error',
+          code: INVALID_COMMAND,
+          message: `Command could not be decompressed: ${error.message}`
+        }, command);
+      }
+      
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        return this.sendResponse({
+          status: 'error',
+          code: INVALID_COMMAND,
+          message: `Command is not valid JSON: ${error.message}`
+        }, command);
+      }
+      
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return this.sendResponse({
+          status: 'error',
+          code: INVALID_COMMAND,
+          message: 'Command must be a JSON object'
+        }, command);
+      }
+      
+      command = {
+        requestId: message.requestId,
+        ...body,
+        senderId: message.senderId,
+        senderDevice: message.deviceId,
+        sealed: message.sealed,
+        senderKey: message.senderKey,
+        // Only commands of the device itself are answered in place, see runCommand
+        reply: undefined
+      };
+      
+      // Responses and events of other drives on the stream carry a status, commands never do
+      if (body.status !== undefined) return;
+      
+      // Several drives may share a stream, a command with a target is only for one of them.
+      // discover is meant for every drive and always answered.
+      if (command.target !== undefined && command.target !== this.config.deviceId && command.action !== 'discover') {
+        return;
       }
+      
+      await this.executeCommand(command);
     } catch (error) {
       console.error('Error processing command:', error);
       this.sendResponse({
         status: 'error',
+        code: INTERNAL_ERROR,
         message: `Error processing command: ${error.message}`
-      });
+      }, command);
+    }
+  }
+
+  // Checks, schedules and carries out a parsed command. The responses go to command.reply
+  // if it has one, otherwise they are published.
+  async executeCommand(command) {
+    try {
+      const invalid = checkProtocolVersion(command) || validateCommand(command);
+      if (invalid) {
+        return this.sendResponse({ action: command.action, status: 'error', ...invalid }, command);
+      }
+      
+      this.metrics.command(command.action);
+      
+      const denied = this.accessControl.authorize(command.senderId, command);
+      if (denied) {
+        console.warn(`Rejected ${command.action} from ${command.senderId}: ${denied}`);
+        return this.sendResponse({
+          action: command.action,
+          status: 'error',
+          code: FORBIDDEN,
+          message: denied
+        }, command);
+      }
+      
+      const scheduled = !UNSCHEDULED_ACTIONS.includes(command.action);
+      const locks = scheduled ? await COMMAND_LOCKS[command.action](this, command) : [];
+      
+      // Checked before the request is remembered, so that a retry with the same requestId runs
+      if (scheduled && this.scheduler.isFull()) {
+        return this.sendResponse({
+          action: command.action,
+          status: 'error',
+          code: BUSY,
+          message: `Drive is busy, ${this.scheduler.size} commands are waiting`,
+          retryAfter: this.config.busyRetryAfter
+        }, command);
+      }
+      
+      const deduplicated = command.requestId !== undefined && !RERUN_ACTIONS.includes(command.action);
+      if (deduplicated && this.handleDuplicateRequest(command)) {
+        return;
+      }
+      
+      if (!scheduled) {
+        return await COMMAND_HANDLERS[command.action](this, command);
+      }
+      
+      await this.scheduler.run(locks, () => COMMAND_HANDLERS[command.action](this, command));
+    } catch (error) {
+      console.error('Error processing command:', error);
+      this.sendResponse({
+        status: 'error',
+        code: INTERNAL_ERROR,
+        message: `Error processing command: ${error.message}`
+      }, command);
     }
   }
 
+  // Carries out a command from the device itself, like a request to the HTTP gateway, and
+  // resolves with its final response instead of publishing it. onMessage receives what is
+  // sent before it: info responses, such as the batches of a long listing, and the file
+  // messages of a download. A download waits for the promise onMessage returns for a slice.
+  runCommand(command, onMessage) {
+    return new Promise((resolve) => {
+      this.executeCommand({
+        ...command,
+        reply: (message) => (message.status === 'info' || message.type === 'file'
+          ? onMessage && onMessage(message)
+          : resolve(message))
+      });
+    });
+  }
+
   async listFiles(command) {
     try {
-      const dirPath = path.join(this.config.storageDir, command.path || '');
+      const dirPath = await this.resolvePath(command.path);
       
       // Check if directory exists
       try {
@@ -221,269 +692,1458 @@ class StreamrDrive {
         return this.sendResponse({
           action: 'list',
           status: 'error',
+          code: 'not-found',
+          field: 'path',
           message: 'Directory not found'
-        });
+        }, command);
       }
       
-      // Get directory contents
-      const entries = await fs.readdir(dirPath, { withFileTypes: true });
-      
-      // Create file list with details
-      const files = await Promise.all(entries.map(async (entry) => {
-        const fullPath = path.join(dirPath, entry.name);
-        const stats = await fs.stat(fullPath);
-        
-        return {
-          name: entry.name,
-          isDirectory: entry.isDirectory(),
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime
-        };
-      }));
+      const recursive = Boolean(command.recursive);
+      const include = createMatcher(command.include);
+      const entries = await walkTree(dirPath, {
+        maxDepth: recursive ? command.maxDepth || Infinity : 1,
+        exclude: await this.createExcludeMatcher(command, dirPath)
+      });
       
-      this.sendResponse({
-        action: 'list',
-        status: 'success',
+      await this.sendEntries('list', include ? entries.filter((entry) => include(entry.relativePath)) : entries, {
         path: command.path || '',
-        files
-      });
+        withPath: recursive
+      }, command);
     } catch (error) {
       console.error('Error listing files:', error);
-      this.sendResponse({
-        action: 'list',
-        status: 'error',
-        message: `Error listing files: ${error.message}`
-      });
+      this.sendErrorResponse('list', error, 'Error listing files', command);
     }
   }
 
-  async saveFile(command) {
+  async searchFiles(command) {
     try {
-      if (!command.fileName || !command.data) {
+      const dirPath = await this.resolvePath(command.path);
+      
+      try {
+        await fs.access(dirPath);
+      } catch (error) {
         return this.sendResponse({
-          action: 'upload',
+          action: 'search',
           status: 'error',
-          message: 'Missing fileName or data'
-        });
+          code: 'not-found',
+          field: 'path',
+          message: 'Directory not found'
+        }, command);
       }
       
-      const dirPath = path.join(this.config.storageDir, command.path || '');
+      const matchesName = createMatcher(command.pattern);
+      const modifiedAfter = command.modifiedAfter !== undefined ? parseTime(command.modifiedAfter) : -Infinity;
+      const modifiedBefore = command.modifiedBefore !== undefined ? parseTime(command.modifiedBefore) : Infinity;
+      const minSize = command.minSize !== undefined ? command.minSize : 0;
+      const maxSize = command.maxSize !== undefined ? command.maxSize : Infinity;
       
-      // Ensure directory exists
-      await fs.mkdir(dirPath, { recursive: true });
+      const entries = await walkTree(dirPath, {
+        maxDepth: command.maxDepth || Infinity,
+        exclude: await this.createExcludeMatcher(command, dirPath)
+      });
+      
+      // Directories only match by name, size and date ranges apply to files
+      const matches = entries.filter((entry) => {
+        if (command.type === 'file' && entry.isDirectory) return false;
+        if (command.type === 'directory' && !entry.isDirectory) return false;
+        if (matchesName && !matchesName(entry.relativePath)) return false;
+        if (entry.isDirectory) return true;
+        
+        return entry.stats.size >= minSize && entry.stats.size <= maxSize &&
+          entry.stats.mtimeMs >= modifiedAfter && entry.stats.mtimeMs <= modifiedBefore;
+      });
       
-      const filePath = path.join(dirPath, command.fileName);
+      await this.sendEntries('search', matches, { path: command.path || '', withPath: true }, command);
+    } catch (error) {
+      console.error('Error searching files:', error);
+      this.sendErrorResponse('search', error, 'Error searching files', command);
+    }
+  }
+
+  // Reserved folders live in the storage root, but never show up in listings
+  async createExcludeMatcher(command, dirPath) {
+    const exclude = createMatcher(command.exclude);
+    const atRoot = dirPath === await fs.realpath(this.config.storageDir);
+    
+    return (relativePath) => (atRoot && RESERVED_FOLDER_NAMES.includes(relativePath)) ||
+      (exclude !== null && exclude(relativePath));
+  }
+
+  // Sorts and pages walked entries, then sends them in batches of at most listBatchSize.
+  // All batches but the last are info responses; the last one carries total and nextCursor.
+  async sendEntries(action, entries, { path: listedPath, withPath }, command) {
+    const sorted = sortEntries(entries, command.sortBy, command.order);
+    const { page, nextCursor } = paginate(sorted, command.limit, command.cursor);
+    
+    const files = await Promise.all(page.map(async (entry) => ({
+      name: entry.name,
+      path: withPath ? entry.relativePath : undefined,
+      isDirectory: entry.isDirectory,
+      size: entry.stats.size,
+      created: entry.stats.birthtime,
+      modified: entry.stats.mtime,
+      hash: command.withHash && entry.stats.isFile() ? await this.hashCache.get(entry.fullPath, entry.stats) : undefined
+    })));
+    
+    const batchSize = this.config.listBatchSize;
+    const batches = Math.max(1, Math.ceil(files.length / batchSize));
+    
+    for (let batch = 0; batch < batches; batch++) {
+      const last = batch === batches - 1;
+      this.sendResponse({
+        action,
+        status: last ? 'success' : 'info',
+        path: listedPath,
+        batch,
+        batches,
+        files: files.slice(batch * batchSize, (batch + 1) * batchSize),
+        total: last ? sorted.length : undefined,
+        nextCursor: last ? nextCursor : undefined
+      }, command);
+    }
+  }
+
+  async saveFile(command) {
+    try {
+      const dirPath = await this.resolvePath(command.path);
+      const filePath = await this.resolvePath(command.path, command.fileName);
       
       // Convert base64 data to buffer
       const buffer = Buffer.from(command.data, 'base64');
+      const relativePath = await this.storageRelativePath(filePath);
+      const replacing = await this.replacedContent(filePath);
+      
+      // Archives replace nothing, they have to fit while staged and are checked again by what
+      // they expand to while extracting
+      const exceeded = await this.quota.check(relativePath, buffer.length, command.extract ? {} : replacing);
+      if (exceeded) {
+        return this.sendResponse({ action: 'upload', ...exceeded }, command);
+      }
       
-      // Write file
-      await fs.writeFile(filePath, buffer);
+      // Ensure directory exists, once the upload is known to fit
+      await fs.mkdir(dirPath, { recursive: true });
+      
+      // Write to a temp file first so a failed or rejected upload never replaces the original
+      const tempPath = await this.createTempFilePath();
+      let hash;
+      let replaced;
+      
+      try {
+        await fs.writeFile(tempPath, buffer);
+        hash = await hashFile(tempPath);
+        
+        if (command.expectedHash && hash !== command.expectedHash.toLowerCase()) {
+          await this.releaseTempPath(tempPath);
+          return this.sendResponse({
+            action: 'upload',
+            status: 'error',
+            code: 'checksum-mismatch',
+            field: 'expectedHash',
+            message: 'Uploaded data does not match expectedHash',
+            expectedHash: command.expectedHash,
+            hash
+          }, command);
+        }
+        
+        if (command.extract) {
+          const result = await this.extractUpload(command, tempPath, dirPath);
+          await this.releaseTempPath(tempPath);
+          return this.sendResponse({ action: 'upload', ...result }, command);
+        }
+        
+        const conflict = await this.checkIfMatch(filePath, command.ifMatch);
+        if (conflict) {
+          await this.releaseTempPath(tempPath);
+          return this.sendResponse({ action: 'upload', ...conflict }, command);
+        }
+        
+        replaced = await exists(filePath);
+        await this.archiveVersion(filePath);
+        await fs.rename(tempPath, filePath);
+      } finally {
+        await this.releaseTempPath(tempPath);
+      }
+      
+      this.quota.record(relativePath, buffer.length, replacing);
+      const stats = await fs.stat(filePath);
+      this.hashCache.set(filePath, stats, hash);
+      await this.notifyChange(replaced ? 'modified' : 'created', filePath);
       
       this.sendResponse({
         action: 'upload',
         status: 'success',
         fileName: command.fileName,
         path: command.path || '',
-        size: buffer.length
-      });
+        size: buffer.length,
+        hash,
+        modified: stats.mtime
+      }, command);
     } catch (error) {
       console.error('Error saving file:', error);
-      this.sendResponse({
-        action: 'upload',
-        status: 'error',
-        message: `Error saving file: ${error.message}`
-      });
+      this.sendErrorResponse('upload', error, 'Error saving file', command);
     }
   }
 
-  async downloadFile(command) {
+  async beginUploadSession(command) {
     try {
-      if (!command.fileName) {
-        return this.sendResponse({
-          action: 'download',
-          status: 'error',
-          message: 'Missing fileName'
-        });
-      }
-      
-      const filePath = path.join(this.config.storageDir, command.path || '', command.fileName);
+      // Validate the destination and space up front so the client does not upload in vain
+      const filePath = await this.resolvePath(command.path, command.fileName);
       
-      // Check if file exists
-      try {
-        await fs.access(filePath);
-      } catch (error) {
-        return this.sendResponse({
-          action: 'download',
-          status: 'error',
-          message: 'File not found'
-        });
+      const exceeded = await this.quota.check(
+        await this.storageRelativePath(filePath),
+        command.size,
+        command.extract ? {} : await this.replacedContent(filePath)
+      );
+      if (exceeded) {
+        return this.sendResponse({ action: 'upload-begin', ...exceeded }, command);
       }
       
-      // Read file
-      const data = await fs.readFile(filePath);
-      
-      // Get file stats
-      const stats = await fs.stat(filePath);
-      
-      // Send file through Streamr
-      await this.messageController.upload({
-        type: 'file',
+      const session = await this.uploadSessions.create({
+        senderId: command.senderId,
+        path: command.path,
         fileName: command.fileName,
-        fileSize: stats.size,
-        body: data.toString('base64')
+        size: command.size,
+        hash: command.hash,
+        ifMatch: command.ifMatch,
+        extract: Boolean(command.extract),
+        onConflict: command.onConflict
       });
       
       this.sendResponse({
-        action: 'download',
+        action: 'upload-begin',
         status: 'success',
-        fileName: command.fileName,
-        path: command.path || '',
-        size: stats.size
-      });
+        sessionId: session.sessionId,
+        fileName: session.fileName,
+        path: session.path,
+        size: session.size
+      }, command);
     } catch (error) {
-      console.error('Error downloading file:', error);
-      this.sendResponse({
-        action: 'download',
-        status: 'error',
-        message: `Error downloading file: ${error.message}`
-      });
+      console.error('Error starting upload session:', error);
+      this.sendErrorResponse('upload-begin', error, 'Error starting upload session', command);
     }
   }
 
-  async setupTempFolderCleanup() {    
-    this.tempCleanupTimer = setInterval(() => {
-      this.cleanupTempFolder().catch(err => {
-        console.error('Error during scheduled temp folder cleanup:', err);
-      });
-    }, this.config.tempCleanupInterval);
-  }
-
-  async cleanupTempFolder() {
-    const tempFolderPath = path.join(this.config.storageDir, TEMP_FOLDER_NAME);
-    
+  async appendUploadSession(command) {
     try {
-      try {
-        await fs.access(tempFolderPath);
-      } catch (error) {
-        // Temp folder doesn't exist
-        return;
+      const session = await this.uploadSessions.get(command.sessionId, command.senderId);
+      if (!session) {
+        return this.sendResponse({
+          action: 'upload-append',
+          status: 'error',
+          code: 'not-found',
+          field: 'sessionId',
+          message: 'Upload session not found'
+        }, command);
       }
       
-      console.log('Cleaning up files in temp folder...');
-      
-      const entries = await fs.readdir(tempFolderPath, { withFileTypes: true });
-      let deletedCount = 0;
+      const buffer = Buffer.from(command.data, 'base64');
       
-      for (const entry of entries) {
-        const entryPath = path.join(tempFolderPath, entry.name);
-        
-        if (entry.isDirectory()) {
-          await fs.rm(entryPath, { recursive: true });
-        } else {
-          await fs.unlink(entryPath);
-        }
-        deletedCount++;
+      if (command.offset + buffer.length > session.size) {
+        return this.sendResponse({
+          action: 'upload-append',
+          status: 'error',
+          code: 'invalid-range',
+          field: 'data',
+          message: `Part ends beyond the declared size of ${session.size} bytes`
+        }, command);
       }
       
-      console.log(`Temp folder cleanup complete - removed ${deletedCount} items`);
+      await this.uploadSessions.append(session, command.offset, buffer);
+      
+      this.sendResponse({
+        action: 'upload-append',
+        status: 'success',
+        sessionId: session.sessionId,
+        offset: command.offset,
+        length: buffer.length,
+        received: this.uploadSessions.received(session),
+        size: session.size
+      }, command);
     } catch (error) {
-      console.error('Error during temp folder cleanup:', error);
+      console.error('Error appending to upload session:', error);
+      this.sendErrorResponse('upload-append', error, 'Error appending to upload session', command);
     }
   }
 
-  async deleteFile(command) {
+  async getUploadSessionStatus(command) {
     try {
-      if (!command.fileName) {
+      const session = await this.uploadSessions.get(command.sessionId, command.senderId);
+      if (!session) {
         return this.sendResponse({
-          action: 'delete',
+          action: 'upload-status',
           status: 'error',
-          message: 'Missing fileName'
-        });
+          code: 'not-found',
+          field: 'sessionId',
+          message: 'Upload session not found'
+        }, command);
       }
       
-      const filePath = path.join(this.config.storageDir, command.path || '', command.fileName);
-      
-      // Check if file exists
-      try {
+      this.sendResponse({
+        action: 'upload-status',
+        status: 'success',
+        sessionId: session.sessionId,
+        fileName: session.fileName,
+        path: session.path,
+        size: session.size,
+        received: this.uploadSessions.received(session),
+        ranges: session.ranges,
+        complete: this.uploadSessions.isComplete(session)
+      }, command);
+    } catch (error) {
+      console.error('Error getting upload session status:', error);
+      this.sendErrorResponse('upload-status', error, 'Error getting upload session status', command);
+    }
+  }
+
+  async commitUploadSession(command) {
+    try {
+      const session = await this.uploadSessions.get(command.sessionId, command.senderId);
+      if (!session) {
+        return this.sendResponse({
+          action: 'upload-commit',
+          status: 'error',
+          code: 'not-found',
+          field: 'sessionId',
+          message: 'Upload session not found'
+        }, command);
+      }
+      
+      if (!this.uploadSessions.isComplete(session)) {
+        return this.sendResponse({
+          action: 'upload-commit',
+          status: 'error',
+          code: 'incomplete',
+          message: `Received ${this.uploadSessions.received(session)} of ${session.size} bytes`,
+          ranges: session.ranges
+        }, command);
+      }
+      
+      const hash = await this.uploadSessions.digest(session);
+      
+      if (session.hash && session.hash !== hash) {
+        return this.sendResponse({
+          action: 'upload-commit',
+          status: 'error',
+          code: 'checksum-mismatch',
+          message: 'Uploaded data does not match the expected hash',
+          expectedHash: session.hash,
+          hash
+        }, command);
+      }
+      
+      const dirPath = await this.resolvePath(session.path);
+      const filePath = await this.resolvePath(session.path, session.fileName);
+      
+      if (session.extract) {
+        const extractCommand = { ...command, path: session.path, onConflict: session.onConflict };
+        const result = await this.extractUpload(extractCommand, this.uploadSessions.partPath(session.sessionId), dirPath);
+        
+        // A failed extraction keeps the session, so the commit can be retried once a conflict is resolved
+        if (result.status === 'success') {
+          await this.uploadSessions.remove(session);
+        }
+        return this.sendResponse({ action: 'upload-commit', ...result }, command);
+      }
+      
+      // Checked at commit, as the file may have changed while the parts were coming in
+      const conflict = await this.checkIfMatch(filePath, session.ifMatch);
+      if (conflict) {
+        return this.sendResponse({ action: 'upload-commit', ...conflict }, command);
+      }
+      
+      await fs.mkdir(dirPath, { recursive: true });
+      const replaced = await exists(filePath);
+      const replacing = await this.replacedContent(filePath);
+      await this.archiveVersion(filePath);
+      await this.uploadSessions.commit(session, filePath);
+      this.quota.record(await this.storageRelativePath(filePath), session.size, replacing);
+      
+      const stats = await fs.stat(filePath);
+      this.hashCache.set(filePath, stats, hash);
+      await this.notifyChange(replaced ? 'modified' : 'created', filePath);
+      
+      this.sendResponse({
+        action: 'upload-commit',
+        status: 'success',
+        sessionId: session.sessionId,
+        fileName: session.fileName,
+        path: session.path,
+        size: session.size,
+        hash,
+        modified: stats.mtime
+      }, command);
+    } catch (error) {
+      console.error('Error committing upload session:', error);
+      this.sendErrorResponse('upload-commit', error, 'Error committing upload session', command);
+    }
+  }
+
+  async abortUploadSession(command) {
+    try {
+      const session = await this.uploadSessions.get(command.sessionId, command.senderId);
+      if (!session) {
+        return this.sendResponse({
+          action: 'upload-abort',
+          status: 'error',
+          code: 'not-found',
+          field: 'sessionId',
+          message: 'Upload session not found'
+        }, command);
+      }
+      
+      await this.uploadSessions.remove(session);
+      
+      this.sendResponse({
+        action: 'upload-abort',
+        status: 'success',
+        sessionId: session.sessionId
+      }, command);
+    } catch (error) {
+      console.error('Error aborting upload session:', error);
+      this.sendErrorResponse('upload-abort', error, 'Error aborting upload session', command);
+    }
+  }
+
+  async listVersions(command) {
+    try {
+      const filePath = await this.resolvePath(command.path, command.fileName);
+      const versions = await this.versions.list(await this.storageRelativePath(filePath));
+      
+      this.sendResponse({
+        action: 'versions',
+        status: 'success',
+        fileName: command.fileName,
+        path: command.path || '',
+        versions: versions.map((version) => ({
+          ...version,
+          modified: new Date(version.modified),
+          archived: new Date(version.archived)
+        }))
+      }, command);
+    } catch (error) {
+      console.error('Error listing versions:', error);
+      this.sendErrorResponse('versions', error, 'Error listing versions', command);
+    }
+  }
+
+  // Makes an earlier version the current content. The content it replaces becomes a
+  // version in turn, so restoring can itself be undone.
+  async restoreVersion(command) {
+    try {
+      const filePath = await this.resolvePath(command.path, command.fileName);
+      const relativePath = await this.storageRelativePath(filePath);
+      const version = await this.versions.get(relativePath, command.version);
+      
+      if (!version) {
+        return this.sendResponse({
+          action: 'restore-version',
+          status: 'error',
+          code: 'not-found',
+          field: 'version',
+          message: 'Version not found'
+        }, command);
+      }
+      
+      const replacing = await this.replacedContent(filePath);
+      const exceeded = await this.quota.check(relativePath, version.size, replacing);
+      if (exceeded) {
+        return this.sendResponse({ action: 'restore-version', ...exceeded }, command);
+      }
+      
+      // Copy first, archiving the current content may push this version out of the history
+      const tempPath = await this.createTempFilePath();
+      let replaced;
+      
+      try {
+        await fs.copyFile(this.versions.dataPath(relativePath, version.id), tempPath);
+        
+        const conflict = await this.checkIfMatch(filePath, command.ifMatch);
+        if (conflict) {
+          await this.releaseTempPath(tempPath);
+          return this.sendResponse({ action: 'restore-version', ...conflict }, command);
+        }
+        
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        replaced = await exists(filePath);
+        await this.archiveVersion(filePath);
+        await fs.rename(tempPath, filePath);
+      } finally {
+        await this.releaseTempPath(tempPath);
+      }
+      
+      this.quota.record(relativePath, version.size, replacing);
+      const stats = await fs.stat(filePath);
+      if (version.hash) this.hashCache.set(filePath, stats, version.hash);
+      await this.notifyChange(replaced ? 'modified' : 'created', filePath);
+      
+      this.sendResponse({
+        action: 'restore-version',
+        status: 'success',
+        fileName: command.fileName,
+        path: command.path || '',
+        version: version.id,
+        size: stats.size,
+        hash: version.hash,
+        modified: stats.mtime
+      }, command);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      this.sendErrorResponse('restore-version', error, 'Error restoring version', command);
+    }
+  }
+
+  // What writing a file to filePath replaces, as quota options: the size of the file there
+  // and whether it is kept as a version
+  async replacedContent(filePath) {
+    try {
+      const stats = await fs.lstat(filePath);
+      if (!stats.isFile()) return {};
+      return { replacedBytes: stats.size, keepsReplaced: this.versions.maxVersions > 0 };
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return {};
+      throw error;
+    }
+  }
+
+  // Keeps the current content of a file that is about to be replaced
+  async archiveVersion(filePath) {
+    let stats;
+    try {
+      stats = await fs.lstat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    
+    if (!stats.isFile()) return null;
+    
+    return this.versions.archive(filePath, await this.storageRelativePath(filePath), {
+      stats,
+      hash: await this.hashCache.get(filePath, stats)
+    });
+  }
+
+  // Returns an error response body if ifMatch is given and the file no longer matches it
+  async checkIfMatch(filePath, ifMatch) {
+    if (ifMatch === undefined) return null;
+    
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    const hash = stats && stats.isFile() ? await this.hashCache.get(filePath, stats) : undefined;
+    const matches = isSha256(ifMatch)
+      ? hash === ifMatch.toLowerCase()
+      : stats !== undefined && stats.mtime.getTime() === parseTime(ifMatch);
+    
+    if (matches) return null;
+    
+    return {
+      status: 'error',
+      code: 'conflict',
+      field: 'ifMatch',
+      message: stats ? 'File has changed since ifMatch' : 'File no longer exists',
+      hash,
+      modified: stats ? stats.mtime : undefined
+    };
+  }
+
+  async downloadFile(command) {
+    try {
+      let filePath = await this.resolvePath(command.path, command.fileName);
+      
+      // Earlier versions are served from the version store, even if the file is gone by now
+      if (command.version !== undefined) {
+        const relativePath = await this.storageRelativePath(filePath);
+        const version = await this.versions.get(relativePath, command.version);
+        if (!version) {
+          return this.sendResponse({
+            action: 'download',
+            status: 'error',
+            code: 'not-found',
+            field: 'version',
+            message: 'Version not found'
+          }, command);
+        }
+        filePath = this.versions.dataPath(relativePath, version.id);
+      }
+      
+      // Check if file exists
+      try {
         await fs.access(filePath);
       } catch (error) {
         return this.sendResponse({
-          action: 'delete',
+          action: 'download',
+          status: 'error',
+          code: 'not-found',
+          field: 'fileName',
+          message: 'File not found'
+        }, command);
+      }
+      
+      // Get file stats
+      const stats = await fs.stat(filePath);
+      
+      if (stats.isDirectory()) {
+        return await this.downloadDirectory(command, filePath);
+      }
+      
+      await this.sendFile(command, filePath, stats);
+    } catch (error) {
+      console.error('Error downloading file:', error);
+      this.sendErrorResponse('download', error, 'Error downloading file', command);
+    }
+  }
+
+  // Packs a directory into a zip or tar.gz under temp and sends that like a file
+  async downloadDirectory(command, dirPath) {
+    const format = command.format || ARCHIVE_FORMATS[0];
+    const archivePath = await this.createTempFilePath();
+    
+    try {
+      const totals = await createArchive(dirPath, archivePath, format);
+      const archiveCommand = { ...command, fileName: `${command.fileName}.${format}` };
+      
+      await this.sendFile(archiveCommand, archivePath, await fs.stat(archivePath), {
+        format,
+        files: totals.files,
+        contentSize: totals.bytes
+      });
+    } finally {
+      await this.releaseTempPath(archivePath);
+    }
+  }
+
+  // Unpacks an uploaded archive into the directory dirPath and returns the response body.
+  // Everything is extracted to a staging folder under temp first and only moved into
+  // place once the archive turned out to be sound, within limits and free of conflicts.
+  async extractUpload(command, archivePath, dirPath) {
+    const targetPath = await this.storageRelativePath(dirPath);
+    
+    // The archive name was authorized, not everything that lands next to it
+    const denied = this.accessControl.authorizePath(command.senderId, 'write', targetPath);
+    if (denied) {
+      return { status: 'error', code: FORBIDDEN, message: denied };
+    }
+    
+    const onConflict = command.onConflict || 'fail';
+    
+    // Quotas and the free space reserve lower the limit on what an archive may expand to
+    const available = await this.quota.available(targetPath);
+    const maxBytes = Math.min(this.config.maxExtractSize, available);
+    const stagingPath = await this.createTempFilePath();
+    
+    try {
+      let totals;
+      try {
+        totals = await extractArchive(archivePath, stagingPath, {
+          maxBytes,
+          maxEntries: this.config.maxExtractEntries
+        });
+      } catch (error) {
+        if (!(error instanceof ArchiveError)) throw error;
+        
+        if (error.maxBytes !== undefined && maxBytes < this.config.maxExtractSize) {
+          return {
+            status: 'error',
+            code: QUOTA_EXCEEDED,
+            message: `Archive does not fit into the ${available} bytes left for "${targetPath}"`
+          };
+        }
+        return { status: 'error', code: error.code, message: error.message };
+      }
+      
+      // Resolve every destination before moving anything, so that a conflict or an
+      // unsafe path leaves the target untouched
+      const staged = await walkTree(stagingPath);
+      const moves = [];
+      const createdDirectories = [];
+      
+      for (const entry of staged) {
+        const destinationPath = await this.resolvePath(command.path, entry.relativePath);
+        const taken = await exists(destinationPath);
+        
+        // Not even overwrite replaces a file with a directory, whatever it holds is not a version
+        if (entry.isDirectory) {
+          if (taken && !(await fs.stat(destinationPath)).isDirectory()) {
+            return {
+              status: 'error',
+              code: 'already-exists',
+              message: `"${entry.relativePath}" already exists and is not a directory`
+            };
+          }
+          if (!taken) createdDirectories.push(destinationPath);
+          continue;
+        }
+        
+        if (taken && onConflict === 'fail') {
+          return {
+            status: 'error',
+            code: 'already-exists',
+            message: `"${entry.relativePath}" already exists`
+          };
+        }
+        moves.push({ entry, destinationPath, taken });
+      }
+      
+      // Directories first, empty ones of the archive included
+      for (const entry of staged) {
+        if (entry.isDirectory) {
+          await fs.mkdir(await this.resolvePath(command.path, entry.relativePath), { recursive: true });
+        }
+      }
+      for (const directoryPath of createdDirectories) {
+        await this.notifyChange('created', directoryPath, { isDirectory: true });
+      }
+      
+      for (const { entry, destinationPath, taken } of moves) {
+        let finalPath = destinationPath;
+        await fs.mkdir(path.dirname(finalPath), { recursive: true });
+        
+        if (taken && onConflict === 'suffix') {
+          finalPath = await findAvailablePath(destinationPath);
+        } else if (taken) {
+          await this.archiveVersion(destinationPath);
+        }
+        
+        await replaceEntry(entry.fullPath, finalPath, taken && onConflict === 'overwrite');
+        await this.notifyChange(finalPath === destinationPath && taken ? 'modified' : 'created', finalPath);
+      }
+      this.quota.invalidate();
+      
+      return {
+        status: 'success',
+        path: command.path || '',
+        extracted: {
+          format: totals.format,
+          files: totals.files,
+          directories: totals.directories,
+          size: totals.bytes
+        }
+      };
+    } finally {
+      await this.releaseTempPath(stagingPath);
+    }
+  }
+
+  // Sends a file as one file message, the requested range of it, or streamed in slices
+  async sendFile(command, filePath, stats, details = {}) {
+    if (command.stream) {
+      return this.streamFile(command, filePath, stats);
+    }
+    
+    const offset = command.offset === undefined ? 0 : command.offset;
+    const maxLength = Math.max(stats.size - offset, 0);
+    const length = command.length === undefined ? maxLength : Math.min(command.length, maxLength);
+    
+    if (offset > stats.size) {
+      return this.sendResponse({
+        action: 'download',
+        status: 'error',
+        code: 'invalid-range',
+        field: 'offset',
+        message: `Invalid range for a file of ${stats.size} bytes`
+      }, command);
+    }
+    
+    if (length > this.config.maxDownloadMessageSize) {
+      return this.sendResponse({
+        action: 'download',
+        status: 'error',
+        code: 'too-large',
+        message: `Download of ${length} bytes exceeds ${this.config.maxDownloadMessageSize} bytes, use offset/length or stream`
+      }, command);
+    }
+    
+    // Read only the requested range
+    const data = await readRange(filePath, offset, length);
+    const ranged = command.offset !== undefined || command.length !== undefined;
+    
+    // Send file through Streamr
+    await this.sendFileMessage({
+      type: 'file',
+      requestId: command.requestId,
+      fileName: command.fileName,
+      fileSize: stats.size,
+      offset: ranged ? offset : undefined,
+      length: ranged ? data.length : undefined,
+      body: data.toString('base64')
+    }, command);
+    
+    this.sendResponse({
+      action: 'download',
+      status: 'success',
+      fileName: command.fileName,
+      path: command.path || '',
+      size: stats.size,
+      version: command.version,
+      ...details,
+      ...(ranged && { offset, length: data.length })
+    }, command);
+  }
+
+  // Like sendResponse for file messages, which are counted as sent either way
+  async sendFileMessage(message, command) {
+    if (command.reply) {
+      this.metrics.sent(bodySize(message));
+      return command.reply(message);
+    }
+    
+    await this.messageController.upload({ ...message, replyTo: this.replyTo(command) });
+  }
+
+  // Publishes the file in fixed-size slices, one message at a time, so that the whole
+  // file never has to be held in memory. Finishes with the SHA-256 of the content.
+  async streamFile(command, filePath, stats) {
+    const sliceSize = Math.min(command.sliceSize || Infinity, this.config.downloadSliceSize);
+    const totalSlices = Math.max(Math.ceil(stats.size / sliceSize), 1);
+    const transferId = randomUUID();
+    const transfer = { senderId: command.senderId, cancelled: false };
+    const hash = createHash('sha256');
+    const handle = await fs.open(filePath, 'r');
+    
+    this.activeDownloads.set(transferId, transfer);
+    
+    try {
+      this.sendResponse({
+        action: 'download',
+        status: 'info',
+        transferId,
+        fileName: command.fileName,
+        path: command.path || '',
+        size: stats.size,
+        sliceSize,
+        totalSlices
+      }, command);
+      
+      const buffer = Buffer.alloc(sliceSize);
+      let checksum;
+      
+      for (let sequence = 0; sequence < totalSlices; sequence++) {
+        if (transfer.cancelled) {
+          console.log(`Download ${transferId} cancelled after ${sequence}/${totalSlices} slices`);
+          return this.sendResponse({
+            action: 'download',
+            status: 'cancelled',
+            transferId,
+            sent: sequence,
+            totalSlices
+          }, command);
+        }
+        
+        const offset = sequence * sliceSize;
+        const { bytesRead } = await handle.read(buffer, 0, sliceSize, offset);
+        const slice = buffer.subarray(0, bytesRead);
+        const last = sequence === totalSlices - 1;
+        
+        hash.update(slice);
+        if (last) checksum = hash.digest('hex');
+        
+        await this.sendFileMessage({
+          type: 'file',
+          requestId: command.requestId,
+          transferId,
+          fileName: command.fileName,
+          fileSize: stats.size,
+          offset,
+          length: bytesRead,
+          sequence,
+          totalSlices,
+          checksum,
+          body: slice.toString('base64')
+        }, command);
+        
+        // Give the network time to drain, like the chunker does between chunks
+        if (!last && !command.reply) await delay(this.config.downloadSliceDelay);
+      }
+      
+      this.sendResponse({
+        action: 'download',
+        status: 'success',
+        transferId,
+        fileName: command.fileName,
+        path: command.path || '',
+        size: stats.size,
+        totalSlices,
+        checksum
+      }, command);
+    } finally {
+      this.activeDownloads.delete(transferId);
+      await handle.close();
+    }
+  }
+
+  async cancelDownload(command) {
+    try {
+      // Only the client that started a transfer may cancel it
+      const transfer = this.activeDownloads.get(command.transferId);
+      if (!transfer || transfer.senderId !== command.senderId) {
+        return this.sendResponse({
+          action: 'download-cancel',
+          status: 'error',
+          code: 'not-found',
+          field: 'transferId',
+          message: 'Transfer not found'
+        }, command);
+      }
+      
+      transfer.cancelled = true;
+      
+      this.sendResponse({
+        action: 'download-cancel',
+        status: 'success',
+        transferId: command.transferId
+      }, command);
+    } catch (error) {
+      console.error('Error cancelling download:', error);
+      this.sendErrorResponse('download-cancel', error, 'Error cancelling download', command);
+    }
+  }
+
+  async setupTempFolderCleanup() {    
+    this.tempCleanupTimer = setInterval(() => {
+      this.cleanupTempFolder().catch(err => {
+        console.error('Error during scheduled temp folder cleanup:', err);
+      });
+    }, this.config.tempCleanupInterval);
+  }
+
+  setupRetentionPurge() {
+    this.purgeTimer = setInterval(() => {
+      this.purgeTrash().catch(err => {
+        console.error('Error during scheduled trash purge:', err);
+      });
+      this.purgeVersions().catch(err => {
+        console.error('Error during scheduled version purge:', err);
+      });
+    }, this.config.purgeInterval);
+  }
+
+  async purgeTrash() {
+    const removedCount = await this.trash.removeExpired();
+    if (removedCount > 0) {
+      this.quota.invalidate();
+      console.log(`Trash purge complete - removed ${removedCount} expired items`);
+    }
+    return removedCount;
+  }
+
+  async purgeVersions() {
+    const removedCount = await this.versions.removeExpired();
+    if (removedCount > 0) {
+      this.quota.invalidate();
+      console.log(`Version purge complete - removed ${removedCount} expired versions`);
+    }
+    return removedCount;
+  }
+
+  // Temp paths are held in activeTempPaths until released, so that the cleanup leaves the
+  // files of running commands alone
+  async createTempFilePath() {
+    const tempFolderPath = path.join(this.config.storageDir, TEMP_FOLDER_NAME);
+    await fs.mkdir(tempFolderPath, { recursive: true });
+    const tempPath = path.join(tempFolderPath, `${randomUUID()}.tmp`);
+    this.activeTempPaths.add(tempPath);
+    return tempPath;
+  }
+
+  // Removes whatever is left at a temp path
+  async releaseTempPath(tempPath) {
+    try {
+      await fs.rm(tempPath, { recursive: true, force: true });
+    } finally {
+      this.activeTempPaths.delete(tempPath);
+    }
+  }
+
+  async cleanupTempFolder() {
+    const tempFolderPath = path.join(this.config.storageDir, TEMP_FOLDER_NAME);
+    
+    try {
+      try {
+        await fs.access(tempFolderPath);
+      } catch (error) {
+        // Temp folder doesn't exist
+        this.lastTempCleanup = { time: new Date(), removed: 0 };
+        return;
+      }
+      
+      console.log('Cleaning up files in temp folder...');
+      
+      const entries = await fs.readdir(tempFolderPath, { withFileTypes: true });
+      let deletedCount = 0;
+      
+      for (const entry of entries) {
+        const entryPath = path.join(tempFolderPath, entry.name);
+        
+        // Upload sessions are only removed once nobody has touched them for a while
+        if (entry.name === UPLOADS_FOLDER_NAME) {
+          deletedCount += await this.uploadSessions.removeStale();
+          continue;
+        }
+        if (this.activeTempPaths.has(entryPath)) continue;
+        
+        if (entry.isDirectory()) {
+          await fs.rm(entryPath, { recursive: true });
+        } else {
+          await fs.unlink(entryPath);
+        }
+        deletedCount++;
+      }
+      
+      if (deletedCount > 0) this.quota.invalidate();
+      console.log(`Temp folder cleanup complete - removed ${deletedCount} items`);
+      this.lastTempCleanup = { time: new Date(), removed: deletedCount };
+    } catch (error) {
+      console.error('Error during temp folder cleanup:', error);
+      this.lastTempCleanup = { time: new Date(), error: error.message };
+    }
+  }
+
+  async deleteFile(command) {
+    try {
+      const filePath = await this.resolvePath(command.path, command.fileName);
+      
+      // Check if file exists
+      try {
+        await fs.access(filePath);
+      } catch (error) {
+        return this.sendResponse({
+          action: 'delete',
+          status: 'error',
+          code: 'not-found',
+          field: 'fileName',
+          message: 'File not found'
+        }, command);
+      }
+      
+      if (!command.permanent) {
+        const item = await this.trash.put(filePath, {
+          originalPath: await this.storageRelativePath(filePath),
+          deletedBy: command.senderId
+        });
+        this.quota.invalidate();
+        await this.notifyChange('deleted', filePath, { isDirectory: item.isDirectory });
+        
+        return this.sendResponse({
+          action: 'delete',
+          status: 'success',
+          fileName: command.fileName,
+          path: command.path || '',
+          trashId: item.id
+        }, command);
+      }
+      
+      const stats = await fs.stat(filePath);
+      
+      if (stats.isDirectory()) {
+        // Remove directory recursively
+        await fs.rm(filePath, { recursive: true });
+      } else {
+        // Remove file
+        await fs.unlink(filePath);
+      }
+      this.quota.invalidate();
+      await this.notifyChange('deleted', filePath, { isDirectory: stats.isDirectory() });
+      
+      this.sendResponse({
+        action: 'delete',
+        status: 'success',
+        fileName: command.fileName,
+        path: command.path || '',
+        permanent: true
+      }, command);
+    } catch (error) {
+      console.error('Error deleting file:', error);
+      this.sendErrorResponse('delete', error, 'Error deleting file', command);
+    }
+  }
+
+  async listTrash(command) {
+    try {
+      const items = [];
+      
+      // Only show items the sender could have seen where they came from
+      for (const item of await this.trash.list()) {
+        if (this.accessControl.authorizePath(command.senderId, 'read', item.originalPath)) continue;
+        
+        items.push({
+          id: item.id,
+          name: item.name,
+          originalPath: item.originalPath,
+          isDirectory: item.isDirectory,
+          size: item.size,
+          deletedAt: new Date(item.deletedAt),
+          deletedBy: item.deletedBy,
+          expiresAt: new Date(this.trash.expiresAt(item))
+        });
+      }
+      
+      this.sendResponse({
+        action: 'trash-list',
+        status: 'success',
+        items
+      }, command);
+    } catch (error) {
+      console.error('Error listing trash:', error);
+      this.sendErrorResponse('trash-list', error, 'Error listing trash', command);
+    }
+  }
+
+  async restoreFromTrash(command) {
+    try {
+      const onConflict = command.onConflict || 'fail';
+      
+      const item = await this.trash.get(command.id);
+      if (!item) {
+        return this.sendResponse({
+          action: 'restore',
+          status: 'error',
+          code: 'not-found',
+          field: 'id',
+          message: 'Trash item not found'
+        }, command);
+      }
+      
+      const denied = this.accessControl.authorizePath(command.senderId, 'write', item.originalPath);
+      if (denied) {
+        return this.sendResponse({
+          action: 'restore',
+          status: 'error',
+          code: FORBIDDEN,
+          message: denied
+        }, command);
+      }
+      
+      // The original location is checked again, its parents may have become symlinks since
+      const dirPath = path.posix.dirname(item.originalPath);
+      let destinationPath = await this.resolvePath(dirPath === '.' ? '' : dirPath, item.name);
+      
+      const exceeded = await this.quota.check(item.originalPath, item.size, { sourcePath: TRASH_FOLDER_NAME });
+      if (exceeded) {
+        return this.sendResponse({ action: 'restore', ...exceeded }, command);
+      }
+      
+      await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+      
+      let replaced = false;
+      if (await exists(destinationPath)) {
+        if (onConflict === 'fail') {
+          return this.sendResponse({
+            action: 'restore',
+            status: 'error',
+            code: 'already-exists',
+            message: 'An entry with that name already exists at the original location'
+          }, command);
+        }
+        
+        if (onConflict === 'suffix') {
+          destinationPath = await findAvailablePath(destinationPath);
+        } else {
+          // Whatever took the restored item's place goes to the trash in turn
+          await this.trash.put(destinationPath, {
+            originalPath: item.originalPath,
+            deletedBy: command.senderId
+          });
+          replaced = true;
+        }
+      }
+      
+      await this.trash.restore(item, destinationPath);
+      this.quota.invalidate();
+      await this.notifyChange(replaced ? 'modified' : 'created', destinationPath, { isDirectory: item.isDirectory });
+      
+      this.sendResponse({
+        action: 'restore',
+        status: 'success',
+        id: item.id,
+        fileName: path.basename(destinationPath),
+        path: await this.storageRelativePath(path.dirname(destinationPath))
+      }, command);
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      this.sendErrorResponse('restore', error, 'Error restoring from trash', command);
+    }
+  }
+
+  async emptyTrash(command) {
+    try {
+      let removed;
+      
+      if (command.id !== undefined) {
+        const item = await this.trash.get(command.id);
+        if (!item) {
+          return this.sendResponse({
+            action: 'trash-empty',
+            status: 'error',
+            code: 'not-found',
+            field: 'id',
+            message: 'Trash item not found'
+          }, command);
+        }
+        await this.trash.remove(item);
+        removed = 1;
+      } else {
+        removed = await this.trash.empty();
+      }
+      this.quota.invalidate();
+      
+      this.sendResponse({
+        action: 'trash-empty',
+        status: 'success',
+        removed
+      }, command);
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      this.sendErrorResponse('trash-empty', error, 'Error emptying trash', command);
+    }
+  }
+
+  async watchPath(command) {
+    try {
+      const ttl = Math.min(command.ttl || this.config.watchTtl, this.config.maxWatchTtl);
+      
+      // Watching again with a subscriptionId renews that subscription
+      if (command.subscriptionId !== undefined) {
+        const subscription = this.changes.get(command.subscriptionId, command.senderId);
+        if (!subscription) {
+          return this.sendResponse({
+            action: 'watch',
+            status: 'error',
+            code: 'not-found',
+            field: 'subscriptionId',
+            message: 'Subscription not found'
+          }, command);
+        }
+        
+        this.changes.renew(subscription, ttl);
+        return this.sendWatchResponse(subscription, ttl, command);
+      }
+      
+      const dirPath = await this.resolvePath(command.path);
+      
+      let stats = null;
+      try {
+        stats = await fs.stat(dirPath);
+      } catch (error) {
+        // Reported below
+      }
+      
+      if (!stats || !stats.isDirectory()) {
+        return this.sendResponse({
+          action: 'watch',
           status: 'error',
-          message: 'File not found'
-        });
+          code: 'not-found',
+          field: 'path',
+          message: 'Directory not found'
+        }, command);
       }
       
-      const stats = await fs.stat(filePath);
+      if (this.changes.size >= this.config.maxWatches) {
+        return this.sendResponse({
+          action: 'watch',
+          status: 'error',
+          code: 'limit-reached',
+          message: `No more than ${this.config.maxWatches} watches can be active`
+        }, command);
+      }
       
-      if (stats.isDirectory()) {
-        // Remove directory recursively
-        await fs.rm(filePath, { recursive: true });
-      } else {
-        // Remove file
-        await fs.unlink(filePath);
+      const subscription = this.changes.subscribe({
+        senderId: command.senderId,
+        dirPath,
+        relativePath: await this.storageRelativePath(dirPath),
+        recursive: Boolean(command.recursive),
+        ttl,
+        replyTo: { sealed: command.sealed, senderKey: command.senderKey, acceptEncoding: command.acceptEncoding }
+      });
+      
+      this.sendWatchResponse(subscription, ttl, command);
+    } catch (error) {
+      console.error('Error watching path:', error);
+      this.sendErrorResponse('watch', error, 'Error watching path', command);
+    }
+  }
+
+  sendWatchResponse(subscription, ttl, command) {
+    this.sendResponse({
+      action: 'watch',
+      status: 'success',
+      subscriptionId: subscription.id,
+      path: subscription.path,
+      recursive: subscription.recursive,
+      ttl,
+      expiresAt: new Date(subscription.expiresAt)
+    }, command);
+  }
+
+  async unwatchPath(command) {
+    try {
+      const subscription = this.changes.get(command.subscriptionId, command.senderId);
+      if (!subscription) {
+        return this.sendResponse({
+          action: 'unwatch',
+          status: 'error',
+          code: 'not-found',
+          field: 'subscriptionId',
+          message: 'Subscription not found'
+        }, command);
       }
       
+      this.changes.unsubscribe(subscription);
+      
       this.sendResponse({
-        action: 'delete',
+        action: 'unwatch',
         status: 'success',
-        fileName: command.fileName,
-        path: command.path || ''
-      });
+        subscriptionId: subscription.id
+      }, command);
     } catch (error) {
-      console.error('Error deleting file:', error);
+      console.error('Error removing watch:', error);
+      this.sendErrorResponse('unwatch', error, 'Error removing watch', command);
+    }
+  }
+
+  // Publishes the changes a subscription collected, leaving out paths its sender can no
+  // longer read. A rename from a path the sender cannot read shows up as a creation.
+  publishChanges(subscription, changes) {
+    const visible = [];
+    
+    for (const change of changes) {
+      if (this.accessControl.authorizePath(subscription.senderId, 'read', change.path)) continue;
+      
+      if (change.from && this.accessControl.authorizePath(subscription.senderId, 'read', change.from)) {
+        const { from, ...created } = change;
+        visible.push({ ...created, type: 'created' });
+      } else {
+        visible.push(change);
+      }
+    }
+    
+    for (let i = 0; i < visible.length; i += this.config.watchBatchSize) {
       this.sendResponse({
-        action: 'delete',
-        status: 'error',
-        message: `Error deleting file: ${error.message}`
+        action: 'change',
+        status: 'info',
+        subscriptionId: subscription.id,
+        path: subscription.path,
+        changes: visible.slice(i, i + this.config.watchBatchSize)
+      }, subscription.replyTo);
+    }
+  }
+
+  // Answers from the audit log, newest entries first. Senders only see entries about paths
+  // they may read; entries without a path, like emptying the trash, need read access to
+  // the whole drive. Older entries are fetched with until set to the oldest time received.
+  async getHistory(command) {
+    try {
+      const { entries, truncated } = await this.audit.query({
+        path: command.path !== undefined ? commandPath(command.path) : undefined,
+        action: command.operation,
+        senderId: command.sender,
+        since: command.since !== undefined ? parseTime(command.since) : undefined,
+        until: command.until !== undefined ? parseTime(command.until) : undefined,
+        limit: Math.min(command.limit || this.config.maxHistoryEntries, this.config.maxHistoryEntries),
+        include: (entry) => (entry.paths.length > 0 ? entry.paths : ['']).every((entryPath) =>
+          !this.accessControl.authorizePath(command.senderId, 'read', entryPath))
       });
+      
+      this.sendResponse({
+        action: 'history',
+        status: 'success',
+        entries,
+        truncated
+      }, command);
+    } catch (error) {
+      console.error('Error reading history:', error);
+      this.sendErrorResponse('history', error, 'Error reading history', command);
     }
   }
 
   async createDirectory(command) {
     try {
-      if (!command.dirName) {
-        return this.sendResponse({
-          action: 'mkdir',
-          status: 'error',
-          message: 'Missing dirName'
-        });
-      }
-      
-      const dirPath = path.join(this.config.storageDir, command.path || '', command.dirName);
+      const dirPath = await this.resolvePath(command.path, command.dirName);
+      const created = !(await exists(dirPath));
       
       // Create directory
       await fs.mkdir(dirPath, { recursive: true });
+      if (created) await this.notifyChange('created', dirPath, { isDirectory: true });
       
       this.sendResponse({
         action: 'mkdir',
         status: 'success',
         dirName: command.dirName,
         path: command.path || ''
-      });
+      }, command);
     } catch (error) {
       console.error('Error creating directory:', error);
-      this.sendResponse({
-        action: 'mkdir',
-        status: 'error',
-        message: `Error creating directory: ${error.message}`
-      });
+      this.sendErrorResponse('mkdir', error, 'Error creating directory', command);
     }
   }
 
-  async getFileInfo(command) {
+  async getUsage(command) {
     try {
-      if (!command.fileName) {
+      const dirPath = await this.resolvePath(command.path);
+      
+      let entries;
+      try {
+        entries = await fs.readdir(dirPath, { withFileTypes: true });
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
         return this.sendResponse({
-          action: 'info',
+          action: 'usage',
           status: 'error',
-          message: 'Missing fileName'
-        });
+          code: 'not-found',
+          field: 'path',
+          message: 'Directory not found'
+        }, command);
       }
       
-      const filePath = path.join(this.config.storageDir, command.path || '', command.fileName);
+      const atRoot = dirPath === await fs.realpath(this.config.storageDir);
+      const directories = [];
+      let size = 0;
+      let files = 0;
+      
+      for (const entry of entries) {
+        // Trash and versions are reported on their own below, temp is the drive's own
+        if (atRoot && RESERVED_FOLDER_NAMES.includes(entry.name)) continue;
+        
+        const totals = await measureTree(path.join(dirPath, entry.name));
+        size += totals.bytes;
+        files += totals.files;
+        if (entry.isDirectory()) {
+          directories.push({ name: entry.name, size: totals.bytes, files: totals.files });
+        }
+      }
+      
+      directories.sort((a, b) => b.size - a.size);
+      
+      // Reported as measured now, not as cached for the quota checks
+      this.quota.invalidate();
+      
+      this.sendResponse({
+        action: 'usage',
+        status: 'success',
+        path: command.path || '',
+        size,
+        files,
+        directories,
+        used: await this.quota.used(''),
+        trash: await this.quota.used(TRASH_FOLDER_NAME),
+        versions: await this.quota.used(VERSIONS_FOLDER_NAME),
+        disk: await this.quota.diskSpace(),
+        reserve: this.quota.reserveBytes,
+        quotas: await this.quota.limits()
+      }, command);
+    } catch (error) {
+      console.error('Error getting usage:', error);
+      this.sendErrorResponse('usage', error, 'Error getting usage', command);
+    }
+  }
+
+  async getFileInfo(command) {
+    try {
+      const filePath = await this.resolvePath(command.path, command.fileName);
       
       // Check if file exists
       try {
@@ -492,8 +2152,10 @@ class StreamrDrive {
         return this.sendResponse({
           action: 'info',
           status: 'error',
+          code: 'not-found',
+          field: 'fileName',
           message: 'File not found'
-        });
+        }, command);
       }
       
       // Get file stats
@@ -507,15 +2169,12 @@ class StreamrDrive {
         size: stats.size,
         isDirectory: stats.isDirectory(),
         created: stats.birthtime,
-        modified: stats.mtime
-      });
+        modified: stats.mtime,
+        hash: stats.isDirectory() ? undefined : await this.hashCache.get(filePath, stats)
+      }, command);
     } catch (error) {
       console.error('Error getting file info:', error);
-      this.sendResponse({
-        action: 'info',
-        status: 'error',
-        message: `Error getting file info: ${error.message}`
-      });
+      this.sendErrorResponse('info', error, 'Error getting file info', command);
     }
   }
 
@@ -525,29 +2184,107 @@ class StreamrDrive {
         action: 'pong',
         status: 'success',
         timestamp: Date.now()
-      });
+      }, command);
     } catch (error) {
       console.error('Error handling ping:', error);
+      this.sendErrorResponse('ping', error, 'Error handling ping', command);
+    }
+  }
+
+  // Introduces this drive to clients looking for the drives on the stream
+  async handleDiscover(command) {
+    try {
       this.sendResponse({
-        action: 'ping',
-        status: 'error',
-        message: `Error handling ping: ${error.message}`
-      });
+        action: 'discover',
+        status: 'success',
+        name: this.config.name,
+        hostname: os.hostname(),
+        disk: await this.quota.diskSpace()
+      }, command);
+    } catch (error) {
+      console.error('Error handling discover:', error);
+      this.sendErrorResponse('discover', error, 'Error handling discover', command);
+    }
+  }
+
+  // Tells clients what this drive understands, so they can adapt before sending commands
+  async sendCapabilities(command) {
+    try {
+      this.sendResponse({
+        action: 'capabilities',
+        status: 'success',
+        protocolVersion: PROTOCOL_VERSION,
+        supportedVersions: SUPPORTED_VERSIONS,
+        serverVersion: await readServerVersion(),
+        name: this.config.name,
+        actions: COMMAND_SCHEMAS,
+        archiveFormats: ARCHIVE_FORMATS,
+        compression: this.config.compression,
+        encryption: this.cipher
+          ? { scheme: this.cipher.scheme, required: this.cipher.required, publicKey: this.cipher.publicKey }
+          : null,
+        limits: {
+          // null when the transport does not limit message sizes
+          maxMessageSize: Number.isFinite(this.transport.maxMessageSize) ? this.transport.maxMessageSize : null,
+          maxDownloadMessageSize: this.config.maxDownloadMessageSize,
+          downloadSliceSize: this.config.downloadSliceSize,
+          listBatchSize: this.config.listBatchSize,
+          maxExtractSize: this.config.maxExtractSize,
+          maxExtractEntries: this.config.maxExtractEntries,
+          maxWatches: this.config.maxWatches,
+          maxWatchTtl: this.config.maxWatchTtl,
+          uploadSessionTimeout: this.config.uploadSessionTimeout,
+          maxConcurrentCommands: this.config.maxConcurrentCommands,
+          maxQueuedCommands: this.config.maxQueuedCommands,
+          maxHistoryEntries: this.config.maxHistoryEntries
+        }
+      }, command);
+    } catch (error) {
+      console.error('Error reporting capabilities:', error);
+      this.sendErrorResponse('capabilities', error, 'Error reporting capabilities', command);
+    }
+  }
+
+  // Tells monitoring how the drive is doing
+  async sendStatus(command) {
+    try {
+      this.sendResponse({
+        action: 'status',
+        status: 'success',
+        ...await this.collectStatus()
+      }, command);
+    } catch (error) {
+      console.error('Error reporting status:', error);
+      this.sendErrorResponse('status', error, 'Error reporting status', command);
     }
   }
 
+  // The answer of the status action, which the metrics endpoint serves as well
+  async collectStatus() {
+    const disk = await this.quota.diskSpace();
+    
+    return {
+      deviceId: this.config.deviceId,
+      name: this.config.name,
+      serverVersion: await readServerVersion(),
+      startedAt: new Date(this.metrics.startedAt),
+      uptime: Date.now() - this.metrics.startedAt,
+      storageDir: path.resolve(this.config.storageDir),
+      disk: { ...disk, used: disk.total - disk.free },
+      commands: { running: this.scheduler.running.size, waiting: this.scheduler.size },
+      transfers: { downloads: this.activeDownloads.size, uploadSessions: await this.uploadSessions.count() },
+      bytesIn: this.metrics.bytesIn,
+      bytesOut: this.metrics.bytesOut,
+      handled: { ...this.metrics.commands },
+      errors: { ...this.metrics.errors },
+      tempCleanup: this.lastTempCleanup
+    };
+  }
+
   async renameFile(command) {
     try {
-      if (!command.oldName || !command.newName) {
-        return this.sendResponse({
-          action: 'rename',
-          status: 'error',
-          message: 'Missing oldName or newName'
-        });
-      }
-      
-      const oldPath = path.join(this.config.storageDir, command.path || '', command.oldName);
-      const newPath = path.join(this.config.storageDir, command.path || '', command.newName);
+      const oldPath = await this.resolvePath(command.path, command.oldName);
+      const newPath = await this.resolvePath(command.path, command.newName);
       
       // Check if source file/folder exists
       try {
@@ -556,8 +2293,10 @@ class StreamrDrive {
         return this.sendResponse({
           action: 'rename',
           status: 'error',
+          code: 'not-found',
+          field: 'oldName',
           message: 'Source file/folder not found'
-        });
+        }, command);
       }
       
       // Check if destination already exists
@@ -566,17 +2305,21 @@ class StreamrDrive {
         return this.sendResponse({
           action: 'rename',
           status: 'error',
+          code: 'already-exists',
+          field: 'newName',
           message: 'Destination already exists'
-        });
+        }, command);
       } catch (error) {
         // This is expected - destination should not exist
       }
       
       // Perform the rename operation
       await fs.rename(oldPath, newPath);
+      this.quota.invalidate();
       
       // Get info about the renamed item
       const stats = await fs.stat(newPath);
+      await this.notifyChange('renamed', newPath, { isDirectory: stats.isDirectory(), fromPath: oldPath });
       
       this.sendResponse({
         action: 'rename',
@@ -586,24 +2329,309 @@ class StreamrDrive {
         path: command.path || '',
         isDirectory: stats.isDirectory(),
         size: stats.size
-      });
+      }, command);
     } catch (error) {
       console.error('Error renaming file/folder:', error);
+      this.sendErrorResponse('rename', error, 'Error renaming file/folder', command);
+    }
+  }
+
+  // Copies or moves a file or directory tree to another directory. The destination only
+  // ever sees the finished result: copies are staged next to it and renamed into place.
+  async transferEntry(command, action) {
+    try {
+      const onConflict = command.onConflict || 'fail';
+      
+      const sourcePath = await this.resolvePath(command.path, command.fileName);
+      const destinationName = command.destinationName || path.basename(sourcePath);
+      const destinationDir = await this.resolvePath(command.destinationPath);
+      let destinationPath = await this.resolvePath(command.destinationPath, destinationName);
+      
+      if (!(await exists(sourcePath))) {
+        return this.sendResponse({
+          action,
+          status: 'error',
+          code: 'not-found',
+          field: 'fileName',
+          message: 'Source file/folder not found'
+        }, command);
+      }
+      
+      const sameEntry = destinationPath === sourcePath;
+      if ((sameEntry && !(action === 'copy' && onConflict === 'suffix')) || (!sameEntry && isInside(sourcePath, destinationPath))) {
+        return this.sendResponse({
+          action,
+          status: 'error',
+          code: 'invalid-field',
+          field: 'destinationPath',
+          message: 'Destination is inside the source'
+        }, command);
+      }
+      
+      let replace = false;
+      if (await exists(destinationPath)) {
+        if (onConflict === 'fail') {
+          return this.sendResponse({
+            action,
+            status: 'error',
+            code: 'already-exists',
+            field: 'destinationName',
+            message: 'Destination already exists'
+          }, command);
+        }
+        
+        if (onConflict === 'suffix') {
+          destinationPath = await findAvailablePath(destinationPath);
+        } else {
+          replace = true;
+        }
+      }
+      
+      const totals = await measureTree(sourcePath);
+      const destinationRelativePath = await this.storageRelativePath(destinationPath);
+      // Replaced entries are removed, not kept as versions
+      const replacing = { replacedBytes: replace ? (await measureTree(destinationPath)).bytes : 0 };
+      
+      // A move only adds to the quotas of prefixes it brings the entry into
+      const exceeded = await this.quota.check(destinationRelativePath, totals.bytes, {
+        ...replacing,
+        sourcePath: action === 'move' ? await this.storageRelativePath(sourcePath) : undefined
+      });
+      if (exceeded) {
+        return this.sendResponse({ action, ...exceeded }, command);
+      }
+      
+      await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+      
+      if (action === 'move') {
+        try {
+          await replaceEntry(sourcePath, destinationPath, replace);
+        } catch (error) {
+          // Renaming across mount points is not possible, fall back to copy and delete
+          if (error.code !== 'EXDEV') throw error;
+          await this.copyEntry(command, action, sourcePath, destinationPath, replace, totals);
+          await fs.rm(sourcePath, { recursive: true, force: true });
+        }
+      } else {
+        await this.copyEntry(command, action, sourcePath, destinationPath, replace, totals);
+      }
+      
+      if (action === 'move') {
+        this.quota.invalidate();
+      } else {
+        this.quota.record(destinationRelativePath, totals.bytes, replacing);
+      }
+      
+      const stats = await fs.stat(destinationPath);
+      if (action === 'move') {
+        await this.notifyChange('renamed', destinationPath, { isDirectory: stats.isDirectory(), fromPath: sourcePath });
+      } else {
+        await this.notifyChange(replace ? 'modified' : 'created', destinationPath, { isDirectory: stats.isDirectory() });
+      }
+      
       this.sendResponse({
-        action: 'rename',
-        status: 'error',
-        message: `Error renaming file/folder: ${error.message}`
+        action,
+        status: 'success',
+        fileName: command.fileName,
+        path: command.path || '',
+        destinationPath: command.destinationPath,
+        destinationName: path.basename(destinationPath),
+        isDirectory: stats.isDirectory(),
+        files: totals.files,
+        size: totals.bytes
+      }, command);
+    } catch (error) {
+      console.error(`Error during ${action}:`, error);
+      this.sendErrorResponse(action, error, `Error during ${action}`, command);
+    }
+  }
+
+  async copyEntry(command, action, sourcePath, destinationPath, replace, totals) {
+    const stagingPath = siblingTempPath(destinationPath, 'partial');
+    let copiedFiles = 0;
+    let copiedBytes = 0;
+    let lastProgress = Date.now();
+    
+    try {
+      await copyTree(sourcePath, stagingPath, (size) => {
+        copiedFiles++;
+        copiedBytes += size;
+        
+        if (Date.now() - lastProgress >= this.config.progressInterval) {
+          lastProgress = Date.now();
+          this.sendResponse({
+            action: `${action}-progress`,
+            status: 'info',
+            copiedFiles,
+            totalFiles: totals.files,
+            copiedBytes,
+            totalBytes: totals.bytes,
+            progress: totals.bytes ? parseFloat((100 * copiedBytes / totals.bytes).toFixed(1)) : 100,
+            complete: false
+          }, command);
+        }
       });
+      
+      await replaceEntry(stagingPath, destinationPath, replace);
+    } catch (error) {
+      await fs.rm(stagingPath, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  // Every path coming from a command must go through here before touching the disk
+  resolvePath(dirPath, name) {
+    // The trash and file versions are only reachable through their own actions, temp not at all
+    const [topLevel] = path.normalize(path.join(
+      typeof dirPath === 'string' ? dirPath : '',
+      typeof name === 'string' ? name : ''
+    )).split(path.sep);
+    if (RESERVED_FOLDER_NAMES.includes(topLevel)) {
+      return Promise.reject(new PathError(`Path "${topLevel}" is reserved`));
     }
+    
+    return resolveStoragePath(this.config.storageDir, dirPath, name);
+  }
+
+  // The storage-relative, slash separated form of a resolved path
+  async storageRelativePath(fullPath) {
+    const rootDir = await fs.realpath(this.config.storageDir);
+    return path.relative(rootDir, fullPath).split(path.sep).join('/');
+  }
+
+  // Files the drive keeps for itself, which watchers never hear about
+  isInternalPath(relativePath) {
+    const segments = relativePath.split('/');
+    return RESERVED_FOLDER_NAMES.includes(segments[0]) ||
+      segments.some(isSiblingTempName);
+  }
+
+  // Tells watch subscriptions about a change made through a command. fromPath is the
+  // previous location of a renamed or moved entry.
+  async notifyChange(type, fullPath, { isDirectory, fromPath } = {}) {
+    if (this.changes.size === 0) return;
+    
+    this.changes.notify({
+      type,
+      path: await this.storageRelativePath(fullPath),
+      from: fromPath ? await this.storageRelativePath(fromPath) : undefined,
+      isDirectory
+    });
+  }
+
+  sendErrorResponse(action, error, context, command) {
+    if (error instanceof PathError) {
+      return this.sendResponse({
+        action,
+        status: 'error',
+        code: error.code,
+        message: error.message
+      }, command);
+    }
+    
+    this.sendResponse({
+      action,
+      status: 'error',
+      code: INTERNAL_ERROR,
+      message: `${context}: ${error.message}`
+    }, command);
   }
 
-  sendResponse(response) {
+  sendResponse(response, command) {
+    const requestId = command ? command.requestId : undefined;
+    // Like requestId, the protocol version a command asked for is echoed in its responses
+    const protocolVersion = command ? command.protocolVersion : undefined;
+    // deviceId tells apart the answers of drives sharing a stream
+    const payload = { requestId, protocolVersion, deviceId: this.config.deviceId, ...response };
+    
+    // Remember the final response so that a retried request can be answered from cache
+    if (requestId !== undefined && payload.status !== 'info') {
+      const entry = this.recentRequests.get(this.requestKey(command));
+      if (entry) {
+        entry.response = payload;
+        // Replays go out sealed and encoded like the original, for the same recipient
+        entry.replyTo = this.replyTo(command);
+      }
+    }
+    
+    if (command && payload.status !== 'info' && Object.hasOwn(AUDITED_ACTIONS, command.action)) {
+      this.recordCommand(command, payload);
+    }
+    
+    // Counted under the actions there are only, whatever a broken command claims to be
+    if (payload.status === 'error') {
+      const action = command && command.action;
+      this.metrics.error(Object.hasOwn(COMMAND_SCHEMAS, action) ? action : 'invalid');
+    }
+    
+    // Commands run for the device itself are answered right there, see runCommand
+    if (command && command.reply) {
+      return command.reply(payload);
+    }
+    
     this.messageController.upload({
       type: 'text',
-      body: JSON.stringify(response)
+      body: JSON.stringify(payload),
+      replyTo: this.replyTo(command)
     });
   }
 
+  // Appends the outcome of a command that changes the storage to the audit log. Rejected
+  // commands are recorded too, they show who tried what.
+  recordCommand(command, response) {
+    const { paths, bytes, trashId } = AUDITED_ACTIONS[command.action](command, response);
+    
+    this.audit.append({
+      time: new Date().toISOString(),
+      senderId: command.senderId,
+      deviceId: command.senderDevice,
+      requestId: command.requestId,
+      action: command.action,
+      paths,
+      status: response.status,
+      code: response.code,
+      message: response.status === 'error' ? response.message : undefined,
+      bytes,
+      trashId
+    });
+  }
+  
+  // requestIds are only unique per sender
+  requestKey(command) {
+    return `${command.senderId}:${command.requestId}`;
+  }
+
+  // Returns true if the request has been seen within the dedup window. Duplicates of
+  // completed requests are answered with the cached response, in-flight ones are dropped.
+  handleDuplicateRequest(command) {
+    const key = this.requestKey(command);
+    const now = Date.now();
+    
+    for (const [id, entry] of this.recentRequests) {
+      if (now - entry.timestamp > this.config.requestDedupWindow) {
+        this.recentRequests.delete(id);
+      }
+    }
+    
+    const entry = this.recentRequests.get(key);
+    if (!entry) {
+      this.recentRequests.set(key, { timestamp: now, response: null, replyTo: undefined });
+      return false;
+    }
+    
+    console.log(`Duplicate request ${command.requestId}, ${entry.response ? 'replaying cached response' : 'still in progress'}`);
+    if (entry.response && command.reply) {
+      command.reply(entry.response);
+    } else if (entry.response) {
+      this.messageController.upload({
+        type: 'text',
+        body: JSON.stringify(entry.response),
+        replyTo: entry.replyTo
+      });
+    }
+    return true;
+  }
+
   generateDeviceId() {
     const hostname = os.hostname();
     const hash = createHash('md5').update(hostname).digest('hex');
@@ -618,12 +2646,35 @@ class StreamrDrive {
       this.tempCleanupTimer = null;
     }
     
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+    
+    // No more commands from HTTP, the audit log then holds all of them
+    if (this.gateway) {
+      await this.gateway.close();
+      this.gateway = null;
+    }
+    
+    this.changes.close();
+    await this.audit.flush();
+    
+    if (this.accessControl) {
+      this.accessControl.close();
+    }
+    
+    if (this.metricsServer) {
+      await new Promise((resolve) => this.metricsServer.close(resolve));
+      this.metricsServer = null;
+    }
+    
     if (this.messageController) {
       await this.messageController.destroy();
     }
     
-    if (this.streamrClient) {
-      await this.streamrClient.destroy();
+    if (this.transport) {
+      await this.transport.shutdown();
     }
     
     console.log('StreamrDrive shut down successfully');
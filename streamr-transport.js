@@ -0,0 +1,185 @@
+// streamr-transport.js
+import StreamrClient from '@streamr/sdk';
+import { StreamrChunker } from 'streamr-chunker';
+
+const MAX_MESSAGE_SIZE = 8 * 64000;
+
+// Carries messages over a Streamr stream. Large messages are split into chunks by
+// StreamrChunker and pieced together again on the receiving side.
+class StreamrTransport {
+  constructor(config) {
+    this.config = {
+      maxMessageSize: MAX_MESSAGE_SIZE,
+      ...config
+    };
+
+    this.streamrClient = null;
+    this.streamrChunker = null;
+    this.streamUrl = null;
+    this.name = 'streamr';
+    this.chunkedRequestIds = new Map();
+    this.chunkedTargets = new Map();
+    this.chunkedKeyIds = new Map();
+    this.chunkSenders = new Map();
+    this.currentSenderId = undefined;
+    this.currentChunkMessageId = undefined;
+  }
+
+  get maxMessageSize() {
+    return this.config.maxMessageSize;
+  }
+
+  // onMessage(message, { senderId }) receives every complete message from others.
+  // onProgress(updates) receives the state of chunked messages still being received.
+  async subscribe(onMessage, onProgress) {
+    console.log("Initializing Streamr client...");
+    this.streamrClient = new StreamrClient({
+      auth: { privateKey: this.config.privateKey },
+    });
+
+    // A bare stream id is taken to live under our own address
+    const address = await this.streamrClient.getAddress();
+    this.streamUrl = this.config.streamId.includes('/')
+      ? this.config.streamId
+      : `${address}/${this.config.streamId}`;
+    this.name = this.streamUrl;
+    console.log("Initialized");
+    // Make sure the stream exists
+    await this.streamrClient.getStream(this.streamUrl);
+
+    this.streamrChunker = new StreamrChunker()
+      .withDeviceId(this.config.deviceId)
+      .withIgnoreOwnMessages()
+      .withMaxMessageSize(this.config.maxMessageSize)
+      .withBeforeReceiveHook((message) => this.inspectIncomingChunk(message));
+
+    this.streamrChunker.on("publish", (message) => {
+      this.publishToStreamr(message);
+    });
+
+    this.streamrChunker.on("message", (message) => {
+      const senderId = this.currentChunkMessageId === undefined
+        ? this.currentSenderId
+        : this.chunkSenders.get(this.currentChunkMessageId);
+
+      onMessage(message, { senderId });
+    });
+
+    this.streamrChunker.on("chunk-update", (updateData) => {
+      this.handleChunkUpdate(updateData, onProgress);
+    });
+
+    await this.streamrClient.subscribe(this.streamUrl, (message, metadata) => {
+      this.handleStreamrMessage(message, metadata);
+    });
+    console.log("Subscribed to stream");
+
+    return this;
+  }
+
+  async publish(message) {
+    await this.streamrChunker.publish(message);
+  }
+
+  async publishToStreamr(message) {
+    try {
+      await this.streamrClient.publish(this.streamUrl, message);
+    } catch (error) {
+      console.error('Error publishing message to Streamr:', error);
+    }
+  }
+
+  handleStreamrMessage(message, metadata) {
+    // The chunker emits synchronously, so the publisher is known while it runs
+    this.currentSenderId = metadata ? metadata.publisherId : undefined;
+    this.currentChunkMessageId = undefined;
+
+    try {
+      this.streamrChunker.receiveHandler(message);
+    } catch (error) {
+      console.error('Error handling Streamr message:', error);
+    } finally {
+      this.currentSenderId = undefined;
+      this.currentChunkMessageId = undefined;
+    }
+  }
+
+  inspectIncomingChunk(message) {
+    const [deviceId, body, messageId, chunkId] = message.b;
+
+    // Single (non-chunked) messages and our own chunks need no tracking
+    if (messageId === undefined || deviceId === this.config.deviceId) {
+      return false;
+    }
+
+    // A message assembled from chunks of different publishers has no trustworthy sender
+    this.currentChunkMessageId = messageId;
+    if (!this.chunkSenders.has(messageId)) {
+      this.chunkSenders.set(messageId, this.currentSenderId);
+    } else if (this.chunkSenders.get(messageId) !== this.currentSenderId) {
+      this.chunkSenders.set(messageId, null);
+    }
+
+    // The first chunk of a large command carries the start of its envelope. If the client
+    // put requestId and target there, remember them so progress updates can be correlated
+    // and left to the drive the command is meant for. The keyId of a sealed command says
+    // whom to seal them for.
+    if (chunkId !== 0 || typeof body !== 'string') {
+      return false;
+    }
+
+    const match = body.match(/"requestId":(?:"([^"\\]*)"|(-?\d+))/);
+    if (match) {
+      this.chunkedRequestIds.set(messageId, match[1] !== undefined ? match[1] : Number(match[2]));
+    }
+
+    const targetMatch = body.match(/"target":"([^"\\]*)"/);
+    if (targetMatch) {
+      this.chunkedTargets.set(messageId, targetMatch[1]);
+    }
+
+    const keyIdMatch = body.match(/"keyId":"([^"\\]*)"/);
+    if (keyIdMatch) {
+      this.chunkedKeyIds.set(messageId, keyIdMatch[1]);
+    }
+    return false;
+  }
+
+  handleChunkUpdate(updateData, onProgress) {
+    // Forget messages that have completed or expired
+    const pendingIds = new Set(updateData.map((update) => update.messageId));
+    for (const messageId of this.chunkedRequestIds.keys()) {
+      if (!pendingIds.has(messageId)) this.chunkedRequestIds.delete(messageId);
+    }
+    for (const messageId of this.chunkedTargets.keys()) {
+      if (!pendingIds.has(messageId)) this.chunkedTargets.delete(messageId);
+    }
+    for (const messageId of this.chunkedKeyIds.keys()) {
+      if (!pendingIds.has(messageId)) this.chunkedKeyIds.delete(messageId);
+    }
+    for (const messageId of this.chunkSenders.keys()) {
+      if (!pendingIds.has(messageId)) this.chunkSenders.delete(messageId);
+    }
+
+    if (onProgress) {
+      onProgress(updateData.map((update) => ({
+        ...update,
+        requestId: this.chunkedRequestIds.get(update.messageId),
+        target: this.chunkedTargets.get(update.messageId),
+        keyId: this.chunkedKeyIds.get(update.messageId)
+      })));
+    }
+  }
+
+  async shutdown() {
+    if (this.streamrChunker) {
+      this.streamrChunker.destroy();
+    }
+
+    if (this.streamrClient) {
+      await this.streamrClient.destroy();
+    }
+  }
+}
+
+export default StreamrTransport;
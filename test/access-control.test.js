@@ -0,0 +1,91 @@
+// test/access-control.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import AccessControl from '../access-control.js';
+import { createTempDir, silenceConsole } from './helpers.js';
+
+describe('AccessControl', () => {
+  let rootDir;
+
+  before(async () => {
+    silenceConsole();
+    rootDir = await createTempDir();
+  });
+
+  after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const load = async (users) => {
+    const filePath = path.join(rootDir, 'acl.json');
+    await fs.writeFile(filePath, JSON.stringify({ users }));
+    return new AccessControl({ filePath }).load();
+  };
+
+  it('allows everything without an ACL file', async () => {
+    const accessControl = await new AccessControl({ filePath: path.join(rootDir, 'missing.json') }).load();
+
+    assert.equal(accessControl.authorize(undefined, { action: 'delete' }), null);
+  });
+
+  it('checks roles against actions', async () => {
+    const accessControl = await load({ '0xAA': { role: 'read-only' }, '0xbb': { role: 'read-write' } });
+
+    assert.equal(accessControl.authorize('0xaa', { action: 'list' }), null);
+    assert.equal(accessControl.authorize('0xaa', { action: 'upload', fileName: 'a' }), 'Role read-only is not allowed to upload');
+    assert.equal(accessControl.authorize('0xBB', { action: 'upload', fileName: 'a' }), null);
+  });
+
+  it('only allows admins to use actions it does not know', async () => {
+    const accessControl = await load({ '0xaa': { role: 'read-write' }, '0xbb': { role: 'admin' } });
+
+    assert.equal(accessControl.authorize('0xaa', { action: 'something' }), 'Role read-write is not allowed to something');
+    assert.equal(accessControl.authorize('0xbb', { action: 'something' }), null);
+  });
+
+  it('limits senders to their path prefixes', async () => {
+    const accessControl = await load({ '0xaa': { role: 'read-write', paths: ['shared/'] } });
+
+    assert.equal(accessControl.authorize('0xaa', { action: 'upload', path: 'shared/x', fileName: 'a' }), null);
+    assert.equal(accessControl.authorize('0xaa', { action: 'upload', path: 'sharedx', fileName: 'a' }), 'Access to "sharedx/a" is not allowed');
+    assert.equal(accessControl.authorize('0xaa', { action: 'rename', path: 'shared', oldName: 'a', newName: '../b' }), 'Access to "b" is not allowed');
+    assert.equal(accessControl.authorize('0xaa', { action: 'watch' }), 'Access to "" is not allowed');
+    assert.equal(accessControl.authorize('0xaa', { action: 'watch', subscriptionId: 'x' }), null);
+  });
+
+  it('checks paths only known while a command runs', async () => {
+    const accessControl = await load({ '0xaa': { role: 'read-write', paths: ['photos'] } });
+
+    assert.equal(accessControl.authorizePath('0xaa', 'write', 'photos/a.jpg'), null);
+    assert.equal(accessControl.authorizePath('0xaa', 'write', 'docs/a.txt'), 'Access to "docs/a.txt" is not allowed');
+    assert.equal(accessControl.authorizePath('0xaa', 'admin', 'photos/a.jpg'), 'Role read-write is not allowed to admin');
+  });
+
+  it('falls back to the wildcard entry', async () => {
+    const accessControl = await load({ '*': { role: 'read-only' } });
+
+    assert.equal(accessControl.authorize('0xcc', { action: 'info', fileName: 'a' }), null);
+    assert.equal(accessControl.authorize(undefined, { action: 'info', fileName: 'a' }), 'Sender could not be identified');
+  });
+
+  it('rejects unknown senders', async () => {
+    const accessControl = await load({ '0xaa': { role: 'admin' } });
+
+    assert.equal(accessControl.authorize('0xcc', { action: 'ping' }), 'Sender 0xcc is not allowed to use this drive');
+  });
+
+  it('refuses files with unknown roles', async () => {
+    await assert.rejects(load({ '0xaa': { role: 'owner' } }), /Unknown role/);
+  });
+
+  it('keeps the previous rules when a reload fails', async () => {
+    const accessControl = await load({ '0xaa': { role: 'admin' } });
+    await fs.writeFile(accessControl.filePath, '{ broken');
+
+    await accessControl.reload();
+
+    assert.equal(accessControl.authorize('0xaa', { action: 'delete' }), null);
+  });
+});
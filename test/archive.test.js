@@ -0,0 +1,122 @@
+// test/archive.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { createArchive, extractArchive, safeEntryPath, ArchiveError } from '../archive.js';
+import { createTempDir } from './helpers.js';
+
+// A minimal tar.gz holding one entry with the given name and type, for entries createArchive
+// never writes
+function tarGzWithEntry(name, content, type = '0') {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write(`${content.length.toString(8).padStart(11, '0')}\0`, 124);
+  header.write('00000000000\0', 136);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.fill(' ', 148, 156);
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+
+  const padding = Buffer.alloc((512 - (content.length % 512)) % 512);
+  return zlib.gzipSync(Buffer.concat([header, content, padding, Buffer.alloc(1024)]));
+}
+
+describe('archive', () => {
+  let rootDir;
+
+  before(async () => {
+    rootDir = await createTempDir();
+    await fs.mkdir(path.join(rootDir, 'photos', 'empty'), { recursive: true });
+    await fs.mkdir(path.join(rootDir, 'photos', 'x'.repeat(120)));
+    await fs.writeFile(path.join(rootDir, 'photos', 'a.txt'), 'hello');
+    await fs.writeFile(path.join(rootDir, 'photos', 'x'.repeat(120), 'b.bin'), Buffer.alloc(70000, 7));
+  });
+
+  after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  for (const format of ['zip', 'tar.gz']) {
+    it(`packs and unpacks a directory as ${format}`, async () => {
+      const archivePath = path.join(rootDir, `photos.${format}`);
+      const outputDir = path.join(rootDir, `out-${format}`);
+
+      const packed = await createArchive(path.join(rootDir, 'photos'), archivePath, format);
+      const unpacked = await extractArchive(archivePath, outputDir);
+
+      assert.deepEqual(packed, { files: 2, bytes: 70005 });
+      assert.deepEqual(unpacked, { format, files: 2, directories: 3, bytes: 70005 });
+      assert.equal(await fs.readFile(path.join(outputDir, 'photos', 'a.txt'), 'utf8'), 'hello');
+      assert.deepEqual(
+        await fs.readFile(path.join(outputDir, 'photos', 'x'.repeat(120), 'b.bin')),
+        Buffer.alloc(70000, 7)
+      );
+      await fs.access(path.join(outputDir, 'photos', 'empty'));
+    });
+
+    it(`stops ${format} archives that expand beyond the limit`, async () => {
+      const archivePath = path.join(rootDir, `bomb.${format}`);
+      await createArchive(path.join(rootDir, 'photos'), archivePath, format);
+
+      await assert.rejects(
+        extractArchive(archivePath, path.join(rootDir, `bomb-${format}`), { maxBytes: 1000 }),
+        { name: 'ArchiveError', code: 'archive-too-large', maxBytes: 1000 }
+      );
+      await assert.rejects(
+        extractArchive(archivePath, path.join(rootDir, `many-${format}`), { maxEntries: 2 }),
+        { code: 'archive-too-large' }
+      );
+    });
+  }
+
+  it('refuses entries that point outside of the output directory', async () => {
+    const archivePath = path.join(rootDir, 'slip.tar.gz');
+    await fs.writeFile(archivePath, tarGzWithEntry('../../evil.txt', Buffer.from('gotcha')));
+
+    await assert.rejects(extractArchive(archivePath, path.join(rootDir, 'slip')), ArchiveError);
+    await assert.rejects(fs.access(path.join(rootDir, '..', 'evil.txt')));
+  });
+
+  it('refuses oversized extended headers', async () => {
+    const archivePath = path.join(rootDir, 'pax.tar.gz');
+    await fs.writeFile(archivePath, tarGzWithEntry('PaxHeader', Buffer.alloc(2 * 1024 * 1024, 0x20), 'x'));
+
+    await assert.rejects(extractArchive(archivePath, path.join(rootDir, 'pax')), {
+      code: 'invalid-archive',
+      message: 'Extended tar header of 2097152 bytes is too large'
+    });
+  });
+
+  it('counts entries it skips against the limit', async () => {
+    const archivePath = path.join(rootDir, 'fifo.tar.gz');
+    await fs.writeFile(archivePath, tarGzWithEntry('fifo', Buffer.alloc(100000), '6'));
+
+    await assert.rejects(
+      extractArchive(archivePath, path.join(rootDir, 'fifo'), { maxBytes: 10000 }),
+      { code: 'archive-too-large', maxBytes: 10000 }
+    );
+  });
+
+  it('rejects files that are no archives', async () => {
+    const filePath = path.join(rootDir, 'plain.txt');
+    await fs.writeFile(filePath, 'just text');
+
+    await assert.rejects(extractArchive(filePath, path.join(rootDir, 'plain')), {
+      code: 'invalid-archive',
+      message: 'Unsupported archive format, expected zip or tar.gz'
+    });
+  });
+
+  it('normalizes entry names', () => {
+    assert.equal(safeEntryPath('./a//b\\c.txt'), 'a/b/c.txt');
+    assert.equal(safeEntryPath('./'), null);
+    assert.throws(() => safeEntryPath('/etc/passwd'), ArchiveError);
+    assert.throws(() => safeEntryPath('C:\\evil.txt'), ArchiveError);
+    assert.throws(() => safeEntryPath('a/../../b'), ArchiveError);
+  });
+});
@@ -0,0 +1,74 @@
+// test/audit-log.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import AuditLog from '../audit-log.js';
+import { createTempDir } from './helpers.js';
+
+describe('AuditLog', () => {
+  let rootDir;
+  let filePath;
+
+  beforeEach(async () => {
+    rootDir = await createTempDir();
+    filePath = path.join(rootDir, 'logs', 'audit.log');
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const entry = (index, fields = {}) => ({
+    time: new Date(Date.UTC(2026, 0, 1, 0, 0, index)).toISOString(),
+    action: 'upload',
+    paths: [`file-${index}.txt`],
+    ...fields
+  });
+
+  it('rotates by size and keeps maxFiles older files', async () => {
+    const log = new AuditLog({ filePath, maxSize: 200, maxFiles: 2 });
+    for (let index = 0; index < 12; index++) log.append(entry(index));
+    await log.flush();
+
+    const files = (await fs.readdir(path.dirname(filePath))).sort();
+    const { entries, truncated } = await log.query();
+
+    assert.deepEqual(files, ['audit.log', 'audit.log.1', 'audit.log.2']);
+    assert.equal(truncated, false);
+    assert.deepEqual(entries.map((found) => found.paths[0]), ['file-11.txt', 'file-10.txt', 'file-9.txt', 'file-8.txt', 'file-7.txt', 'file-6.txt']);
+  });
+
+  it('only reads older files while more entries are wanted', async () => {
+    const log = new AuditLog({ filePath, maxSize: 200, maxFiles: 2 });
+    for (let index = 0; index < 6; index++) log.append(entry(index));
+
+    const { entries, truncated } = await log.query({ limit: 3 });
+
+    assert.deepEqual(entries.map((found) => found.paths[0]), ['file-5.txt', 'file-4.txt', 'file-3.txt']);
+    assert.equal(truncated, true);
+  });
+
+  it('matches paths below and above the one asked for', async () => {
+    const log = new AuditLog({ filePath, maxSize: 1024 * 1024, maxFiles: 1 });
+    log.append(entry(1, { action: 'mkdir', paths: ['docs'] }));
+    log.append(entry(2, { paths: ['docs/a/b.txt'] }));
+    log.append(entry(3, { paths: ['documents/c.txt'] }));
+    log.append(entry(4, { action: 'trash-empty', paths: [] }));
+
+    const { entries } = await log.query({ path: 'docs/a' });
+
+    assert.deepEqual(entries.map((found) => found.paths[0]), ['docs/a/b.txt', 'docs']);
+  });
+
+  it('skips lines cut short by a crash', async () => {
+    await fs.mkdir(path.dirname(filePath));
+    await fs.writeFile(filePath, `${JSON.stringify(entry(1))}\n{"time":"2026-01-01T00:00:02.000Z","act`);
+    const log = new AuditLog({ filePath, maxSize: 1024 * 1024, maxFiles: 1 });
+
+    await log.append(entry(3));
+    const { entries } = await log.query();
+
+    assert.deepEqual(entries.map((found) => found.paths[0]), ['file-3.txt', 'file-1.txt']);
+  });
+});
@@ -0,0 +1,107 @@
+// test/command-scheduler.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CommandScheduler from '../command-scheduler.js';
+
+const read = (path) => ({ path, mode: 'read' });
+const write = (path) => ({ path, mode: 'write' });
+
+// A task that records when it starts and only finishes once released
+function gate(log, name) {
+  let release;
+  const done = new Promise((resolve) => { release = resolve; });
+  const task = async () => {
+    log.push(`start ${name}`);
+    await done;
+    log.push(`end ${name}`);
+    return name;
+  };
+  return { task, release };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('CommandScheduler', () => {
+  it('runs commands on unrelated paths side by side', async () => {
+    const scheduler = new CommandScheduler({ concurrency: 4, maxQueued: 10 });
+    const log = [];
+    const a = gate(log, 'a');
+    const b = gate(log, 'b');
+
+    const results = [scheduler.run([write('docs/a.txt')], a.task), scheduler.run([write('docs/b.txt')], b.task)];
+    await tick();
+    a.release();
+    b.release();
+
+    assert.deepEqual(await Promise.all(results), ['a', 'b']);
+    assert.deepEqual(log.slice(0, 2), ['start a', 'start b']);
+  });
+
+  it('lets a write to a directory wait for reads below it', async () => {
+    const scheduler = new CommandScheduler({ concurrency: 4, maxQueued: 10 });
+    const log = [];
+    const reader = gate(log, 'read');
+    const writer = gate(log, 'write');
+
+    const reading = scheduler.run([read('docs/a.txt')], reader.task);
+    const writing = scheduler.run([write('docs')], writer.task);
+    await tick();
+    writer.release();
+    reader.release();
+    await Promise.all([reading, writing]);
+
+    assert.deepEqual(log, ['start read', 'end read', 'start write', 'end write']);
+  });
+
+  it('shares reads, and holds later reads back behind a waiting write', async () => {
+    const scheduler = new CommandScheduler({ concurrency: 4, maxQueued: 10 });
+    const log = [];
+    const first = gate(log, 'first');
+    const second = gate(log, 'second');
+    const writer = gate(log, 'write');
+    const late = gate(log, 'late');
+
+    const running = [
+      scheduler.run([read('')], first.task),
+      scheduler.run([read('docs')], second.task),
+      scheduler.run([write('docs/a.txt')], writer.task),
+      scheduler.run([read('docs/a.txt')], late.task)
+    ];
+    await tick();
+    assert.deepEqual(log, ['start first', 'start second']);
+
+    first.release();
+    second.release();
+    writer.release();
+    late.release();
+    await Promise.all(running);
+
+    assert.deepEqual(log.slice(4), ['start write', 'end write', 'start late', 'end late']);
+  });
+
+  it('keeps to the concurrency limit and reports when the queue is full', async () => {
+    const scheduler = new CommandScheduler({ concurrency: 1, maxQueued: 1 });
+    const log = [];
+    const a = gate(log, 'a');
+    const b = gate(log, 'b');
+
+    const running = [scheduler.run([read('a')], a.task), scheduler.run([read('b')], b.task)];
+    await tick();
+
+    assert.deepEqual(log, ['start a']);
+    assert.equal(scheduler.size, 1);
+    assert.equal(scheduler.isFull(), true);
+
+    a.release();
+    b.release();
+    await Promise.all(running);
+    assert.equal(scheduler.isFull(), false);
+  });
+
+  it('passes on failures and carries on', async () => {
+    const scheduler = new CommandScheduler({ concurrency: 1, maxQueued: 10 });
+
+    await assert.rejects(scheduler.run([write('a')], async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await scheduler.run([write('a')], async () => 'ok'), 'ok');
+  });
+});
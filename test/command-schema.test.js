@@ -0,0 +1,78 @@
+// test/command-schema.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { COMMAND_SCHEMAS, validateCommand, checkProtocolVersion } from '../command-schema.js';
+
+describe('validateCommand', () => {
+  it('accepts commands that fit their schema', () => {
+    assert.equal(validateCommand({ action: 'list', path: 'docs', recursive: true, include: ['*.txt'], limit: 10 }), null);
+    assert.equal(validateCommand({ action: 'copy', fileName: 'a.txt', destinationPath: '' }), null);
+    assert.equal(validateCommand({ action: 'upload', fileName: 'a.txt', data: 'aGk=', ifMatch: '2024-01-01T00:00:00Z' }), null);
+  });
+
+  it('ignores fields it does not know', () => {
+    assert.equal(validateCommand({ action: 'ping', requestId: 'r1', senderId: '0xaa', extra: 1 }), null);
+  });
+
+  it('reports the first missing field', () => {
+    assert.deepEqual(validateCommand({ action: 'rename', newName: 'b' }), {
+      code: 'missing-field',
+      field: 'oldName',
+      message: 'Missing oldName'
+    });
+    assert.deepEqual(validateCommand({ action: 'mkdir', dirName: '' }), {
+      code: 'missing-field',
+      field: 'dirName',
+      message: 'Missing dirName'
+    });
+  });
+
+  it('reports values of the wrong type or out of range', () => {
+    assert.deepEqual(validateCommand({ action: 'list', maxDepth: 0 }), {
+      code: 'invalid-field',
+      field: 'maxDepth',
+      message: 'maxDepth must be a positive integer'
+    });
+    assert.equal(validateCommand({ action: 'upload-begin', fileName: 'a', size: -1 }).message, 'size must be a non-negative integer');
+    assert.equal(validateCommand({ action: 'delete', fileName: 'a', permanent: 'yes' }).message, 'permanent must be true or false');
+    assert.equal(validateCommand({ action: 'restore', id: 'x', onConflict: 'merge' }).message, 'onConflict must be one of fail, overwrite, suffix');
+    assert.equal(validateCommand({ action: 'upload', fileName: 'a', data: 'x', expectedHash: 'abc' }).field, 'expectedHash');
+    assert.equal(validateCommand({ action: 'search', exclude: ['ok', ''] }).field, 'exclude');
+  });
+
+  it('reports globs and cursors that cannot be read', () => {
+    assert.deepEqual(validateCommand({ action: 'search', pattern: '[z-a].txt' }), {
+      code: 'invalid-field',
+      field: 'pattern',
+      message: 'pattern must be a pattern or a list of patterns'
+    });
+    assert.equal(validateCommand({ action: 'list', exclude: ['cache', '[9-0]'] }).field, 'exclude');
+    assert.deepEqual(validateCommand({ action: 'list', cursor: '!!' }), {
+      code: 'invalid-field',
+      field: 'cursor',
+      message: 'cursor must be the nextCursor of a listing'
+    });
+    assert.equal(validateCommand({ action: 'list', cursor: Buffer.from('-5').toString('base64') }).field, 'cursor');
+    assert.equal(validateCommand({ action: 'list', cursor: Buffer.from('10').toString('base64') }), null);
+  });
+
+  it('rejects missing and unknown actions', () => {
+    assert.equal(validateCommand({}).code, 'missing-field');
+    assert.equal(validateCommand({ action: 'toString' }).code, 'unknown-action');
+  });
+
+  it('keeps the schemas serializable', () => {
+    assert.deepEqual(JSON.parse(JSON.stringify(COMMAND_SCHEMAS)), COMMAND_SCHEMAS);
+  });
+});
+
+describe('checkProtocolVersion', () => {
+  it('takes commands without a version for version 1', () => {
+    assert.equal(checkProtocolVersion({ action: 'ping' }), null);
+    assert.equal(checkProtocolVersion({ action: 'ping', protocolVersion: 1 }), null);
+  });
+
+  it('lists the supported versions for others', () => {
+    assert.deepEqual(checkProtocolVersion({ action: 'ping', protocolVersion: '1' }).supportedVersions, [1]);
+  });
+});
@@ -0,0 +1,75 @@
+// test/compression.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { negotiateEncoding, encodeMessage, decodeMessage, isCompressedMedia } from '../compression.js';
+
+const listing = JSON.stringify({
+  action: 'list',
+  status: 'success',
+  files: Array.from({ length: 100 }, (_, i) => ({ name: `photo-${i}.txt`, size: i * 100, isDirectory: false }))
+});
+
+describe('negotiateEncoding', () => {
+  it('takes the first accepted encoding that is offered', () => {
+    assert.equal(negotiateEncoding(['zstd', 'gzip', 'br']), 'gzip');
+    assert.equal(negotiateEncoding(['br'], ['gzip']), 'identity');
+    assert.equal(negotiateEncoding('gzip'), 'identity');
+  });
+});
+
+describe('encodeMessage', () => {
+  for (const encoding of ['br', 'gzip']) {
+    it(`round-trips text with ${encoding}`, () => {
+      const message = { type: 'text', requestId: 'r1', body: listing, deviceId: 'drive' };
+      const encoded = encodeMessage(message, encoding);
+
+      assert.equal(encoded.encoding, encoding);
+      assert.equal(encoded.decodedSize, Buffer.byteLength(listing));
+      assert.equal(encoded.encodedSize, encoded.body.length);
+      assert.ok(encoded.encodedSize < encoded.decodedSize / 4);
+      assert.equal(Object.keys(encoded).pop(), 'body');
+      assert.deepEqual(decodeMessage(JSON.parse(JSON.stringify(encoded))), { ...encoded, body: listing });
+    });
+  }
+
+  it('round-trips file bodies as bytes', () => {
+    const data = Buffer.from('hello '.repeat(1000));
+    const encoded = encodeMessage({ type: 'file', fileName: 'a.txt', body: data.toString('base64') }, 'gzip');
+
+    assert.equal(encoded.encoding, 'gzip');
+    assert.equal(encoded.decodedSize, data.length);
+    assert.equal(decodeMessage(encoded).body, data.toString('base64'));
+  });
+
+  it('leaves small, already compressed and incompressible bodies alone', () => {
+    const small = encodeMessage({ type: 'text', body: '{"action":"pong"}' }, 'br');
+    const photo = encodeMessage({ type: 'file', fileName: 'IMG_1.JPG', body: Buffer.alloc(4096).toString('base64') }, 'br');
+    const noise = randomBytes(4096).toString('base64');
+    const random = encodeMessage({ type: 'file', fileName: 'a.bin', body: noise }, 'gzip');
+
+    assert.deepEqual(small, { type: 'text', encoding: 'identity', decodedSize: 17, encodedSize: 17, body: '{"action":"pong"}' });
+    assert.equal(photo.encoding, 'identity');
+    assert.equal(random.encoding, 'identity');
+    assert.equal(random.body, noise);
+    assert.equal(random.encodedSize, noise.length);
+    assert.equal(decodeMessage(random), random);
+  });
+});
+
+describe('decodeMessage', () => {
+  it('refuses unknown encodings and bodies that expand too far', () => {
+    const encoded = encodeMessage({ type: 'text', body: 'a'.repeat(100000) }, 'gzip');
+
+    assert.throws(() => decodeMessage({ ...encoded, encoding: 'zstd' }), /Unsupported encoding zstd/);
+    assert.throws(() => decodeMessage(encoded, { maxSize: 1000 }), RangeError);
+  });
+});
+
+describe('isCompressedMedia', () => {
+  it('knows compressed file types by extension', () => {
+    assert.equal(isCompressedMedia('album.tar.gz'), true);
+    assert.equal(isCompressedMedia('notes.txt'), false);
+    assert.equal(isCompressedMedia(undefined), false);
+  });
+});
@@ -0,0 +1,74 @@
+// test/drive-metrics.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import DriveMetrics, { formatPrometheus, startMetricsServer } from '../drive-metrics.js';
+
+const status = {
+  deviceId: 'pi "living room"',
+  serverVersion: '1.0.0',
+  uptime: 61500,
+  disk: { total: 1000, free: 400, used: 600 },
+  commands: { running: 2, waiting: 1 },
+  transfers: { downloads: 1, uploadSessions: 0 },
+  bytesIn: 2048,
+  bytesOut: 4096,
+  handled: { list: 3, upload: 1 },
+  errors: { upload: 1 },
+  tempCleanup: { time: new Date(1700000000000), removed: 2 }
+};
+
+describe('DriveMetrics', () => {
+  it('counts bytes and commands and errors per action', () => {
+    const metrics = new DriveMetrics();
+    metrics.received(10);
+    metrics.received(5);
+    metrics.sent(7);
+    metrics.command('list');
+    metrics.command('list');
+    metrics.error('upload');
+
+    assert.equal(metrics.bytesIn, 15);
+    assert.equal(metrics.bytesOut, 7);
+    assert.deepEqual(metrics.commands, { list: 2 });
+    assert.deepEqual(metrics.errors, { upload: 1 });
+  });
+});
+
+describe('formatPrometheus', () => {
+  it('writes every metric with its help and type', () => {
+    const text = formatPrometheus(status);
+
+    assert.match(text, /^# HELP streamr_drive_uptime_seconds .+\n# TYPE streamr_drive_uptime_seconds gauge\nstreamr_drive_uptime_seconds 61\.5$/m);
+    assert.match(text, /^streamr_drive_info\{device_id="pi \\"living room\\"",version="1\.0\.0"\} 1$/m);
+    assert.match(text, /^streamr_drive_disk_used_bytes 600$/m);
+    assert.match(text, /^streamr_drive_commands_waiting 1$/m);
+    assert.match(text, /^streamr_drive_sent_bytes_total 4096$/m);
+    assert.match(text, /^streamr_drive_commands_total\{action="list"\} 3$/m);
+    assert.match(text, /^streamr_drive_errors_total\{action="upload"\} 1$/m);
+    assert.match(text, /^streamr_drive_temp_cleanup_timestamp_seconds 1700000000$/m);
+    assert.ok(text.endsWith('\n'));
+  });
+
+  it('leaves out the cleanup time until the first cleanup', () => {
+    assert.doesNotMatch(formatPrometheus({ ...status, tempCleanup: null }), /temp_cleanup/);
+  });
+});
+
+describe('startMetricsServer', () => {
+  it('serves /metrics and nothing else', async () => {
+    const server = await startMetricsServer({ port: 0, host: '127.0.0.1', collect: async () => status });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const metrics = await fetch(`${base}/metrics`);
+      const other = await fetch(`${base}/`);
+
+      assert.equal(metrics.status, 200);
+      assert.match(await metrics.text(), /^streamr_drive_received_bytes_total 2048$/m);
+      assert.equal(other.status, 404);
+      await other.text();
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,166 @@
+// test/folder-sync.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import StreamrDrive from '../streamr-drive.js';
+import StreamrDriveClient from '../streamr-drive-client.js';
+import FolderSync from '../folder-sync.js';
+import LoopbackTransport, { LoopbackHub } from '../loopback-transport.js';
+import { createTempDir, silenceConsole } from './helpers.js';
+
+describe('FolderSync', () => {
+  let rootDir;
+  let drive;
+  let client;
+  let localDir;
+  let remotePath;
+  let run = 0;
+
+  before(async () => {
+    silenceConsole();
+    rootDir = await createTempDir();
+
+    const hub = new LoopbackHub();
+    drive = await new StreamrDrive({
+      storageDir: path.join(rootDir, 'storage'),
+      aclFile: path.join(rootDir, 'acl.json'),
+      auditLogFile: path.join(rootDir, 'audit.log'),
+      transport: new LoopbackTransport({ hub }),
+      downloadSliceDelay: 0
+    }).initialize();
+    client = await new StreamrDriveClient({
+      transport: new LoopbackTransport({ hub }),
+      timeout: 2000
+    }).initialize();
+  });
+
+  beforeEach(async () => {
+    run++;
+    localDir = path.join(rootDir, `local-${run}`);
+    remotePath = `remote-${run}`;
+    await fs.mkdir(localDir);
+  });
+
+  after(async () => {
+    await client.shutdown();
+    await drive.shutdown();
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const writeLocal = async (relativePath, content) => {
+    await fs.mkdir(path.dirname(path.join(localDir, relativePath)), { recursive: true });
+    await fs.writeFile(path.join(localDir, relativePath), content);
+  };
+  const readLocal = (relativePath) => fs.readFile(path.join(localDir, relativePath), 'utf8');
+  const writeRemote = (relativePath, content) => client.upload(`${remotePath}/${relativePath}`, Buffer.from(content));
+  const readRemote = async (relativePath) => (await client.download(`${remotePath}/${relativePath}`)).toString();
+  const describeOperations = (result) => result.operations.map((operation) => [operation.type, operation.path]);
+
+  it('brings both sides together on the first sync', async () => {
+    await writeLocal('a.txt', 'local');
+    await writeRemote('sub/b.txt', 'remote');
+
+    const result = await client.sync(localDir, remotePath);
+    const state = JSON.parse(await readLocal('.streamr-sync.json'));
+
+    assert.deepEqual(describeOperations(result), [['upload', 'a.txt'], ['download', 'sub/b.txt']]);
+    assert.deepEqual(result.conflicts, []);
+    assert.equal(await readRemote('a.txt'), 'local');
+    assert.equal(await readLocal('sub/b.txt'), 'remote');
+    assert.deepEqual(Object.keys(state.files).sort(), ['a.txt', 'sub/b.txt']);
+    assert.equal(state.remotePath, remotePath);
+  });
+
+  it('transfers nothing when nothing changed', async () => {
+    await writeLocal('a.txt', 'local');
+    await client.sync(localDir, remotePath);
+
+    const result = await client.sync(localDir, remotePath);
+
+    assert.deepEqual(result.operations, []);
+  });
+
+  it('passes changes and deletions on in both directions', async () => {
+    await writeLocal('a.txt', 'one');
+    await writeLocal('b.txt', 'two');
+    await client.sync(localDir, remotePath);
+
+    await writeLocal('a.txt', 'one, edited');
+    await client.delete(`${remotePath}/b.txt`);
+    await writeRemote('c.txt', 'three');
+    const result = await client.sync(localDir, remotePath);
+
+    assert.deepEqual(describeOperations(result), [['upload', 'a.txt'], ['delete-local', 'b.txt'], ['download', 'c.txt']]);
+    assert.equal(await readRemote('a.txt'), 'one, edited');
+    await assert.rejects(fs.access(path.join(localDir, 'b.txt')));
+  });
+
+  it('skips files changed on both sides unless told who wins', async () => {
+    await writeLocal('a.txt', 'base');
+    await client.sync(localDir, remotePath);
+    await writeLocal('a.txt', 'local edit');
+    await writeRemote('a.txt', 'remote edit');
+
+    const skipped = await client.sync(localDir, remotePath);
+    const settled = await client.sync(localDir, remotePath, { onConflict: 'remote' });
+
+    assert.deepEqual(skipped.operations, []);
+    assert.deepEqual(skipped.conflicts, [{ path: 'a.txt', reason: 'changed on both sides' }]);
+    assert.deepEqual(describeOperations(settled), [['download', 'a.txt']]);
+    assert.equal(await readLocal('a.txt'), 'remote edit');
+  });
+
+  it('only plans with dryRun', async () => {
+    await writeLocal('a.txt', 'local');
+
+    const result = await client.sync(localDir, remotePath, { dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(describeOperations(result), [['upload', 'a.txt']]);
+    await assert.rejects(client.info(`${remotePath}/a.txt`));
+    await assert.rejects(fs.access(path.join(localDir, '.streamr-sync.json')));
+  });
+
+  it('only goes one way with push and pull', async () => {
+    await writeLocal('a.txt', 'local');
+    await writeRemote('b.txt', 'remote');
+
+    const pushed = await client.sync(localDir, remotePath, { mode: 'push' });
+    await writeLocal('a.txt', 'local edit');
+    const pulled = await client.sync(localDir, remotePath, { mode: 'pull' });
+
+    assert.deepEqual(describeOperations(pushed), [['upload', 'a.txt']]);
+    assert.deepEqual(describeOperations(pulled), [['download', 'b.txt']]);
+    assert.deepEqual(pulled.conflicts, [{ path: 'a.txt', reason: 'changed locally' }]);
+  });
+
+  it('leaves the folders of the drive itself alone and stays inside the local folder', async () => {
+    const listed = ['a.txt', 'temp/uploads/x.part', '.trash/y', '../escape.txt']
+      .map((filePath) => ({ path: filePath, isDirectory: false, size: 1, modified: new Date().toISOString(), hash: 'h' }));
+    const downloaded = [];
+    const stub = {
+      list: async () => listed,
+      downloadToFile: async (remoteFilePath, localPath) => {
+        downloaded.push(remoteFilePath);
+        await fs.writeFile(localPath, 'x');
+      }
+    };
+    await writeLocal('temp/local.tmp', 'x');
+
+    const result = await new FolderSync({ client: stub, localDir, remotePath: '' }).run();
+
+    assert.deepEqual(describeOperations(result), [['download', '../escape.txt'], ['download', 'a.txt']]);
+    assert.deepEqual(result.failed.map((operation) => [operation.path, operation.error]), [
+      ['../escape.txt', 'Path ../escape.txt is outside of the local folder']
+    ]);
+    assert.deepEqual(downloaded, ['a.txt']);
+    await assert.rejects(fs.access(path.join(rootDir, 'escape.txt')));
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => client.sync(localDir, remotePath, { mode: 'sideways' }), {
+      message: 'mode must be one of push, pull, bidirectional'
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// test/helpers.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { mock } from 'node:test';
+import StreamrDrive from '../streamr-drive.js';
+
+export const SENDER = '0x1111111111111111111111111111111111111111';
+
+// Stands in for the Streamr network: records what the drive publishes and lets
+// tests deliver messages and chunk progress as if they came from the stream
+export class FakeTransport {
+  constructor() {
+    this.name = 'fake';
+    this.maxMessageSize = 512000;
+    this.published = [];
+    this.listeners = new Set();
+    this.onMessage = null;
+    this.onProgress = null;
+  }
+
+  async subscribe(onMessage, onProgress) {
+    this.onMessage = onMessage;
+    this.onProgress = onProgress;
+    return this;
+  }
+
+  async publish(message) {
+    this.published.push(message);
+    for (const listener of this.listeners) listener(message);
+  }
+
+  async shutdown() {
+    this.onMessage = null;
+    this.onProgress = null;
+  }
+
+  deliver(message, senderId = SENDER) {
+    this.onMessage(message, { senderId });
+  }
+
+  progress(updateData) {
+    this.onProgress(updateData);
+  }
+
+  // Resolves with the first published message the predicate accepts
+  waitFor(predicate) {
+    return new Promise((resolve) => {
+      const listener = (message) => {
+        if (predicate(message)) {
+          this.listeners.delete(listener);
+          resolve(message);
+        }
+      };
+      this.listeners.add(listener);
+    });
+  }
+
+  // Parsed bodies of all text messages published so far
+  responses() {
+    return this.published
+      .filter((message) => message.type === 'text')
+      .map((message) => JSON.parse(message.body));
+  }
+}
+
+export function silenceConsole() {
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+}
+
+export async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'streamr-drive-test-'));
+}
+
+export async function createTestDrive(config = {}) {
+  const rootDir = await createTempDir();
+  const transport = new FakeTransport();
+  const drive = new StreamrDrive({
+    storageDir: path.join(rootDir, 'storage'),
+    aclFile: path.join(rootDir, 'acl.json'),
+    auditLogFile: path.join(rootDir, 'audit.log'),
+    deviceId: 'test-drive',
+    transport,
+    ...config
+  });
+
+  await drive.initialize();
+
+  return {
+    drive,
+    transport,
+    rootDir,
+    storageDir: drive.config.storageDir,
+    async cleanup() {
+      await drive.shutdown();
+      await fs.rm(rootDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Delivers a command and resolves with the drive's final (non-info) response to it
+export function sendCommand(transport, command, senderId = SENDER) {
+  const requestId = command.requestId !== undefined ? command.requestId : randomUUID();
+  const response = transport.waitFor((message) => {
+    if (message.type !== 'text') return false;
+    const body = JSON.parse(message.body);
+    return body.requestId === requestId && body.status !== 'info';
+  });
+
+  transport.deliver({
+    type: 'text',
+    body: JSON.stringify({ ...command, requestId }),
+    deviceId: 'test-client'
+  }, senderId);
+
+  return response.then((message) => JSON.parse(message.body));
+}
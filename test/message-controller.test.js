@@ -0,0 +1,63 @@
+// test/message-controller.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import StreamrMessageController from '../message-controller.js';
+
+describe('StreamrMessageController', () => {
+  const createController = () => {
+    const controller = new StreamrMessageController({ deviceId: 'device-1' });
+    const published = [];
+    controller.on('publish', (message) => published.push(message));
+    return { controller, published };
+  };
+
+  it('publishes text with the deviceId and requestId', async () => {
+    const { controller, published } = createController();
+
+    await controller.upload({ type: 'text', requestId: 'r1', body: 'hello' });
+
+    assert.deepEqual(published, [{ type: 'text', requestId: 'r1', body: 'hello', deviceId: 'device-1' }]);
+  });
+
+  it('publishes files with their transfer metadata', async () => {
+    const { controller, published } = createController();
+
+    await controller.upload({ type: 'file', fileName: 'a.txt', fileSize: 5, sequence: 0, totalSlices: 1, body: 'aGVsbG8=' });
+
+    assert.equal(published[0].type, 'file');
+    assert.equal(published[0].fileName, 'a.txt');
+    assert.equal(published[0].sequence, 0);
+    assert.equal(published[0].deviceId, 'device-1');
+  });
+
+  it('rejects unknown content types', async () => {
+    const { controller } = createController();
+
+    await assert.rejects(controller.upload({ type: 'video', body: '' }), /unknown content type/);
+  });
+
+  it('emits received messages by type and remembers them', async () => {
+    const { controller } = createController();
+    const texts = [];
+    controller.on('text', (message) => texts.push(message));
+
+    await controller.receiveHandler({ type: 'text', body: 'a' });
+    await controller.receiveHandler({ type: 'file', body: 'b' });
+
+    assert.deepEqual(texts, [{ type: 'text', body: 'a' }]);
+    assert.deepEqual(controller.getLatestText(), { type: 'text', body: 'a' });
+    assert.deepEqual(controller.getLatestFile(), { type: 'file', body: 'b' });
+    assert.deepEqual(controller.getLatestMessage(), { type: 'file', body: 'b' });
+    assert.equal(controller.getLatestImage(), undefined);
+  });
+
+  it('keeps only the latest message of each type', async () => {
+    const { controller } = createController();
+
+    await controller.receiveHandler({ type: 'text', body: 'first part' });
+    await controller.receiveHandler({ type: 'text', body: 'second part' });
+
+    assert.deepEqual(controller.getLatestText(), { type: 'text', body: 'second part' });
+    assert.ok(!JSON.stringify(controller).includes('first part'));
+  });
+});
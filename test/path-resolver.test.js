@@ -0,0 +1,62 @@
+// test/path-resolver.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { resolveStoragePath, PathError } from '../path-resolver.js';
+import { createTempDir } from './helpers.js';
+
+describe('resolveStoragePath', () => {
+  let rootDir;
+  let storageDir;
+
+  before(async () => {
+    rootDir = await createTempDir();
+    storageDir = path.join(rootDir, 'storage');
+    await fs.mkdir(path.join(storageDir, 'docs'), { recursive: true });
+    await fs.mkdir(path.join(rootDir, 'outside'));
+    await fs.symlink(path.join(rootDir, 'outside'), path.join(storageDir, 'escape'));
+    await fs.symlink(path.join(storageDir, 'docs'), path.join(storageDir, 'inside'));
+  });
+
+  after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  const realStorageDir = () => fs.realpath(storageDir);
+
+  it('resolves paths inside the storage directory', async () => {
+    assert.equal(await resolveStoragePath(storageDir, 'docs', 'a.txt'), path.join(await realStorageDir(), 'docs', 'a.txt'));
+    assert.equal(await resolveStoragePath(storageDir, '', undefined), await realStorageDir());
+    assert.equal(await resolveStoragePath(storageDir, 'new/deep', 'a.txt'), path.join(await realStorageDir(), 'new', 'deep', 'a.txt'));
+  });
+
+  it('resolves names that only start with two dots', async () => {
+    assert.equal(await resolveStoragePath(storageDir, '', '..notes'), path.join(await realStorageDir(), '..notes'));
+    assert.equal(await resolveStoragePath(storageDir, '...', 'a.txt'), path.join(await realStorageDir(), '...', 'a.txt'));
+  });
+
+  it('allows symlinks that stay inside', async () => {
+    assert.equal(await resolveStoragePath(storageDir, 'inside', 'a.txt'), path.join(await realStorageDir(), 'inside', 'a.txt'));
+  });
+
+  for (const [description, dirPath, name] of [
+    ['parent segments', '../..', 'etc'],
+    ['parent segments in names', 'docs', '../../x'],
+    ['absolute paths', '/etc', undefined],
+    ['Windows absolute paths', 'C:\\Windows', undefined],
+    ['NUL bytes', 'docs', 'a\0b'],
+    ['symlinks leading outside', 'escape', 'file'],
+    ['the storage directory as a name', 'docs', '..'],
+    ['empty names', 'docs', ''],
+    ['non-string names', 'docs', 42]
+  ]) {
+    it(`rejects ${description}`, async () => {
+      await assert.rejects(resolveStoragePath(storageDir, dirPath, name), (error) => {
+        assert.ok(error instanceof PathError);
+        assert.equal(error.code, 'invalid-path');
+        return true;
+      });
+    });
+  }
+});
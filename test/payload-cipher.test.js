@@ -0,0 +1,148 @@
+// test/payload-cipher.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PayloadCipher, { generateKey, generateKeyPair, encryptionFromEnv } from '../payload-cipher.js';
+
+const command = {
+  type: 'text',
+  requestId: 'r1',
+  target: 'drive-1',
+  body: JSON.stringify({ action: 'list', path: 'secret-plans' }),
+  deviceId: 'client-1'
+};
+
+// Flips one bit of a base64 field
+const tamper = (value) => {
+  const bytes = Buffer.from(value, 'base64');
+  bytes[0] ^= 1;
+  return bytes.toString('base64');
+};
+
+describe('PayloadCipher', () => {
+  describe('with a shared key', () => {
+    const key = generateKey();
+
+    it('hides everything but the routing fields', () => {
+      const sealed = new PayloadCipher({ key }).seal(command);
+
+      assert.equal(sealed.encryption, 'aes-256-gcm');
+      assert.equal(sealed.requestId, 'r1');
+      assert.equal(sealed.target, 'drive-1');
+      assert.equal(sealed.deviceId, 'client-1');
+      assert.ok(!JSON.stringify(sealed).includes('secret-plans'));
+      assert.equal(Object.keys(sealed).pop(), 'body');
+    });
+
+    it('opens what another holder of the key sealed', () => {
+      const sealed = new PayloadCipher({ key }).seal(command);
+      const { message, sealed: wasSealed, peer } = new PayloadCipher({ key }).open(JSON.parse(JSON.stringify(sealed)));
+
+      assert.deepEqual(message, command);
+      assert.equal(wasSealed, true);
+      assert.equal(peer, undefined);
+    });
+
+    it('rejects tampered bodies and routing fields', () => {
+      const cipher = new PayloadCipher({ key });
+      const sealed = cipher.seal(command);
+
+      for (const changed of [
+        { ...sealed, body: tamper(sealed.body) },
+        { ...sealed, tag: tamper(sealed.tag) },
+        { ...sealed, tag: sealed.tag.substring(0, 8) },
+        { ...sealed, target: 'drive-2' },
+        { ...sealed, requestId: 'r2' }
+      ]) {
+        assert.throws(() => cipher.open(changed), { code: 'decryption-failed' });
+      }
+    });
+
+    it('rejects messages sealed with another key', () => {
+      const sealed = new PayloadCipher({ key: generateKey() }).seal(command);
+
+      assert.throws(() => new PayloadCipher({ key }).open(sealed), { code: 'decryption-failed' });
+    });
+
+    it('rejects messages sealed too long ago', () => {
+      const sealed = new PayloadCipher({ key }).seal(command);
+
+      assert.throws(() => new PayloadCipher({ key, maxAge: -1 }).open(sealed), {
+        code: 'decryption-failed',
+        message: /too long ago/
+      });
+    });
+
+    it('rejects plaintext unless encryption is optional', () => {
+      assert.throws(() => new PayloadCipher({ key }).open(command), { code: 'encryption-required' });
+      assert.deepEqual(new PayloadCipher({ key, required: false }).open(command), {
+        message: command,
+        sealed: false,
+        peer: undefined
+      });
+    });
+
+    it('takes keys in hex', () => {
+      const hexKey = Buffer.from(key, 'base64url').toString('hex');
+      const sealed = new PayloadCipher({ key }).seal(command);
+
+      assert.deepEqual(new PayloadCipher({ key: hexKey }).open(sealed).message, command);
+      assert.throws(() => new PayloadCipher({ key: 'short' }), /must be 32 bytes/);
+    });
+  });
+
+  describe('with key pairs', () => {
+    const drive = generateKeyPair();
+    const alice = generateKeyPair();
+    const bob = generateKeyPair();
+    const driveCipher = new PayloadCipher({ privateKey: drive.privateKey, peers: [alice.publicKey, bob.publicKey] });
+    const aliceCipher = new PayloadCipher({ privateKey: alice.privateKey, peers: [drive.publicKey] });
+    const bobCipher = new PayloadCipher({ privateKey: bob.privateKey, peers: [drive.publicKey] });
+
+    it('seals for the only peer and tells the recipient who sealed', () => {
+      const sealed = aliceCipher.seal(command);
+      const opened = driveCipher.open(sealed);
+
+      assert.equal(sealed.encryption, 'x25519-aes-256-gcm');
+      assert.equal(sealed.keyId, alice.publicKey);
+      assert.equal(sealed.to, drive.publicKey);
+      assert.deepEqual(opened.message, command);
+      assert.equal(opened.peer, alice.publicKey);
+    });
+
+    it('answers one peer without the others reading along', () => {
+      const sealed = driveCipher.seal({ type: 'text', body: 'for alice' }, alice.publicKey);
+
+      assert.equal(aliceCipher.open(sealed).message.body, 'for alice');
+      assert.equal(bobCipher.open(sealed), null);
+    });
+
+    it('needs a known recipient with several peers', () => {
+      assert.throws(() => driveCipher.seal(command), /recipient is needed/);
+      assert.throws(() => driveCipher.seal(command, generateKeyPair().publicKey), /not a known peer/);
+    });
+
+    it('rejects unknown keys and keys posing as others', () => {
+      const mallory = generateKeyPair();
+      const malloryCipher = new PayloadCipher({ privateKey: mallory.privateKey, peers: [drive.publicKey] });
+      const sealed = malloryCipher.seal(command);
+
+      assert.throws(() => driveCipher.open(sealed), { message: 'Message was sealed with an unknown key' });
+      assert.throws(() => driveCipher.open({ ...sealed, keyId: alice.publicKey }), { code: 'decryption-failed' });
+    });
+  });
+});
+
+describe('encryptionFromEnv', () => {
+  it('is null without keys', () => {
+    assert.equal(encryptionFromEnv('', {}), null);
+  });
+
+  it('reads keys, peers and whether encryption is required', () => {
+    assert.deepEqual(encryptionFromEnv(' a, b ,', { ENCRYPTION_PRIVATE_KEY: 'k', ENCRYPTION_REQUIRED: 'false' }), {
+      key: undefined,
+      privateKey: 'k',
+      peers: ['a', 'b'],
+      required: false
+    });
+  });
+});
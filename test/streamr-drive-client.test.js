@@ -0,0 +1,325 @@
+// test/streamr-drive-client.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { once } from 'events';
+import path from 'path';
+import StreamrDrive from '../streamr-drive.js';
+import StreamrDriveClient, { DriveError, splitRemotePath } from '../streamr-drive-client.js';
+import LoopbackTransport, { LoopbackHub } from '../loopback-transport.js';
+import { generateKeyPair } from '../payload-cipher.js';
+import { createTempDir, silenceConsole } from './helpers.js';
+
+describe('splitRemotePath', () => {
+  it('splits into directory and name', () => {
+    assert.deepEqual(splitRemotePath('a/b/c.txt'), { path: 'a/b', name: 'c.txt' });
+    assert.deepEqual(splitRemotePath('/c.txt/'), { path: '', name: 'c.txt' });
+  });
+});
+
+describe('StreamrDriveClient over a loopback transport', () => {
+  let rootDir;
+  let drive;
+  let client;
+  let hub;
+
+  before(async () => {
+    silenceConsole();
+    rootDir = await createTempDir();
+
+    hub = new LoopbackHub();
+    drive = await new StreamrDrive({
+      storageDir: path.join(rootDir, 'storage'),
+      aclFile: path.join(rootDir, 'acl.json'),
+      auditLogFile: path.join(rootDir, 'audit.log'),
+      deviceId: 'first-drive',
+      transport: new LoopbackTransport({ hub }),
+      downloadSliceSize: 64,
+      downloadSliceDelay: 0,
+      listBatchSize: 2,
+      watchDebounce: 20
+    }).initialize();
+    client = await new StreamrDriveClient({
+      transport: new LoopbackTransport({ hub }),
+      timeout: 2000
+    }).initialize();
+  });
+
+  after(async () => {
+    await client.shutdown();
+    await drive.shutdown();
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('runs the whole command set', async () => {
+    assert.equal((await client.ping()).action, 'pong');
+    await client.mkdir('docs');
+    await client.upload('docs/a.txt', Buffer.from('hello'));
+    assert.deepEqual((await client.list('docs')).map((file) => file.name), ['a.txt']);
+    assert.equal((await client.download('docs/a.txt')).toString(), 'hello');
+    await client.rename('docs/a.txt', 'b.txt');
+    assert.equal((await client.info('docs/b.txt')).size, 5);
+    await client.delete('docs/b.txt');
+    assert.deepEqual(await client.list('docs'), []);
+  });
+
+  it('collects search results sent in several batches', async () => {
+    for (const name of ['a', 'b', 'c']) {
+      await client.upload(`found/${name}.log`, Buffer.from(name));
+    }
+
+    const files = await client.search('found', { pattern: '*.log' });
+
+    assert.deepEqual(files.map((file) => file.path), ['a.log', 'b.log', 'c.log']);
+  });
+
+  it('restores deleted files from the trash', async () => {
+    await client.upload('notes/todo.txt', Buffer.from('milk'));
+
+    const { trashId } = await client.delete('notes/todo.txt');
+    assert.ok((await client.trash()).some((item) => item.id === trashId));
+    await client.restore(trashId);
+
+    assert.equal((await client.download('notes/todo.txt')).toString(), 'milk');
+    assert.ok(!(await client.trash()).some((item) => item.id === trashId));
+  });
+
+  it('reads who changed a path from the history', async () => {
+    await client.upload('logged/a.txt', Buffer.from('one'));
+    await client.delete('logged/a.txt');
+
+    const { entries, truncated } = await client.history({ path: 'logged' });
+
+    assert.deepEqual(entries.map((entry) => [entry.action, entry.paths[0]]), [
+      ['delete', 'logged/a.txt'],
+      ['upload', 'logged/a.txt']
+    ]);
+    assert.equal(entries[1].deviceId, client.config.deviceId);
+    assert.equal(truncated, false);
+  });
+
+  it('transfers large files in parts', async () => {
+    const localPath = path.join(rootDir, 'big.bin');
+    const copyPath = path.join(rootDir, 'big-copy.bin');
+    const data = Buffer.alloc(1000).map((_, i) => i % 256);
+    await fs.writeFile(localPath, data);
+
+    await client.uploadFile(localPath, 'big.bin', { partSize: 300 });
+    const response = await client.downloadToFile('big.bin', copyPath);
+
+    assert.equal(response.totalSlices, 16);
+    assert.deepEqual(await fs.readFile(copyPath), data);
+  });
+
+  it('sends lost parts again and resumes uploads that failed', async () => {
+    const localPath = path.join(rootDir, 'resumed.bin');
+    const data = Buffer.alloc(1000).map((_, i) => (i * 7) % 256);
+    await fs.writeFile(localPath, data);
+
+    const publishCommand = client.publishCommand;
+    let lost = 0;
+    const appended = [];
+    client.publishCommand = function (action, requestId, params) {
+      if (action === 'upload-append') {
+        if (params.offset === 600 && lost > 0) {
+          lost--;
+          return Promise.resolve();
+        }
+        appended.push(params.offset);
+      }
+      return publishCommand.call(this, action, requestId, params);
+    };
+
+    try {
+      lost = 1;
+      await client.uploadFile(localPath, 'retried.bin', { partSize: 300, timeout: 100 });
+      assert.deepEqual(appended, [0, 300, 600, 900]);
+
+      lost = 1;
+      appended.length = 0;
+      const error = await client.uploadFile(localPath, 'resumed.bin', { partSize: 300, timeout: 100, partRetries: 0 })
+        .catch((failed) => failed);
+      assert.equal(error.code, 'timeout');
+      assert.ok(error.sessionId);
+
+      const response = await client.uploadFile(localPath, 'resumed.bin', { partSize: 300, sessionId: error.sessionId });
+      assert.deepEqual(appended, [0, 300, 600, 900]);
+      assert.equal(response.size, 1000);
+    } finally {
+      client.publishCommand = publishCommand;
+    }
+
+    assert.deepEqual(await client.download('retried.bin'), data);
+    assert.deepEqual(await client.download('resumed.bin'), data);
+  });
+
+  it('round-trips a directory through an archive', async () => {
+    await client.upload('album/a.txt', Buffer.from('one'));
+    await client.upload('album/sub/b.txt', Buffer.from('two'));
+    const archivePath = path.join(rootDir, 'album.tar.gz');
+
+    await client.downloadToFile('album', archivePath, { format: 'tar.gz' });
+    const response = await client.uploadFile(archivePath, 'unpacked/album.tar.gz', { extract: true, partSize: 100 });
+
+    assert.deepEqual(response.extracted, { format: 'tar.gz', files: 2, directories: 2, size: 6 });
+    assert.equal((await client.download('unpacked/album/sub/b.txt')).toString(), 'two');
+  });
+
+  it('emits changes of watched directories', async () => {
+    await client.mkdir('watched');
+    const { subscriptionId } = await client.watch('watched');
+    const changed = once(client, 'change');
+
+    await client.upload('watched/a.txt', Buffer.from('hello'));
+    const [event] = await changed;
+    await client.unwatch(subscriptionId);
+
+    assert.equal(event.subscriptionId, subscriptionId);
+    assert.deepEqual(event.changes.map((change) => [change.type, change.path]), [['created', 'watched/a.txt']]);
+    assert.equal(client.watches.size, 0);
+  });
+
+  it('rejects failed commands with a DriveError', async () => {
+    await assert.rejects(client.info('missing.txt'), (error) => {
+      assert.ok(error instanceof DriveError);
+      assert.equal(error.message, 'File not found');
+      assert.equal(error.code, 'not-found');
+      assert.equal(error.field, 'fileName');
+      assert.equal(error.response.action, 'info');
+      return true;
+    });
+  });
+
+  it('speaks a protocol version the drive supports', async () => {
+    const capabilities = await client.capabilities();
+    const pong = await client.ping();
+
+    assert.ok(capabilities.supportedVersions.includes(pong.protocolVersion));
+    assert.ok(capabilities.actions.watch);
+  });
+
+  it('compresses commands and downloads once the drive named its encodings', async () => {
+    const data = Buffer.from('hello '.repeat(2000));
+    const localPath = path.join(rootDir, 'compressed.txt');
+    const sent = [];
+    const publish = client.transport.publish.bind(client.transport);
+    const { downloadSliceSize } = drive.config;
+    client.transport.publish = (message) => {
+      sent.push(message);
+      return publish(message);
+    };
+    drive.config.downloadSliceSize = 4096;
+
+    try {
+      const pong = await client.ping();
+      await client.upload('compressed.txt', data);
+      const response = await client.downloadToFile('compressed.txt', localPath);
+
+      assert.equal(pong.transfer.encoding, 'identity');
+      assert.equal(pong.transfer.encodedSize, pong.transfer.decodedSize);
+      assert.ok(sent.some((message) => message.encoding === 'br'));
+      assert.equal(response.transfer.encoding, 'br');
+      assert.equal(response.transfer.decodedSize, data.length);
+      assert.ok(response.transfer.encodedSize < data.length / 10);
+      assert.deepEqual(await fs.readFile(localPath), data);
+    } finally {
+      client.transport.publish = publish;
+      drive.config.downloadSliceSize = downloadSliceSize;
+    }
+  });
+
+  it('sends commands again while the drive is busy', async () => {
+    const { maxQueued } = drive.scheduler;
+    drive.config.busyRetryAfter = 50;
+    drive.scheduler.maxQueued = 0;
+
+    try {
+      await assert.rejects(client.mkdir('busy', { busyRetries: 0 }), (error) => error.code === 'busy');
+
+      setTimeout(() => { drive.scheduler.maxQueued = maxQueued; }, 10);
+      await client.mkdir('busy');
+
+      await fs.access(path.join(rootDir, 'storage', 'busy'));
+    } finally {
+      drive.scheduler.maxQueued = maxQueued;
+    }
+  });
+
+  it('addresses one of several drives on a stream', async () => {
+    const second = await new StreamrDrive({
+      storageDir: path.join(rootDir, 'second'),
+      aclFile: path.join(rootDir, 'acl.json'),
+      auditLogFile: path.join(rootDir, 'audit.log'),
+      deviceId: 'second-drive',
+      name: 'Second',
+      transport: new LoopbackTransport({ hub })
+    }).initialize();
+    const targeted = await new StreamrDriveClient({
+      transport: new LoopbackTransport({ hub }),
+      target: 'second-drive',
+      timeout: 2000
+    }).initialize();
+
+    try {
+      const drives = await targeted.discover({ wait: 100 });
+      const response = await targeted.mkdir('only-here');
+
+      assert.deepEqual(drives.map((found) => [found.deviceId, found.name]).sort(), [
+        ['first-drive', drive.config.name],
+        ['second-drive', 'Second']
+      ]);
+      assert.equal(response.deviceId, 'second-drive');
+      await fs.access(path.join(rootDir, 'second', 'only-here'));
+      await assert.rejects(fs.access(path.join(rootDir, 'storage', 'only-here')));
+    } finally {
+      await targeted.shutdown();
+      await second.shutdown();
+    }
+  });
+
+  it('talks to a drive with key pairs', async () => {
+    const driveKeys = generateKeyPair();
+    const clientKeys = generateKeyPair();
+    const sealed = await new StreamrDrive({
+      storageDir: path.join(rootDir, 'sealed'),
+      aclFile: path.join(rootDir, 'acl.json'),
+      auditLogFile: path.join(rootDir, 'audit.log'),
+      deviceId: 'sealed-drive',
+      transport: new LoopbackTransport({ hub }),
+      downloadSliceDelay: 0,
+      watchDebounce: 20,
+      encryption: { privateKey: driveKeys.privateKey, peers: [clientKeys.publicKey] }
+    }).initialize();
+    const connect = (keys) => new StreamrDriveClient({
+      transport: new LoopbackTransport({ hub }),
+      target: 'sealed-drive',
+      timeout: 2000,
+      encryption: { privateKey: keys.privateKey, peers: [driveKeys.publicKey] }
+    }).initialize();
+    const trusted = await connect(clientKeys);
+    const stranger = await connect(generateKeyPair());
+
+    try {
+      const changed = once(trusted, 'change');
+      const { subscriptionId } = await trusted.watch('');
+      await trusted.upload('secret.txt', Buffer.from('hello'));
+      const [event] = await changed;
+      await trusted.unwatch(subscriptionId);
+
+      assert.equal((await trusted.download('secret.txt')).toString(), 'hello');
+      assert.deepEqual(event.changes.map((change) => change.path), ['secret.txt']);
+      await assert.rejects(stranger.ping(), (error) => error.code === 'decryption-failed');
+    } finally {
+      await trusted.shutdown();
+      await stranger.shutdown();
+      await sealed.shutdown();
+    }
+  });
+
+  it('times out when nobody answers', async () => {
+    const lonely = await new StreamrDriveClient({ transport: new LoopbackTransport(), timeout: 20 }).initialize();
+
+    await assert.rejects(lonely.ping(), (error) => error.code === 'timeout');
+    await lonely.shutdown();
+  });
+});
@@ -0,0 +1,2304 @@
+// test/streamr-drive.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { createArchive, extractArchive } from '../archive.js';
+import { encodeMessage, decodeMessage } from '../compression.js';
+import PayloadCipher, { generateKey, generateKeyPair } from '../payload-cipher.js';
+import { createTestDrive, sendCommand, silenceConsole, SENDER } from './helpers.js';
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+describe('StreamrDrive', () => {
+  let context;
+  let transport;
+  let storageDir;
+
+  before(() => silenceConsole());
+
+  beforeEach(async () => {
+    if (context) await context.cleanup();
+    context = await createTestDrive({ downloadSliceDelay: 0 });
+    transport = context.transport;
+    storageDir = context.storageDir;
+  });
+
+  after(async () => {
+    if (context) await context.cleanup();
+  });
+
+  const writeFile = async (relativePath, content) => {
+    const filePath = path.join(storageDir, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    return fs.stat(filePath);
+  };
+
+  describe('ping', () => {
+    it('answers with pong', async () => {
+      const response = await sendCommand(transport, { action: 'ping', requestId: 'p1' });
+
+      assert.equal(typeof response.timestamp, 'number');
+      assert.deepEqual(response, {
+        action: 'pong',
+        status: 'success',
+        timestamp: response.timestamp,
+        deviceId: 'test-drive',
+        requestId: 'p1'
+      });
+    });
+  });
+
+  describe('devices', () => {
+    it('answers discover with its name and free space', async () => {
+      context.drive.config.name = 'Living room Pi';
+
+      const response = await sendCommand(transport, { action: 'discover', target: 'other-drive' });
+
+      assert.equal(response.status, 'success');
+      assert.equal(response.deviceId, 'test-drive');
+      assert.equal(response.name, 'Living room Pi');
+      assert.equal(typeof response.hostname, 'string');
+      assert.ok(response.disk.free > 0);
+    });
+
+    it('ignores commands meant for another drive', async () => {
+      await context.drive.processCommand({
+        type: 'text',
+        body: JSON.stringify({ action: 'mkdir', dirName: 'a', target: 'other-drive' })
+      });
+
+      assert.deepEqual(transport.published, []);
+      await assert.rejects(fs.access(path.join(storageDir, 'a')));
+    });
+
+    it('ignores the responses of other drives', async () => {
+      await context.drive.processCommand({
+        type: 'text',
+        body: JSON.stringify({ action: 'discover', status: 'success', deviceId: 'other-drive', requestId: 'd1' })
+      });
+
+      assert.deepEqual(transport.published, []);
+    });
+
+    it('runs commands meant for it', async () => {
+      const response = await sendCommand(transport, { action: 'mkdir', dirName: 'a', target: 'test-drive' });
+
+      assert.equal(response.status, 'success');
+      await fs.access(path.join(storageDir, 'a'));
+    });
+  });
+
+  describe('capabilities', () => {
+    it('reports versions, actions and limits', async () => {
+      const response = await sendCommand(transport, { action: 'capabilities', requestId: 'cap1' });
+      const { version } = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf8'));
+
+      assert.equal(response.status, 'success');
+      assert.equal(response.protocolVersion, 1);
+      assert.deepEqual(response.supportedVersions, [1]);
+      assert.equal(response.serverVersion, version);
+      assert.equal(response.deviceId, context.drive.config.deviceId);
+      assert.deepEqual(response.actions.mkdir, {
+        path: { type: 'string' },
+        dirName: { type: 'string', required: true }
+      });
+      assert.ok(Object.keys(response.actions).includes('capabilities'));
+      assert.equal(response.limits.maxMessageSize, transport.maxMessageSize);
+      assert.equal(response.limits.maxDownloadMessageSize, context.drive.config.maxDownloadMessageSize);
+      assert.deepEqual(response.archiveFormats, ['zip', 'tar.gz']);
+    });
+  });
+
+  describe('status', () => {
+    it('reports uptime, disk, traffic and errors per action', async () => {
+      await sendCommand(transport, { action: 'upload', fileName: 'a.txt', data: Buffer.from('hello').toString('base64') });
+      await sendCommand(transport, { action: 'info', fileName: 'missing.txt' });
+      transport.deliver({ type: 'text', body: 'not json', requestId: 'bad' });
+
+      const response = await sendCommand(transport, { action: 'status', requestId: 'st1' });
+      const { version } = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf8'));
+
+      assert.equal(response.status, 'success');
+      assert.equal(response.deviceId, 'test-drive');
+      assert.equal(response.serverVersion, version);
+      assert.equal(response.storageDir, path.resolve(storageDir));
+      assert.ok(response.uptime >= 0 && Date.parse(response.startedAt) <= Date.now());
+      assert.equal(response.disk.used, response.disk.total - response.disk.free);
+      assert.deepEqual(response.commands, { running: 0, waiting: 0 });
+      assert.deepEqual(response.transfers, { downloads: 0, uploadSessions: 0 });
+      assert.ok(response.bytesIn > 5);
+      assert.ok(response.bytesOut > 0);
+      assert.deepEqual(response.handled, { upload: 1, info: 1, status: 1 });
+      assert.deepEqual(response.errors, { info: 1, invalid: 1 });
+      assert.equal(response.tempCleanup, null);
+    });
+
+    it('tells when the temp folder was last cleaned up', async () => {
+      await writeFile('temp/stale.tmp', 'x');
+      await context.drive.cleanupTempFolder();
+
+      const { tempCleanup } = await sendCommand(transport, { action: 'status' });
+
+      assert.equal(tempCleanup.removed, 1);
+      assert.ok(Date.now() - Date.parse(tempCleanup.time) < 5000);
+    });
+
+    it('still answers while busy', async () => {
+      context.drive.scheduler.maxQueued = 0;
+
+      const response = await sendCommand(transport, { action: 'status' });
+
+      assert.equal(response.status, 'success');
+    });
+
+    it('serves the same counters to Prometheus', async () => {
+      const metered = await createTestDrive({ metricsPort: 0 });
+
+      try {
+        await sendCommand(metered.transport, { action: 'info', fileName: 'missing.txt' });
+        const { port } = metered.drive.metricsServer.address();
+        const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+        const text = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+        assert.match(text, /^streamr_drive_info\{device_id="test-drive",version="[^"]+"\} 1$/m);
+        assert.match(text, /^streamr_drive_errors_total\{action="info"\} 1$/m);
+        assert.match(text, /^# TYPE streamr_drive_received_bytes_total counter$/m);
+      } finally {
+        await metered.cleanup();
+      }
+    });
+  });
+
+  describe('list', () => {
+    it('lists directory contents', async () => {
+      const stats = await writeFile('docs/a.txt', 'hello');
+      await fs.mkdir(path.join(storageDir, 'docs', 'sub'));
+      const subStats = await fs.stat(path.join(storageDir, 'docs', 'sub'));
+
+      const response = await sendCommand(transport, { action: 'list', path: 'docs', requestId: 'l1' });
+
+      assert.deepEqual(response, {
+        action: 'list',
+        status: 'success',
+        path: 'docs',
+        files: [
+          {
+            name: 'a.txt',
+            isDirectory: false,
+            size: 5,
+            created: stats.birthtime.toISOString(),
+            modified: stats.mtime.toISOString()
+          },
+          {
+            name: 'sub',
+            isDirectory: true,
+            size: subStats.size,
+            created: subStats.birthtime.toISOString(),
+            modified: subStats.mtime.toISOString()
+          }
+        ],
+        batch: 0,
+        batches: 1,
+        total: 2,
+        deviceId: 'test-drive',
+        requestId: 'l1'
+      });
+    });
+
+    it('includes hashes with withHash', async () => {
+      await writeFile('a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'list', withHash: true });
+
+      assert.equal(response.files[0].hash, sha256('hello'));
+    });
+
+    it('lists a tree recursively up to maxDepth', async () => {
+      await writeFile('docs/a.txt', 'a');
+      await writeFile('docs/sub/b.txt', 'b');
+      await writeFile('docs/sub/deeper/c.txt', 'c');
+
+      const all = await sendCommand(transport, { action: 'list', path: 'docs', recursive: true });
+      const shallow = await sendCommand(transport, { action: 'list', path: 'docs', recursive: true, maxDepth: 2 });
+
+      assert.deepEqual(all.files.map((file) => file.path), [
+        'a.txt', 'sub', 'sub/b.txt', 'sub/deeper', 'sub/deeper/c.txt'
+      ]);
+      assert.deepEqual(shallow.files.map((file) => file.path), ['a.txt', 'sub', 'sub/b.txt', 'sub/deeper']);
+    });
+
+    it('filters with include and exclude globs', async () => {
+      await writeFile('a.jpg', 'a');
+      await writeFile('photos/b.jpg', 'b');
+      await writeFile('photos/c.png', 'c');
+      await writeFile('cache/d.jpg', 'd');
+
+      const response = await sendCommand(transport, {
+        action: 'list',
+        recursive: true,
+        include: ['*.jpg'],
+        exclude: 'cache'
+      });
+
+      assert.deepEqual(response.files.map((file) => file.path), ['a.jpg', 'photos/b.jpg']);
+    });
+
+    it('sorts and pages through entries with a cursor', async () => {
+      await writeFile('small.txt', 'x');
+      await writeFile('large.txt', 'xxx');
+      await writeFile('medium.txt', 'xx');
+
+      const first = await sendCommand(transport, { action: 'list', sortBy: 'size', order: 'desc', limit: 2 });
+      const second = await sendCommand(transport, {
+        action: 'list',
+        sortBy: 'size',
+        order: 'desc',
+        limit: 2,
+        cursor: first.nextCursor
+      });
+
+      assert.deepEqual(first.files.map((file) => file.name), ['large.txt', 'medium.txt']);
+      assert.equal(first.total, 3);
+      assert.deepEqual(second.files.map((file) => file.name), ['small.txt']);
+      assert.equal(second.nextCursor, undefined);
+    });
+
+    it('refuses cursors and globs it cannot read', async () => {
+      const list = await sendCommand(transport, { action: 'list', cursor: 'not a cursor' });
+      const search = await sendCommand(transport, { action: 'search', pattern: '[z-a]' });
+
+      assert.deepEqual([list.code, list.field], ['invalid-field', 'cursor']);
+      assert.deepEqual([search.code, search.field], ['invalid-field', 'pattern']);
+    });
+
+    it('splits large results into batches', async () => {
+      await context.cleanup();
+      context = await createTestDrive({ listBatchSize: 2 });
+      transport = context.transport;
+      storageDir = context.storageDir;
+      for (const name of ['a', 'b', 'c', 'd', 'e']) await writeFile(name, name);
+
+      const response = await sendCommand(transport, { action: 'list', requestId: 'l4' });
+      const batches = transport.responses().filter((message) => message.requestId === 'l4');
+
+      assert.deepEqual(batches.map((message) => [message.status, message.batch, message.files.length]), [
+        ['info', 0, 2],
+        ['info', 1, 2],
+        ['success', 2, 1]
+      ]);
+      assert.equal(response.batches, 3);
+      assert.equal(response.total, 5);
+    });
+
+    it('rejects invalid options', async () => {
+      const response = await sendCommand(transport, { action: 'list', sortBy: 'colour', requestId: 'l5' });
+
+      assert.deepEqual(response, {
+        action: 'list',
+        status: 'error',
+        code: 'invalid-field',
+        field: 'sortBy',
+        message: 'sortBy must be one of name, size, modified',
+        deviceId: 'test-drive',
+        requestId: 'l5'
+      });
+    });
+
+    it('fails for a missing directory', async () => {
+      const response = await sendCommand(transport, { action: 'list', path: 'nope', requestId: 'l2' });
+
+      assert.deepEqual(response, {
+        action: 'list',
+        status: 'error',
+        code: 'not-found',
+        field: 'path',
+        message: 'Directory not found',
+        deviceId: 'test-drive',
+        requestId: 'l2'
+      });
+    });
+
+    it('rejects paths outside of the storage directory', async () => {
+      const response = await sendCommand(transport, { action: 'list', path: '../..', requestId: 'l3' });
+
+      assert.deepEqual(response, {
+        action: 'list',
+        status: 'error',
+        code: 'invalid-path',
+        message: 'Path escapes the storage directory',
+        deviceId: 'test-drive',
+        requestId: 'l3'
+      });
+    });
+  });
+
+  describe('search', () => {
+    it('finds files by name pattern anywhere below a path', async () => {
+      await writeFile('photos/2023/beach.jpg', 'a');
+      await writeFile('photos/2024/city.jpg', 'b');
+      await writeFile('photos/2024/notes.txt', 'c');
+      await writeFile('other/park.jpg', 'd');
+
+      const response = await sendCommand(transport, { action: 'search', path: 'photos', pattern: '*.jpg' });
+
+      assert.equal(response.action, 'search');
+      assert.deepEqual(response.files.map((file) => file.path), ['2023/beach.jpg', '2024/city.jpg']);
+    });
+
+    it('filters by size and modified date ranges', async () => {
+      await writeFile('old.bin', 'xxxx');
+      await writeFile('new.bin', 'xxxx');
+      await writeFile('tiny.bin', 'x');
+      await fs.utimes(path.join(storageDir, 'old.bin'), new Date('2020-01-01'), new Date('2020-01-01'));
+
+      const response = await sendCommand(transport, {
+        action: 'search',
+        type: 'file',
+        minSize: 2,
+        maxSize: 10,
+        modifiedAfter: '2021-01-01T00:00:00Z'
+      });
+
+      assert.deepEqual(response.files.map((file) => file.path), ['new.bin']);
+    });
+
+    it('rejects an invalid date', async () => {
+      const response = await sendCommand(transport, { action: 'search', modifiedBefore: 'yesterday', requestId: 's1' });
+
+      assert.deepEqual(response, {
+        action: 'search',
+        status: 'error',
+        code: 'invalid-field',
+        field: 'modifiedBefore',
+        message: 'modifiedBefore must be an ISO date or epoch milliseconds',
+        deviceId: 'test-drive',
+        requestId: 's1'
+      });
+    });
+  });
+
+  describe('upload', () => {
+    it('writes the file and reports its hash', async () => {
+      const response = await sendCommand(transport, {
+        action: 'upload',
+        path: 'docs',
+        fileName: 'a.txt',
+        data: Buffer.from('hello').toString('base64'),
+        requestId: 'u1'
+      });
+      const stats = await fs.stat(path.join(storageDir, 'docs', 'a.txt'));
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'success',
+        fileName: 'a.txt',
+        path: 'docs',
+        size: 5,
+        hash: sha256('hello'),
+        modified: stats.mtime.toISOString(),
+        deviceId: 'test-drive',
+        requestId: 'u1'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'docs', 'a.txt'), 'utf8'), 'hello');
+    });
+
+    it('fails without data', async () => {
+      const response = await sendCommand(transport, { action: 'upload', fileName: 'a.txt', requestId: 'u2' });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'error',
+        code: 'missing-field',
+        field: 'data',
+        message: 'Missing data',
+        deviceId: 'test-drive',
+        requestId: 'u2'
+      });
+    });
+
+    it('keeps the existing file on a checksum mismatch', async () => {
+      await writeFile('a.txt', 'original');
+
+      const response = await sendCommand(transport, {
+        action: 'upload',
+        fileName: 'a.txt',
+        data: Buffer.from('changed').toString('base64'),
+        expectedHash: sha256('something else'),
+        requestId: 'u3'
+      });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'error',
+        code: 'checksum-mismatch',
+        field: 'expectedHash',
+        message: 'Uploaded data does not match expectedHash',
+        expectedHash: sha256('something else'),
+        hash: sha256('changed'),
+        deviceId: 'test-drive',
+        requestId: 'u3'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'a.txt'), 'utf8'), 'original');
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'temp')), []);
+    });
+
+    it('rejects absolute file names', async () => {
+      const response = await sendCommand(transport, {
+        action: 'upload',
+        fileName: '/etc/passwd',
+        data: 'AA==',
+        requestId: 'u4'
+      });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'error',
+        code: 'invalid-path',
+        message: 'name must be relative to the storage directory',
+        deviceId: 'test-drive',
+        requestId: 'u4'
+      });
+    });
+  });
+
+  describe('download', () => {
+    it('sends the file before reporting success', async () => {
+      await writeFile('docs/a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'download', path: 'docs', fileName: 'a.txt', requestId: 'd1' });
+      const file = transport.published.find((message) => message.type === 'file');
+
+      assert.deepEqual(response, {
+        action: 'download',
+        status: 'success',
+        fileName: 'a.txt',
+        path: 'docs',
+        size: 5,
+        deviceId: 'test-drive',
+        requestId: 'd1'
+      });
+      assert.deepEqual(file, {
+        type: 'file',
+        requestId: 'd1',
+        fileName: 'a.txt',
+        fileSize: 5,
+        transferId: undefined,
+        offset: undefined,
+        length: undefined,
+        sequence: undefined,
+        totalSlices: undefined,
+        checksum: undefined,
+        body: Buffer.from('hello').toString('base64'),
+        deviceId: 'test-drive'
+      });
+    });
+
+    it('sends a byte range', async () => {
+      await writeFile('a.txt', 'hello world');
+
+      const response = await sendCommand(transport, { action: 'download', fileName: 'a.txt', offset: 6, length: 100 });
+      const file = transport.published.find((message) => message.type === 'file');
+
+      assert.equal(response.offset, 6);
+      assert.equal(response.length, 5);
+      assert.equal(Buffer.from(file.body, 'base64').toString(), 'world');
+      assert.equal(file.fileSize, 11);
+    });
+
+    it('rejects a range beyond the end of the file', async () => {
+      await writeFile('a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'download', fileName: 'a.txt', offset: 6, requestId: 'd2' });
+
+      assert.deepEqual(response, {
+        action: 'download',
+        status: 'error',
+        code: 'invalid-range',
+        field: 'offset',
+        message: 'Invalid range for a file of 5 bytes',
+        deviceId: 'test-drive',
+        requestId: 'd2'
+      });
+    });
+
+    it('streams slices in order with a final checksum', async () => {
+      context.drive.config.downloadSliceSize = 4;
+      await writeFile('a.txt', 'hello world');
+
+      const response = await sendCommand(transport, { action: 'download', fileName: 'a.txt', stream: true });
+      const slices = transport.published.filter((message) => message.type === 'file');
+
+      assert.equal(response.status, 'success');
+      assert.equal(response.totalSlices, 3);
+      assert.equal(response.checksum, sha256('hello world'));
+      assert.deepEqual(slices.map((slice) => slice.sequence), [0, 1, 2]);
+      assert.equal(slices.map((slice) => Buffer.from(slice.body, 'base64').toString()).join(''), 'hello world');
+      assert.equal(slices[2].checksum, sha256('hello world'));
+    });
+
+    it('keeps nothing of the slices it streamed', async () => {
+      context.drive.config.downloadSliceSize = 4;
+      await writeFile('a.txt', 'streamed away');
+
+      await sendCommand(transport, { action: 'download', fileName: 'a.txt', stream: true });
+      const slices = transport.published.filter((message) => message.type === 'file');
+      const kept = JSON.stringify(context.drive.messageController);
+
+      assert.equal(slices.length, 4);
+      assert.ok(slices.every((slice) => !kept.includes(slice.body)));
+    });
+
+    it('stops a stream on download-cancel', async () => {
+      context.drive.config.downloadSliceSize = 1;
+      context.drive.config.downloadSliceDelay = 5;
+      await writeFile('a.txt', 'hello world');
+
+      const started = transport.waitFor((message) => message.type === 'file');
+      const finished = sendCommand(transport, { action: 'download', fileName: 'a.txt', stream: true });
+      const { transferId } = await started;
+
+      const cancel = await sendCommand(transport, { action: 'download-cancel', transferId });
+      const response = await finished;
+
+      assert.equal(cancel.status, 'success');
+      assert.equal(response.status, 'cancelled');
+      assert.ok(response.sent < 11);
+    });
+
+    it('fails for a missing file', async () => {
+      const response = await sendCommand(transport, { action: 'download', fileName: 'nope.txt', requestId: 'd3' });
+
+      assert.deepEqual(response, {
+        action: 'download',
+        status: 'error',
+        code: 'not-found',
+        field: 'fileName',
+        message: 'File not found',
+        deviceId: 'test-drive',
+        requestId: 'd3'
+      });
+    });
+
+    it('fails without fileName', async () => {
+      const response = await sendCommand(transport, { action: 'download', requestId: 'd4' });
+
+      assert.deepEqual(response, {
+        action: 'download',
+        status: 'error',
+        code: 'missing-field',
+        field: 'fileName',
+        message: 'Missing fileName',
+        deviceId: 'test-drive',
+        requestId: 'd4'
+      });
+    });
+  });
+
+  describe('delete', () => {
+    it('moves entries to the trash', async () => {
+      await writeFile('docs/sub/a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'delete', path: 'docs', fileName: 'sub', requestId: 'x1' });
+      const [item] = await context.drive.trash.list();
+
+      assert.deepEqual(response, {
+        action: 'delete',
+        status: 'success',
+        fileName: 'sub',
+        path: 'docs',
+        trashId: item.id,
+        deviceId: 'test-drive',
+        requestId: 'x1'
+      });
+      assert.equal(item.originalPath, 'docs/sub');
+      assert.equal(item.size, 5);
+      assert.equal(item.deletedBy, SENDER);
+      await assert.rejects(fs.access(path.join(storageDir, 'docs', 'sub')));
+    });
+
+    it('removes directories recursively with permanent', async () => {
+      await writeFile('docs/sub/a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'delete', fileName: 'docs', permanent: true, requestId: 'x4' });
+
+      assert.deepEqual(response, {
+        action: 'delete',
+        status: 'success',
+        fileName: 'docs',
+        path: '',
+        permanent: true,
+        deviceId: 'test-drive',
+        requestId: 'x4'
+      });
+      await assert.rejects(fs.access(path.join(storageDir, 'docs')));
+      assert.deepEqual(await context.drive.trash.list(), []);
+    });
+
+    it('fails for a missing file', async () => {
+      const response = await sendCommand(transport, { action: 'delete', fileName: 'nope', requestId: 'x2' });
+
+      assert.deepEqual(response, {
+        action: 'delete',
+        status: 'error',
+        code: 'not-found',
+        field: 'fileName',
+        message: 'File not found',
+        deviceId: 'test-drive',
+        requestId: 'x2'
+      });
+    });
+
+    it('refuses to delete the storage directory itself', async () => {
+      const response = await sendCommand(transport, { action: 'delete', path: 'docs', fileName: '..', requestId: 'x3' });
+
+      assert.equal(response.code, 'invalid-path');
+      await fs.access(storageDir);
+    });
+  });
+
+  describe('versions', () => {
+    const upload = (fileName, content, extra = {}) => sendCommand(transport, {
+      action: 'upload',
+      fileName,
+      data: Buffer.from(content).toString('base64'),
+      ...extra
+    });
+
+    it('keeps earlier contents on overwrite', async () => {
+      await upload('a.txt', 'one');
+      await upload('a.txt', 'two');
+      await upload('a.txt', 'three');
+
+      const response = await sendCommand(transport, { action: 'versions', fileName: 'a.txt' });
+
+      assert.deepEqual(response.versions.map((version) => [version.size, version.hash]), [
+        [3, sha256('two')],
+        [3, sha256('one')]
+      ]);
+    });
+
+    it('keeps at most maxVersions versions', async () => {
+      await context.cleanup();
+      context = await createTestDrive({ maxVersions: 2 });
+      transport = context.transport;
+      storageDir = context.storageDir;
+
+      for (const content of ['1', '2', '3', '4']) await upload('a.txt', content);
+      const response = await sendCommand(transport, { action: 'versions', fileName: 'a.txt' });
+
+      assert.deepEqual(response.versions.map((version) => version.hash), [sha256('3'), sha256('2')]);
+    });
+
+    it('purges versions older than maxVersionAge', async () => {
+      await upload('a.txt', 'one');
+      await upload('a.txt', 'two');
+      context.drive.versions.maxAge = -1;
+
+      assert.equal(await context.drive.purgeVersions(), 1);
+      assert.deepEqual(await context.drive.versions.list('a.txt'), []);
+    });
+
+    it('downloads an earlier version', async () => {
+      await upload('a.txt', 'one');
+      await upload('a.txt', 'two');
+      const { versions: [version] } = await sendCommand(transport, { action: 'versions', fileName: 'a.txt' });
+
+      const fileMessage = transport.waitFor((message) => message.type === 'file');
+      const response = await sendCommand(transport, { action: 'download', fileName: 'a.txt', version: version.id });
+
+      assert.equal(response.version, version.id);
+      assert.equal(Buffer.from((await fileMessage).body, 'base64').toString(), 'one');
+    });
+
+    it('restores a version and keeps the replaced content', async () => {
+      await upload('a.txt', 'one');
+      await upload('a.txt', 'two');
+      const { versions: [version] } = await sendCommand(transport, { action: 'versions', fileName: 'a.txt' });
+
+      const response = await sendCommand(transport, { action: 'restore-version', fileName: 'a.txt', version: version.id });
+      const { versions } = await sendCommand(transport, { action: 'versions', fileName: 'a.txt' });
+
+      assert.equal(response.hash, sha256('one'));
+      assert.equal(await fs.readFile(path.join(storageDir, 'a.txt'), 'utf8'), 'one');
+      assert.deepEqual(versions.map((entry) => entry.hash), [sha256('two'), sha256('one')]);
+    });
+
+    it('fails for an unknown version', async () => {
+      await upload('a.txt', 'one');
+
+      const response = await sendCommand(transport, {
+        action: 'download',
+        fileName: 'a.txt',
+        version: 'nope',
+        requestId: 'v1'
+      });
+
+      assert.deepEqual(response, {
+        action: 'download',
+        status: 'error',
+        code: 'not-found',
+        field: 'version',
+        message: 'Version not found',
+        deviceId: 'test-drive',
+        requestId: 'v1'
+      });
+    });
+  });
+
+  describe('ifMatch', () => {
+    const upload = (content, extra = {}) => sendCommand(transport, {
+      action: 'upload',
+      fileName: 'a.txt',
+      data: Buffer.from(content).toString('base64'),
+      ...extra
+    });
+
+    it('accepts an upload when the hash or modification time still matches', async () => {
+      const first = await upload('one');
+
+      const byHash = await upload('two', { ifMatch: first.hash });
+      const byTime = await upload('three', { ifMatch: byHash.modified });
+
+      assert.equal(byHash.status, 'success');
+      assert.equal(byTime.status, 'success');
+    });
+
+    it('reports a conflict when the file has changed', async () => {
+      const first = await upload('one');
+      const second = await upload('two');
+
+      const response = await upload('three', { ifMatch: first.hash, requestId: 'm1' });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'error',
+        code: 'conflict',
+        field: 'ifMatch',
+        message: 'File has changed since ifMatch',
+        hash: sha256('two'),
+        modified: second.modified,
+        deviceId: 'test-drive',
+        requestId: 'm1'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'a.txt'), 'utf8'), 'two');
+    });
+
+    it('checks upload sessions at commit', async () => {
+      const first = await upload('one');
+      const begin = await sendCommand(transport, { action: 'upload-begin', fileName: 'a.txt', size: 3, ifMatch: first.hash });
+      await sendCommand(transport, {
+        action: 'upload-append',
+        sessionId: begin.sessionId,
+        offset: 0,
+        data: Buffer.from('new').toString('base64')
+      });
+      await upload('two');
+
+      const response = await sendCommand(transport, { action: 'upload-commit', sessionId: begin.sessionId });
+
+      assert.equal(response.code, 'conflict');
+      assert.equal(await fs.readFile(path.join(storageDir, 'a.txt'), 'utf8'), 'two');
+    });
+
+    it('rejects a malformed ifMatch', async () => {
+      const response = await upload('one', { ifMatch: 'whenever' });
+
+      assert.equal(response.message, 'ifMatch must be a SHA-256 hash or a modification time');
+    });
+  });
+
+  describe('usage and quotas', () => {
+    const useDrive = async (config) => {
+      await context.cleanup();
+      context = await createTestDrive(config);
+      transport = context.transport;
+      storageDir = context.storageDir;
+    };
+
+    const upload = (fileName, size, extra = {}) => sendCommand(transport, {
+      action: 'upload',
+      fileName,
+      data: Buffer.alloc(size).toString('base64'),
+      ...extra
+    });
+
+    it('reports sizes per directory, disk space and quotas', async () => {
+      await useDrive({ quotaBytes: 1000, pathQuotas: { photos: 500 } });
+      await writeFile('photos/a.jpg', 'x'.repeat(300));
+      await writeFile('docs/b.txt', 'x'.repeat(20));
+      await writeFile('c.txt', 'x'.repeat(5));
+
+      const response = await sendCommand(transport, { action: 'usage' });
+
+      assert.equal(response.size, 325);
+      assert.equal(response.files, 3);
+      assert.equal(response.used, 325);
+      assert.deepEqual(response.directories, [
+        { name: 'photos', size: 300, files: 1 },
+        { name: 'docs', size: 20, files: 1 }
+      ]);
+      assert.deepEqual(response.quotas, [
+        { path: '', quota: 1000, used: 325 },
+        { path: 'photos', quota: 500, used: 300 }
+      ]);
+      assert.ok(response.disk.free > 0 && response.disk.total >= response.disk.free);
+    });
+
+    it('counts trash and versions separately', async () => {
+      await upload('a.txt', 10);
+      await upload('a.txt', 20);
+      await sendCommand(transport, { action: 'delete', fileName: 'a.txt' });
+
+      const response = await sendCommand(transport, { action: 'usage' });
+
+      assert.equal(response.size, 0);
+      assert.ok(response.trash >= 20);
+      assert.ok(response.versions >= 10);
+    });
+
+    it('rejects uploads over the global quota before writing', async () => {
+      await useDrive({ quotaBytes: 100 });
+      await upload('a.bin', 60);
+
+      const response = await upload('b.bin', 50, { requestId: 'q1' });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'error',
+        code: 'quota-exceeded',
+        message: 'Quota of 100 bytes for the drive would be exceeded',
+        quotaPath: '',
+        quota: 100,
+        used: 60,
+        required: 50,
+        deviceId: 'test-drive',
+        requestId: 'q1'
+      });
+      await assert.rejects(fs.access(path.join(storageDir, 'b.bin')));
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'temp')), []);
+    });
+
+    it('creates no directories for uploads over the quota', async () => {
+      await useDrive({ quotaBytes: 100 });
+
+      const response = await upload('b.bin', 150, { path: 'new/deep' });
+
+      assert.equal(response.code, 'quota-exceeded');
+      await assert.rejects(fs.access(path.join(storageDir, 'new')));
+    });
+
+    it('applies path quotas to uploads, upload sessions and copies', async () => {
+      await useDrive({ pathQuotas: { photos: 100 } });
+      await writeFile('big.bin', 'x'.repeat(80));
+      await upload('a.jpg', 50, { path: 'photos' });
+
+      const direct = await upload('b.jpg', 60, { path: 'photos' });
+      const session = await sendCommand(transport, { action: 'upload-begin', path: 'photos', fileName: 'c.jpg', size: 60 });
+      const copy = await sendCommand(transport, { action: 'copy', fileName: 'big.bin', destinationPath: 'photos' });
+      const elsewhere = await upload('d.bin', 60, { path: 'docs' });
+
+      assert.equal(direct.code, 'quota-exceeded');
+      assert.equal(session.code, 'quota-exceeded');
+      assert.equal(copy.code, 'quota-exceeded');
+      assert.equal(elsewhere.status, 'success');
+    });
+
+    it('only counts moves against quotas they enter', async () => {
+      await useDrive({ quotaBytes: 150, pathQuotas: { photos: 100 } });
+      await writeFile('photos/a.jpg', 'x'.repeat(90));
+      await writeFile('b.jpg', 'x'.repeat(50));
+
+      const within = await sendCommand(transport, { action: 'move', path: 'photos', fileName: 'a.jpg', destinationPath: 'photos/2024' });
+      const into = await sendCommand(transport, { action: 'move', fileName: 'b.jpg', destinationPath: 'photos' });
+
+      assert.equal(within.status, 'success');
+      assert.equal(into.code, 'quota-exceeded');
+    });
+
+    it('charges overwrites the difference to the file they replace', async () => {
+      await useDrive({ quotaBytes: 100, pathQuotas: { photos: 100 } });
+      await upload('a.jpg', 80, { path: 'photos' });
+
+      const versioned = await upload('a.jpg', 80, { path: 'photos' });
+      await useDrive({ quotaBytes: 100, maxVersions: 0 });
+      await upload('a.jpg', 80);
+      const unversioned = await upload('a.jpg', 90);
+
+      // The replaced content is kept as a version, which counts for the drive
+      assert.equal(versioned.code, 'quota-exceeded');
+      assert.equal(versioned.quotaPath, '');
+      assert.equal(unversioned.status, 'success');
+    });
+
+    it('keeps measured usage and adds what commands write to it', async () => {
+      await useDrive({ quotaBytes: 100 });
+      await upload('a.bin', 60);
+      await writeFile('behind-the-back.bin', 'x'.repeat(30));
+
+      const cached = await upload('b.bin', 30);
+      const recorded = await upload('c.bin', 20);
+      context.drive.quota.cacheTtl = 0;
+      const measured = await upload('d.bin', 1);
+
+      assert.equal(cached.status, 'success');
+      assert.equal(recorded.used, 90);
+      assert.equal(measured.used, 120);
+    });
+
+    it('keeps the free space reserve', async () => {
+      await useDrive({ freeSpaceReserve: Number.MAX_SAFE_INTEGER });
+
+      const response = await upload('a.bin', 1);
+
+      assert.equal(response.code, 'quota-exceeded');
+      assert.equal(response.reserve, Number.MAX_SAFE_INTEGER);
+    });
+  });
+
+  describe('trash', () => {
+    const trashFile = async (relativePath, content) => {
+      await writeFile(relativePath, content);
+      const { dir, base } = path.posix.parse(relativePath);
+      const response = await sendCommand(transport, { action: 'delete', path: dir, fileName: base });
+      return response.trashId;
+    };
+
+    it('lists deleted items with their origin', async () => {
+      await trashFile('a.txt', 'a');
+      await trashFile('docs/b.txt', 'bb');
+
+      const response = await sendCommand(transport, { action: 'trash-list' });
+      const items = response.items.map((item) => [item.originalPath, item.size]).sort();
+
+      assert.deepEqual(items, [['a.txt', 1], ['docs/b.txt', 2]]);
+      assert.ok(new Date(response.items[0].expiresAt) > new Date(response.items[0].deletedAt));
+    });
+
+    it('hides the trash from listings and direct access', async () => {
+      await trashFile('a.txt', 'a');
+
+      const list = await sendCommand(transport, { action: 'list', recursive: true });
+      const download = await sendCommand(transport, { action: 'download', path: '.trash', fileName: 'x' });
+
+      assert.deepEqual(list.files, []);
+      assert.equal(download.code, 'invalid-path');
+    });
+
+    it('restores an item to where it came from', async () => {
+      const id = await trashFile('docs/deep/a.txt', 'hello');
+      await fs.rm(path.join(storageDir, 'docs'), { recursive: true });
+
+      const response = await sendCommand(transport, { action: 'restore', id, requestId: 't1' });
+
+      assert.deepEqual(response, {
+        action: 'restore',
+        status: 'success',
+        id,
+        fileName: 'a.txt',
+        path: 'docs/deep',
+        deviceId: 'test-drive',
+        requestId: 't1'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'docs', 'deep', 'a.txt'), 'utf8'), 'hello');
+      assert.deepEqual(await context.drive.trash.list(), []);
+    });
+
+    it('handles a taken original location according to onConflict', async () => {
+      const id = await trashFile('a.txt', 'old');
+      await writeFile('a.txt', 'new');
+
+      const failed = await sendCommand(transport, { action: 'restore', id });
+      const suffixed = await sendCommand(transport, { action: 'restore', id, onConflict: 'suffix' });
+
+      assert.equal(failed.code, 'already-exists');
+      assert.equal(suffixed.fileName, 'a (1).txt');
+      assert.equal(await fs.readFile(path.join(storageDir, 'a (1).txt'), 'utf8'), 'old');
+    });
+
+    it('moves the replaced entry to the trash when restoring with overwrite', async () => {
+      const id = await trashFile('a.txt', 'old');
+      await writeFile('a.txt', 'new');
+
+      await sendCommand(transport, { action: 'restore', id, onConflict: 'overwrite' });
+      const [replaced] = await context.drive.trash.list();
+
+      assert.equal(await fs.readFile(path.join(storageDir, 'a.txt'), 'utf8'), 'old');
+      assert.equal(replaced.originalPath, 'a.txt');
+      assert.equal(replaced.size, 3);
+    });
+
+    it('fails for an unknown item', async () => {
+      const response = await sendCommand(transport, { action: 'restore', id: '../../etc', requestId: 't2' });
+
+      assert.deepEqual(response, {
+        action: 'restore',
+        status: 'error',
+        code: 'not-found',
+        field: 'id',
+        message: 'Trash item not found',
+        deviceId: 'test-drive',
+        requestId: 't2'
+      });
+    });
+
+    it('empties the trash or removes a single item', async () => {
+      const id = await trashFile('a.txt', 'a');
+      await trashFile('b.txt', 'b');
+
+      const single = await sendCommand(transport, { action: 'trash-empty', id });
+      const rest = await sendCommand(transport, { action: 'trash-empty' });
+
+      assert.equal(single.removed, 1);
+      assert.equal(rest.removed, 1);
+      assert.deepEqual(await context.drive.trash.list(), []);
+    });
+
+    it('purges items older than the retention period', async () => {
+      const id = await trashFile('old.txt', 'a');
+      await trashFile('recent.txt', 'b');
+      const item = await context.drive.trash.get(id);
+      await context.drive.trash.save({ ...item, deletedAt: Date.now() - context.drive.config.trashRetention - 1 });
+
+      assert.equal(await context.drive.purgeTrash(), 1);
+      assert.deepEqual((await context.drive.trash.list()).map((entry) => entry.name), ['recent.txt']);
+    });
+  });
+
+  describe('watch', () => {
+    beforeEach(async () => {
+      await context.cleanup();
+      context = await createTestDrive({ watchDebounce: 20, watchMaxDelay: 200, watchBatchSize: 2 });
+      transport = context.transport;
+      storageDir = context.storageDir;
+    });
+
+    const nextMessage = (action) => transport.waitFor((message) => (
+      message.type === 'text' && JSON.parse(message.body).action === action
+    )).then((message) => JSON.parse(message.body));
+
+    const upload = (fileName, content, extra = {}) => sendCommand(transport, {
+      action: 'upload',
+      fileName,
+      data: Buffer.from(content).toString('base64'),
+      ...extra
+    });
+
+    const describeChanges = (message) => message.changes.map((change) => [change.type, change.path, change.from, change.source]);
+
+    it('reports changes made through commands', async () => {
+      const watch = await sendCommand(transport, { action: 'watch', recursive: true, requestId: 'w1' });
+
+      const created = nextMessage('change');
+      await upload('a.txt', 'hello');
+      const first = await created;
+
+      const renamed = nextMessage('change');
+      await sendCommand(transport, { action: 'rename', oldName: 'a.txt', newName: 'b.txt' });
+      const second = await renamed;
+
+      assert.equal(watch.status, 'success');
+      assert.equal(watch.ttl, 5 * 60 * 1000);
+      assert.equal(watch.recursive, true);
+      assert.equal(first.subscriptionId, watch.subscriptionId);
+      assert.equal(first.status, 'info');
+      assert.deepEqual(describeChanges(first), [['created', 'a.txt', undefined, 'command']]);
+      assert.deepEqual(describeChanges(second), [['renamed', 'b.txt', 'a.txt', 'command']]);
+    });
+
+    it('reports changes made on the device itself', async () => {
+      await writeFile('docs/a.txt', 'hello');
+      await sendCommand(transport, { action: 'watch', path: 'docs' });
+
+      const changed = nextMessage('change');
+      await fs.writeFile(path.join(storageDir, 'docs', 'b.txt'), 'local');
+      const message = await changed;
+
+      assert.equal(message.path, 'docs');
+      assert.deepEqual(describeChanges(message), [['created', 'docs/b.txt', undefined, 'local']]);
+    });
+
+    it('reports changes made on the device itself in subdirectories', async () => {
+      await writeFile('docs/sub/a.txt', 'hello');
+      await sendCommand(transport, { action: 'watch', recursive: true });
+
+      const changed = nextMessage('change');
+      await fs.writeFile(path.join(storageDir, 'docs', 'sub', 'b.txt'), 'local');
+      const message = await changed;
+
+      assert.deepEqual(describeChanges(message), [['created', 'docs/sub/b.txt', undefined, 'local']]);
+    });
+
+    it('shares one watcher between the subscriptions of a directory', async () => {
+      await writeFile('docs/a.txt', 'hello');
+      const first = await sendCommand(transport, { action: 'watch', path: 'docs' });
+      const second = await sendCommand(transport, { action: 'watch', path: 'docs' }, '0x2222');
+      assert.equal(context.drive.changes.watchers.size, 1);
+
+      await sendCommand(transport, { action: 'unwatch', subscriptionId: first.subscriptionId });
+      const changed = nextMessage('change');
+      await fs.writeFile(path.join(storageDir, 'docs', 'b.txt'), 'local');
+      const message = await changed;
+
+      assert.equal(message.subscriptionId, second.subscriptionId);
+      assert.equal(context.drive.changes.watchers.size, 1);
+      await sendCommand(transport, { action: 'unwatch', subscriptionId: second.subscriptionId }, '0x2222');
+      assert.equal(context.drive.changes.watchers.size, 0);
+    });
+
+    it('only reports direct children unless recursive', async () => {
+      await writeFile('docs/a.txt', 'hello');
+      await sendCommand(transport, { action: 'watch' });
+
+      const changed = nextMessage('change');
+      await upload('a.txt', 'deep', { path: 'docs' });
+      await upload('b.txt', 'top');
+      const message = await changed;
+
+      assert.deepEqual(describeChanges(message), [['created', 'b.txt', undefined, 'command']]);
+    });
+
+    it('debounces changes into batches', async () => {
+      context.drive.changes.debounce = 200;
+      context.drive.changes.maxDelay = 1000;
+      await sendCommand(transport, { action: 'watch' });
+
+      for (const name of ['a.txt', 'b.txt', 'c.txt', 'd.txt']) {
+        await upload(name, name);
+      }
+      await sendCommand(transport, { action: 'delete', fileName: 'd.txt', permanent: true });
+      await new Promise((resolve) => setTimeout(resolve, 400));
+
+      // d.txt came and went before the changes were sent
+      const messages = transport.responses().filter((response) => response.action === 'change');
+      assert.deepEqual(messages.map((message) => message.changes.map((change) => change.path)), [['a.txt', 'b.txt'], ['c.txt']]);
+    });
+
+    it('renews, ends and expires subscriptions', async () => {
+      const watch = await sendCommand(transport, { action: 'watch', ttl: 10000 });
+
+      const renewed = await sendCommand(transport, { action: 'watch', subscriptionId: watch.subscriptionId, ttl: 50 });
+      const foreign = await sendCommand(transport, { action: 'unwatch', subscriptionId: watch.subscriptionId }, '0x2222');
+      const expired = await nextMessage('watch-expired');
+      const unwatch = await sendCommand(transport, { action: 'unwatch', subscriptionId: watch.subscriptionId, requestId: 'w2' });
+
+      assert.equal(renewed.ttl, 50);
+      assert.ok(new Date(renewed.expiresAt) < new Date(watch.expiresAt));
+      assert.equal(foreign.message, 'Subscription not found');
+      assert.equal(expired.subscriptionId, watch.subscriptionId);
+      assert.deepEqual(unwatch, {
+        action: 'unwatch',
+        status: 'error',
+        code: 'not-found',
+        field: 'subscriptionId',
+        message: 'Subscription not found',
+        deviceId: 'test-drive',
+        requestId: 'w2'
+      });
+    });
+
+    it('stops reporting after unwatch', async () => {
+      const watch = await sendCommand(transport, { action: 'watch' });
+
+      const unwatch = await sendCommand(transport, { action: 'unwatch', subscriptionId: watch.subscriptionId });
+      await upload('a.txt', 'hello');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      assert.equal(unwatch.status, 'success');
+      assert.ok(!transport.responses().some((response) => response.action === 'change'));
+    });
+
+    it('refuses to watch a missing directory', async () => {
+      const response = await sendCommand(transport, { action: 'watch', path: 'nope', requestId: 'w3' });
+
+      assert.deepEqual(response, {
+        action: 'watch',
+        status: 'error',
+        code: 'not-found',
+        field: 'path',
+        message: 'Directory not found',
+        deviceId: 'test-drive',
+        requestId: 'w3'
+      });
+    });
+  });
+
+  describe('mkdir', () => {
+    it('creates nested directories', async () => {
+      const response = await sendCommand(transport, { action: 'mkdir', path: 'a', dirName: 'b', requestId: 'm1' });
+
+      assert.deepEqual(response, {
+        action: 'mkdir',
+        status: 'success',
+        dirName: 'b',
+        path: 'a',
+        deviceId: 'test-drive',
+        requestId: 'm1'
+      });
+      assert.ok((await fs.stat(path.join(storageDir, 'a', 'b'))).isDirectory());
+    });
+
+    it('fails without dirName', async () => {
+      const response = await sendCommand(transport, { action: 'mkdir', requestId: 'm2' });
+
+      assert.deepEqual(response, {
+        action: 'mkdir',
+        status: 'error',
+        code: 'missing-field',
+        field: 'dirName',
+        message: 'Missing dirName',
+        deviceId: 'test-drive',
+        requestId: 'm2'
+      });
+    });
+  });
+
+  describe('info', () => {
+    it('describes a file', async () => {
+      const stats = await writeFile('a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'info', fileName: 'a.txt', requestId: 'i1' });
+
+      assert.deepEqual(response, {
+        action: 'info',
+        status: 'success',
+        fileName: 'a.txt',
+        path: '',
+        size: 5,
+        isDirectory: false,
+        created: stats.birthtime.toISOString(),
+        modified: stats.mtime.toISOString(),
+        hash: sha256('hello'),
+        deviceId: 'test-drive',
+        requestId: 'i1'
+      });
+    });
+
+    it('fails for a missing file', async () => {
+      const response = await sendCommand(transport, { action: 'info', fileName: 'nope', requestId: 'i2' });
+
+      assert.deepEqual(response, {
+        action: 'info',
+        status: 'error',
+        code: 'not-found',
+        field: 'fileName',
+        message: 'File not found',
+        deviceId: 'test-drive',
+        requestId: 'i2'
+      });
+    });
+  });
+
+  describe('rename', () => {
+    it('renames a file', async () => {
+      await writeFile('a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'rename', oldName: 'a.txt', newName: 'b.txt', requestId: 'r1' });
+
+      assert.deepEqual(response, {
+        action: 'rename',
+        status: 'success',
+        oldName: 'a.txt',
+        newName: 'b.txt',
+        path: '',
+        isDirectory: false,
+        size: 5,
+        deviceId: 'test-drive',
+        requestId: 'r1'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'b.txt'), 'utf8'), 'hello');
+    });
+
+    it('fails when the destination exists', async () => {
+      await writeFile('a.txt', 'hello');
+      await writeFile('b.txt', 'world');
+
+      const response = await sendCommand(transport, { action: 'rename', oldName: 'a.txt', newName: 'b.txt', requestId: 'r2' });
+
+      assert.deepEqual(response, {
+        action: 'rename',
+        status: 'error',
+        code: 'already-exists',
+        field: 'newName',
+        message: 'Destination already exists',
+        deviceId: 'test-drive',
+        requestId: 'r2'
+      });
+    });
+
+    it('fails when the source is missing', async () => {
+      const response = await sendCommand(transport, { action: 'rename', oldName: 'a.txt', newName: 'b.txt', requestId: 'r3' });
+
+      assert.deepEqual(response, {
+        action: 'rename',
+        status: 'error',
+        code: 'not-found',
+        field: 'oldName',
+        message: 'Source file/folder not found',
+        deviceId: 'test-drive',
+        requestId: 'r3'
+      });
+    });
+
+    it('fails without names', async () => {
+      const response = await sendCommand(transport, { action: 'rename', oldName: 'a.txt', requestId: 'r4' });
+
+      assert.deepEqual(response, {
+        action: 'rename',
+        status: 'error',
+        code: 'missing-field',
+        field: 'newName',
+        message: 'Missing newName',
+        deviceId: 'test-drive',
+        requestId: 'r4'
+      });
+    });
+  });
+
+  describe('copy and move', () => {
+    it('copies a directory tree into another directory', async () => {
+      await writeFile('src/dir/a.txt', 'hello');
+      await writeFile('src/dir/sub/b.txt', 'world');
+
+      const response = await sendCommand(transport, {
+        action: 'copy',
+        path: 'src',
+        fileName: 'dir',
+        destinationPath: 'dst/nested',
+        requestId: 'cp1'
+      });
+
+      assert.deepEqual(response, {
+        action: 'copy',
+        status: 'success',
+        fileName: 'dir',
+        path: 'src',
+        destinationPath: 'dst/nested',
+        destinationName: 'dir',
+        isDirectory: true,
+        files: 2,
+        size: 10,
+        deviceId: 'test-drive',
+        requestId: 'cp1'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'dst/nested/dir/sub/b.txt'), 'utf8'), 'world');
+      assert.equal(await fs.readFile(path.join(storageDir, 'src/dir/a.txt'), 'utf8'), 'hello');
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'dst/nested')), ['dir']);
+    });
+
+    it('moves a file to another directory', async () => {
+      await writeFile('a/file.txt', 'hello');
+
+      const response = await sendCommand(transport, {
+        action: 'move',
+        path: 'a',
+        fileName: 'file.txt',
+        destinationPath: 'b',
+        destinationName: 'renamed.txt'
+      });
+
+      assert.equal(response.status, 'success');
+      assert.equal(await fs.readFile(path.join(storageDir, 'b/renamed.txt'), 'utf8'), 'hello');
+      await assert.rejects(fs.access(path.join(storageDir, 'a/file.txt')));
+    });
+
+    it('fails on an existing destination by default', async () => {
+      await writeFile('a.txt', 'new');
+      await writeFile('b/a.txt', 'old');
+
+      const response = await sendCommand(transport, { action: 'move', fileName: 'a.txt', destinationPath: 'b', requestId: 'cp2' });
+
+      assert.deepEqual(response, {
+        action: 'move',
+        status: 'error',
+        code: 'already-exists',
+        field: 'destinationName',
+        message: 'Destination already exists',
+        deviceId: 'test-drive',
+        requestId: 'cp2'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'b/a.txt'), 'utf8'), 'old');
+    });
+
+    it('overwrites an existing destination when asked to', async () => {
+      await writeFile('dir/a.txt', 'new');
+      await writeFile('b/dir/old.txt', 'old');
+
+      const response = await sendCommand(transport, { action: 'copy', fileName: 'dir', destinationPath: 'b', onConflict: 'overwrite' });
+
+      assert.equal(response.status, 'success');
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'b')), ['dir']);
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'b/dir')), ['a.txt']);
+    });
+
+    it('picks a free name with the suffix policy', async () => {
+      await writeFile('a.txt', 'hello');
+
+      const first = await sendCommand(transport, { action: 'copy', fileName: 'a.txt', destinationPath: '', onConflict: 'suffix' });
+      const second = await sendCommand(transport, { action: 'copy', fileName: 'a.txt', destinationPath: '', onConflict: 'suffix' });
+
+      assert.equal(first.destinationName, 'a (1).txt');
+      assert.equal(second.destinationName, 'a (2).txt');
+    });
+
+    it('refuses to copy a directory into itself', async () => {
+      await writeFile('dir/a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'copy', fileName: 'dir', destinationPath: 'dir/sub' });
+
+      assert.equal(response.message, 'Destination is inside the source');
+    });
+
+    it('reports progress while copying', async () => {
+      context.drive.config.progressInterval = 0;
+      await writeFile('dir/a.txt', 'hello');
+      await writeFile('dir/b.txt', 'world');
+
+      await sendCommand(transport, { action: 'copy', fileName: 'dir', destinationPath: 'dst', requestId: 'cp3' });
+      const progress = transport.responses().filter((body) => body.action === 'copy-progress');
+
+      assert.deepEqual(progress.map((body) => body.copiedFiles), [1, 2]);
+      assert.deepEqual(progress[1], {
+        action: 'copy-progress',
+        status: 'info',
+        copiedFiles: 2,
+        totalFiles: 2,
+        copiedBytes: 10,
+        totalBytes: 10,
+        progress: 100,
+        complete: false,
+        deviceId: 'test-drive',
+        requestId: 'cp3'
+      });
+    });
+
+    it('leaves the destination untouched when a copy fails partway', async (t) => {
+      await writeFile('dir/a.txt', 'hello');
+      await writeFile('dir/b.txt', 'world');
+      await writeFile('dst/dir/old.txt', 'old');
+
+      const copyFile = fs.copyFile;
+      let calls = 0;
+      t.mock.method(fs, 'copyFile', (...args) => {
+        calls++;
+        return calls === 2 ? Promise.reject(new Error('disk full')) : copyFile(...args);
+      });
+
+      const response = await sendCommand(transport, { action: 'copy', fileName: 'dir', destinationPath: 'dst', onConflict: 'overwrite', requestId: 'cp4' });
+
+      assert.deepEqual(response, {
+        action: 'copy',
+        status: 'error',
+        code: 'internal-error',
+        message: 'Error during copy: disk full',
+        deviceId: 'test-drive',
+        requestId: 'cp4'
+      });
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'dst')), ['dir']);
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'dst/dir')), ['old.txt']);
+    });
+  });
+
+  describe('upload sessions', () => {
+    it('assembles parts sent out of order', async () => {
+      const data = Buffer.from('hello world');
+      const begin = await sendCommand(transport, { action: 'upload-begin', fileName: 'a.txt', size: data.length, hash: sha256(data) });
+
+      await sendCommand(transport, { action: 'upload-append', sessionId: begin.sessionId, offset: 6, data: data.subarray(6).toString('base64') });
+      const status = await sendCommand(transport, { action: 'upload-status', sessionId: begin.sessionId });
+      await sendCommand(transport, { action: 'upload-append', sessionId: begin.sessionId, offset: 0, data: data.subarray(0, 6).toString('base64') });
+      const commit = await sendCommand(transport, { action: 'upload-commit', sessionId: begin.sessionId });
+
+      assert.deepEqual(status.ranges, [[6, 11]]);
+      assert.equal(status.complete, false);
+      assert.equal(commit.status, 'success');
+      assert.equal(commit.hash, sha256(data));
+      assert.equal(await fs.readFile(path.join(storageDir, 'a.txt'), 'utf8'), 'hello world');
+    });
+
+    it('refuses to commit an incomplete upload', async () => {
+      const begin = await sendCommand(transport, { action: 'upload-begin', fileName: 'a.txt', size: 10 });
+
+      const commit = await sendCommand(transport, { action: 'upload-commit', sessionId: begin.sessionId, requestId: 's1' });
+
+      assert.deepEqual(commit, {
+        action: 'upload-commit',
+        status: 'error',
+        code: 'incomplete',
+        message: 'Received 0 of 10 bytes',
+        ranges: [],
+        deviceId: 'test-drive',
+        requestId: 's1'
+      });
+    });
+
+    it('hides sessions from other senders', async () => {
+      const begin = await sendCommand(transport, { action: 'upload-begin', fileName: 'a.txt', size: 10 });
+
+      const status = await sendCommand(transport, { action: 'upload-status', sessionId: begin.sessionId }, '0x2222');
+
+      assert.equal(status.message, 'Upload session not found');
+    });
+
+    it('keeps the parts of unfinished uploads out of reach', async () => {
+      const begin = await sendCommand(transport, { action: 'upload-begin', fileName: 'a.txt', size: 10 });
+      const partName = `${begin.sessionId}.part`;
+
+      const list = await sendCommand(transport, { action: 'list', recursive: true });
+      const search = await sendCommand(transport, { action: 'search', pattern: '*.part' });
+      const download = await sendCommand(transport, { action: 'download', path: 'temp/uploads', fileName: partName });
+      const deleted = await sendCommand(transport, { action: 'delete', path: 'temp', fileName: 'uploads' }, '0x2222');
+
+      assert.deepEqual(list.files, []);
+      assert.deepEqual(search.files, []);
+      assert.equal(download.code, 'invalid-path');
+      assert.equal(deleted.code, 'invalid-path');
+      await fs.access(path.join(storageDir, 'temp', 'uploads', partName));
+    });
+  });
+
+  describe('archives', () => {
+    // Packs the given files into an archive and returns it base64 encoded
+    const packArchive = async (files, format = 'zip') => {
+      const sourceDir = path.join(context.rootDir, 'source');
+      const archivePath = path.join(context.rootDir, `source.${format}`);
+
+      await fs.rm(sourceDir, { recursive: true, force: true });
+      for (const [relativePath, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(sourceDir, 'pack', relativePath)), { recursive: true });
+        await fs.writeFile(path.join(sourceDir, 'pack', relativePath), content);
+      }
+      await createArchive(path.join(sourceDir, 'pack'), archivePath, format);
+
+      return fs.readFile(archivePath);
+    };
+
+    const uploadArchive = (data, extra = {}) => sendCommand(transport, {
+      action: 'upload',
+      fileName: 'pack.zip',
+      data: data.toString('base64'),
+      extract: true,
+      ...extra
+    });
+
+    for (const format of ['zip', 'tar.gz']) {
+      it(`downloads a directory as ${format}`, async () => {
+        await writeFile('docs/a.txt', 'hello');
+        await writeFile('docs/sub/b.txt', 'world');
+
+        const response = await sendCommand(transport, { action: 'download', fileName: 'docs', format, requestId: 'a1' });
+        const file = transport.published.find((message) => message.type === 'file');
+        const archivePath = path.join(context.rootDir, `docs.${format}`);
+        await fs.writeFile(archivePath, Buffer.from(file.body, 'base64'));
+        await extractArchive(archivePath, path.join(context.rootDir, 'out'));
+
+        assert.equal(response.status, 'success');
+        assert.equal(response.fileName, `docs.${format}`);
+        assert.equal(response.format, format);
+        assert.equal(response.files, 2);
+        assert.equal(response.contentSize, 10);
+        assert.equal(file.fileName, `docs.${format}`);
+        assert.equal(await fs.readFile(path.join(context.rootDir, 'out', 'docs', 'sub', 'b.txt'), 'utf8'), 'world');
+        assert.deepEqual(await fs.readdir(path.join(storageDir, 'temp')), []);
+      });
+    }
+
+    it('rejects an unknown archive format', async () => {
+      await writeFile('docs/a.txt', 'hello');
+
+      const response = await sendCommand(transport, { action: 'download', fileName: 'docs', format: 'rar', requestId: 'a2' });
+
+      assert.deepEqual(response, {
+        action: 'download',
+        status: 'error',
+        code: 'invalid-field',
+        field: 'format',
+        message: 'format must be one of zip, tar.gz',
+        deviceId: 'test-drive',
+        requestId: 'a2'
+      });
+    });
+
+    it('extracts an uploaded archive into the target directory', async () => {
+      const data = await packArchive({ 'a.txt': 'hello', 'sub/b.txt': 'world' }, 'tar.gz');
+
+      const response = await uploadArchive(data, { path: 'docs', requestId: 'a3' });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'success',
+        path: 'docs',
+        extracted: { format: 'tar.gz', files: 2, directories: 2, size: 10 },
+        deviceId: 'test-drive',
+        requestId: 'a3'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'docs', 'pack', 'sub', 'b.txt'), 'utf8'), 'world');
+      await assert.rejects(fs.access(path.join(storageDir, 'docs', 'pack.zip')));
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'temp')), []);
+    });
+
+    it('leaves the target untouched when an entry already exists', async () => {
+      await writeFile('pack/b.txt', 'old');
+      const data = await packArchive({ 'a.txt': 'hello', 'b.txt': 'new' });
+
+      const response = await uploadArchive(data, { requestId: 'a4' });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'error',
+        code: 'already-exists',
+        message: '"pack/b.txt" already exists',
+        deviceId: 'test-drive',
+        requestId: 'a4'
+      });
+      await assert.rejects(fs.access(path.join(storageDir, 'pack', 'a.txt')));
+    });
+
+    it('overwrites existing entries and keeps their versions', async () => {
+      await writeFile('pack/b.txt', 'old');
+      const data = await packArchive({ 'b.txt': 'new' });
+
+      const response = await uploadArchive(data, { onConflict: 'overwrite' });
+      const versions = await sendCommand(transport, { action: 'versions', path: 'pack', fileName: 'b.txt' });
+
+      assert.equal(response.status, 'success');
+      assert.equal(await fs.readFile(path.join(storageDir, 'pack', 'b.txt'), 'utf8'), 'new');
+      assert.equal(versions.versions.length, 1);
+    });
+
+    it('refuses archives that expand beyond maxExtractSize', async () => {
+      context.drive.config.maxExtractSize = 1000;
+      const data = await packArchive({ 'zeros.bin': Buffer.alloc(100000) });
+
+      const response = await uploadArchive(data);
+
+      assert.equal(response.code, 'archive-too-large');
+      await assert.rejects(fs.access(path.join(storageDir, 'pack')));
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'temp')), []);
+    });
+
+    it('refuses archives that do not fit into the quota', async () => {
+      await context.cleanup();
+      context = await createTestDrive({ pathQuotas: { docs: 500 } });
+      transport = context.transport;
+      storageDir = context.storageDir;
+      const data = await packArchive({ 'zeros.bin': Buffer.alloc(5000) });
+
+      const response = await uploadArchive(data, { path: 'docs', requestId: 'a5' });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'error',
+        code: 'quota-exceeded',
+        message: 'Archive does not fit into the 500 bytes left for "docs"',
+        deviceId: 'test-drive',
+        requestId: 'a5'
+      });
+    });
+
+    it('refuses archives that do not fit into the quota themselves before unpacking them', async () => {
+      await context.cleanup();
+      context = await createTestDrive({ pathQuotas: { docs: 100 } });
+      transport = context.transport;
+      storageDir = context.storageDir;
+      const data = await packArchive({ 'a.txt': 'hello' });
+
+      const response = await uploadArchive(data, { path: 'docs' });
+      const begin = await sendCommand(transport, { action: 'upload-begin', path: 'docs', fileName: 'pack.zip', size: data.length, extract: true });
+
+      assert.equal(response.code, 'quota-exceeded');
+      assert.match(response.message, /Quota of 100 bytes for "docs" would be exceeded/);
+      assert.equal(begin.code, 'quota-exceeded');
+    });
+
+    it('does not replace files with directories of the archive', async () => {
+      await writeFile('pack/sub', 'a file');
+      const data = await packArchive({ 'sub/a.txt': 'hello' });
+
+      const response = await uploadArchive(data, { onConflict: 'overwrite', requestId: 'a6' });
+
+      assert.deepEqual(response, {
+        action: 'upload',
+        status: 'error',
+        code: 'already-exists',
+        message: '"pack/sub" already exists and is not a directory',
+        deviceId: 'test-drive',
+        requestId: 'a6'
+      });
+      assert.equal(await fs.readFile(path.join(storageDir, 'pack', 'sub'), 'utf8'), 'a file');
+    });
+
+    it('reports created directories once they exist', async () => {
+      const notified = [];
+      const notifyChange = context.drive.notifyChange;
+      context.drive.notifyChange = async function (type, changedPath, details) {
+        notified.push([type, path.relative(storageDir, changedPath), await fs.stat(changedPath).then(() => true, () => false)]);
+        return notifyChange.call(this, type, changedPath, details);
+      };
+
+      const response = await uploadArchive(await packArchive({ 'sub/a.txt': 'hello' }));
+
+      assert.equal(response.status, 'success');
+      assert.deepEqual(notified.filter(([type]) => type === 'created').map(([, changed, existed]) => [changed, existed]), [
+        ['pack', true],
+        [path.join('pack', 'sub'), true],
+        [path.join('pack', 'sub', 'a.txt'), true]
+      ]);
+    });
+
+    it('rejects uploads that are no archives', async () => {
+      const response = await uploadArchive(Buffer.from('plain text'));
+
+      assert.equal(response.code, 'invalid-archive');
+    });
+
+    it('extracts archives sent through an upload session', async () => {
+      const data = await packArchive({ 'a.txt': 'hello' });
+      const begin = await sendCommand(transport, {
+        action: 'upload-begin',
+        path: 'docs',
+        fileName: 'pack.zip',
+        size: data.length,
+        extract: true
+      });
+
+      await sendCommand(transport, { action: 'upload-append', sessionId: begin.sessionId, offset: 0, data: data.toString('base64') });
+      const commit = await sendCommand(transport, { action: 'upload-commit', sessionId: begin.sessionId });
+
+      assert.equal(commit.status, 'success');
+      assert.equal(commit.extracted.files, 1);
+      assert.equal(await fs.readFile(path.join(storageDir, 'docs', 'pack', 'a.txt'), 'utf8'), 'hello');
+    });
+  });
+
+  describe('processCommand', () => {
+    it('rejects unknown actions', async () => {
+      const response = await sendCommand(transport, { action: 'explode', requestId: 'c1' });
+
+      assert.deepEqual(response, {
+        action: 'explode',
+        status: 'error',
+        code: 'unknown-action',
+        field: 'action',
+        message: 'Unknown action explode',
+        deviceId: 'test-drive',
+        requestId: 'c1'
+      });
+    });
+
+    it('checks fields against the schema of the action before running it', async () => {
+      const response = await sendCommand(transport, { action: 'mkdir', dirName: 7, requestId: 'c5' });
+
+      assert.deepEqual(response, {
+        action: 'mkdir',
+        status: 'error',
+        code: 'invalid-field',
+        field: 'dirName',
+        message: 'dirName must be a string',
+        deviceId: 'test-drive',
+        requestId: 'c5'
+      });
+      await assert.rejects(fs.access(path.join(storageDir, '7')));
+    });
+
+    it('rejects protocol versions it does not speak', async () => {
+      const response = await sendCommand(transport, { action: 'ping', protocolVersion: 99, requestId: 'c6' });
+
+      assert.deepEqual(response, {
+        action: 'ping',
+        status: 'error',
+        code: 'unsupported-version',
+        field: 'protocolVersion',
+        message: 'Protocol version 99 is not supported, use one of 1',
+        supportedVersions: [1],
+        protocolVersion: 99,
+        deviceId: 'test-drive',
+        requestId: 'c6'
+      });
+    });
+
+    it('echoes the protocol version of the command', async () => {
+      const response = await sendCommand(transport, { action: 'ping', protocolVersion: 1, requestId: 'c7' });
+
+      assert.equal(response.status, 'success');
+      assert.equal(response.protocolVersion, 1);
+    });
+
+    it('reports malformed JSON with the envelope requestId', async () => {
+      const response = transport.waitFor((message) => message.type === 'text');
+      transport.deliver({ type: 'text', requestId: 'c2', body: '{not json', deviceId: 'test-client' });
+
+      const body = JSON.parse((await response).body);
+      assert.equal(body.status, 'error');
+      assert.equal(body.code, 'invalid-command');
+      assert.equal(body.requestId, 'c2');
+      assert.match(body.message, /^Command is not valid JSON: /);
+    });
+
+    it('rejects commands that are no objects', async () => {
+      const response = transport.waitFor((message) => message.type === 'text');
+      transport.deliver({ type: 'text', requestId: 'c8', body: '[1, 2]', deviceId: 'test-client' });
+
+      assert.deepEqual(JSON.parse((await response).body), {
+        status: 'error',
+        code: 'invalid-command',
+        message: 'Command must be a JSON object',
+        deviceId: 'test-drive',
+        requestId: 'c8'
+      });
+    });
+
+    it('ignores non-text messages', async () => {
+      await context.drive.processCommand({ type: 'file', body: '{}' });
+
+      assert.deepEqual(transport.published, []);
+    });
+
+    it('replays the cached response for a repeated requestId', async () => {
+      const first = await sendCommand(transport, { action: 'mkdir', dirName: 'a', requestId: 'c3' });
+      await fs.rm(path.join(storageDir, 'a'), { recursive: true });
+
+      const second = await sendCommand(transport, { action: 'mkdir', dirName: 'a', requestId: 'c3' });
+
+      assert.deepEqual(second, first);
+      await assert.rejects(fs.access(path.join(storageDir, 'a')));
+    });
+
+    it('runs a repeated download again to send the file once more', async () => {
+      await writeFile('a.txt', 'hello');
+
+      await sendCommand(transport, { action: 'download', fileName: 'a.txt', requestId: 'c5' });
+      const second = await sendCommand(transport, { action: 'download', fileName: 'a.txt', requestId: 'c5' });
+      const files = transport.published.filter((message) => message.type === 'file');
+
+      assert.equal(second.status, 'success');
+      assert.deepEqual(files.map((file) => [file.requestId, Buffer.from(file.body, 'base64').toString()]), [
+        ['c5', 'hello'],
+        ['c5', 'hello']
+      ]);
+    });
+
+    it('replays to the caller of runCommand', async () => {
+      const command = { action: 'mkdir', dirName: 'a', requestId: 'c6', senderId: SENDER };
+      const first = await context.drive.runCommand(command);
+      const second = await context.drive.runCommand(command);
+
+      assert.equal(first.status, 'success');
+      assert.deepEqual(second, first);
+      assert.deepEqual(transport.published, []);
+    });
+
+    it('does not share requestIds between senders', async () => {
+      await sendCommand(transport, { action: 'mkdir', dirName: 'a', requestId: 'c4' });
+      await fs.rm(path.join(storageDir, 'a'), { recursive: true });
+
+      await sendCommand(transport, { action: 'mkdir', dirName: 'a', requestId: 'c4' }, '0x2222');
+
+      await fs.access(path.join(storageDir, 'a'));
+    });
+  });
+
+  describe('scheduling', () => {
+    it('holds back a rename until a download of the same file is done', async () => {
+      context.drive.config.downloadSliceSize = 2;
+      context.drive.config.downloadSliceDelay = 10;
+      await writeFile('a.txt', 'hello world');
+
+      const order = [];
+      const started = transport.waitFor((message) => message.type === 'file');
+      const download = sendCommand(transport, { action: 'download', fileName: 'a.txt', stream: true })
+        .then((response) => { order.push('download'); return response; });
+      await started;
+
+      const rename = sendCommand(transport, { action: 'rename', oldName: 'a.txt', newName: 'b.txt' })
+        .then((response) => { order.push('rename'); return response; });
+      const mkdir = sendCommand(transport, { action: 'mkdir', dirName: 'other' })
+        .then((response) => { order.push('mkdir'); return response; });
+
+      const [downloaded, renamed, created] = await Promise.all([download, rename, mkdir]);
+
+      assert.equal(downloaded.status, 'success');
+      assert.equal(renamed.status, 'success');
+      assert.equal(created.status, 'success');
+      assert.deepEqual(order, ['mkdir', 'download', 'rename']);
+    });
+
+    it('answers busy when the queue is full and takes the retry', async () => {
+      context.drive.scheduler.maxQueued = 0;
+
+      const response = await sendCommand(transport, { action: 'mkdir', dirName: 'a', requestId: 's1' });
+
+      assert.deepEqual(response, {
+        action: 'mkdir',
+        status: 'error',
+        code: 'busy',
+        message: 'Drive is busy, 0 commands are waiting',
+        retryAfter: context.drive.config.busyRetryAfter,
+        deviceId: 'test-drive',
+        requestId: 's1'
+      });
+      await assert.rejects(fs.access(path.join(storageDir, 'a')));
+
+      context.drive.scheduler.maxQueued = 10;
+      const retried = await sendCommand(transport, { action: 'mkdir', dirName: 'a', requestId: 's1' });
+
+      assert.equal(retried.status, 'success');
+      await fs.access(path.join(storageDir, 'a'));
+    });
+
+    it('still answers ping while busy', async () => {
+      context.drive.scheduler.maxQueued = 0;
+
+      const response = await sendCommand(transport, { action: 'ping' });
+
+      assert.equal(response.status, 'success');
+    });
+  });
+
+  describe('encryption', () => {
+    const key = generateKey();
+    const client = new PayloadCipher({ key });
+
+    beforeEach(async () => {
+      await context.cleanup();
+      context = await createTestDrive({ downloadSliceDelay: 0, encryption: { key } });
+      transport = context.transport;
+      storageDir = context.storageDir;
+    });
+
+    const sendSealed = (command, seal = (message) => client.seal(message)) => {
+      const response = transport.waitFor((message) => message.type === 'text');
+      transport.deliver(seal({ type: 'text', requestId: command.requestId, body: JSON.stringify(command) }));
+      return response;
+    };
+
+    it('runs sealed commands and seals the responses', async () => {
+      const sealed = await sendSealed({ action: 'mkdir', dirName: 'secret-plans', requestId: 'e1' });
+      const response = JSON.parse(client.open(sealed).message.body);
+
+      assert.equal(sealed.encryption, 'aes-256-gcm');
+      assert.ok(!JSON.stringify(sealed).includes('secret-plans'));
+      assert.equal(response.status, 'success');
+      assert.equal(response.requestId, 'e1');
+      await fs.access(path.join(storageDir, 'secret-plans'));
+    });
+
+    it('seals downloaded files', async () => {
+      await writeFile('a.txt', 'hello');
+
+      const file = transport.waitFor((message) => message.type === 'file');
+      await sendSealed({ action: 'download', fileName: 'a.txt', requestId: 'e2' });
+      const sealed = await file;
+      const { message } = client.open(sealed);
+
+      assert.equal(sealed.requestId, 'e2');
+      assert.equal(sealed.fileName, undefined);
+      assert.equal(message.fileName, 'a.txt');
+      assert.equal(Buffer.from(message.body, 'base64').toString(), 'hello');
+    });
+
+    it('answers plaintext commands with an error', async () => {
+      const response = await sendCommand(transport, { action: 'mkdir', dirName: 'a', requestId: 'e3' });
+
+      assert.deepEqual(response, {
+        status: 'error',
+        code: 'encryption-required',
+        message: 'Messages must be encrypted',
+        deviceId: 'test-drive',
+        requestId: 'e3'
+      });
+      await assert.rejects(fs.access(path.join(storageDir, 'a')));
+    });
+
+    it('rejects tampered commands', async () => {
+      const tamper = (message) => {
+        const sealed = client.seal(message);
+        const body = Buffer.from(sealed.body, 'base64');
+        body[0] ^= 1;
+        return { ...sealed, body: body.toString('base64') };
+      };
+
+      const response = JSON.parse((await sendSealed({ action: 'mkdir', dirName: 'a', requestId: 'e4' }, tamper)).body);
+
+      assert.equal(response.code, 'decryption-failed');
+      assert.equal(response.requestId, 'e4');
+      await assert.rejects(fs.access(path.join(storageDir, 'a')));
+    });
+
+    it('does not answer what it cannot read from other drives', async () => {
+      transport.deliver({ type: 'text', body: JSON.stringify({ action: 'ping', status: 'success' }) });
+      transport.deliver(new PayloadCipher({ key: generateKey() }).seal({ type: 'text', body: '{}' }));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      assert.deepEqual(transport.published, []);
+    });
+
+    it('answers plaintext as plaintext when encryption is optional', async () => {
+      context.drive.cipher.required = false;
+
+      const response = await sendCommand(transport, { action: 'ping' });
+      const sealed = await sendSealed({ action: 'ping', requestId: 'e5' });
+
+      assert.equal(response.status, 'success');
+      assert.equal(JSON.parse(client.open(sealed).message.body).status, 'success');
+    });
+
+    it('replays the answers to repeated requests for the same peer', async () => {
+      const driveKeys = generateKeyPair();
+      const clientKeys = generateKeyPair();
+      const peer = new PayloadCipher({ privateKey: clientKeys.privateKey, peers: [driveKeys.publicKey] });
+      await context.cleanup();
+      context = await createTestDrive({
+        encryption: { privateKey: driveKeys.privateKey, peers: [clientKeys.publicKey, generateKeyPair().publicKey] }
+      });
+      transport = context.transport;
+      const seal = (message) => peer.seal(message);
+
+      const first = await sendSealed({ action: 'mkdir', dirName: 'a', requestId: 'e6' }, seal);
+      const replayed = await sendSealed({ action: 'mkdir', dirName: 'a', requestId: 'e6' }, seal);
+
+      assert.equal(transport.published.length, 2);
+      assert.deepEqual(peer.open(replayed).message.body, peer.open(first).message.body);
+    });
+  });
+
+  describe('compression', () => {
+    // Resolves with the first published message of a type, its body decoded
+    const deliver = (message, type = 'text') => {
+      const published = transport.waitFor((candidate) => candidate.type === type);
+      transport.deliver(message);
+      return published;
+    };
+    const command = (body) => ({ type: 'text', requestId: body.requestId, body: JSON.stringify(body) });
+
+    it('compresses responses with an encoding the command accepts', async () => {
+      for (let i = 0; i < 30; i++) await writeFile(`docs/file-${i}.txt`, 'x');
+
+      const message = await deliver(command({ action: 'list', path: 'docs', acceptEncoding: ['zstd', 'gzip'], requestId: 'z1' }));
+      const response = JSON.parse(decodeMessage(message).body);
+
+      assert.equal(message.encoding, 'gzip');
+      assert.ok(message.encodedSize < message.decodedSize);
+      assert.deepEqual(message.acceptEncoding, ['br', 'gzip']);
+      assert.equal(response.requestId, 'z1');
+      assert.equal(response.files.length, 30);
+    });
+
+    it('reports the sizes of uncompressed responses too', async () => {
+      const message = await deliver(command({ action: 'ping', acceptEncoding: ['br'] }));
+
+      assert.equal(message.encoding, 'identity');
+      assert.equal(message.decodedSize, message.encodedSize);
+    });
+
+    it('leaves responses alone for commands without acceptEncoding', async () => {
+      const message = await deliver(command({ action: 'ping' }));
+
+      assert.equal(message.encoding, undefined);
+    });
+
+    it('compresses files but not media that is compressed already', async () => {
+      await writeFile('a.txt', 'hello '.repeat(1000));
+      await writeFile('a.jpg', 'hello '.repeat(1000));
+
+      const text = await deliver(command({ action: 'download', fileName: 'a.txt', acceptEncoding: ['br'] }), 'file');
+      const photo = await deliver(command({ action: 'download', fileName: 'a.jpg', acceptEncoding: ['br'] }), 'file');
+
+      assert.equal(text.encoding, 'br');
+      assert.equal(Buffer.from(decodeMessage(text).body, 'base64').toString(), 'hello '.repeat(1000));
+      assert.equal(photo.encoding, 'identity');
+      assert.equal(photo.decodedSize, 6000);
+    });
+
+    it('runs compressed commands', async () => {
+      const data = Buffer.from('hello '.repeat(1000)).toString('base64');
+      const encoded = encodeMessage(command({ action: 'upload', fileName: 'a.txt', data, requestId: 'z2' }), 'br');
+
+      const response = JSON.parse((await deliver(encoded)).body);
+
+      assert.equal(encoded.encoding, 'br');
+      assert.equal(response.status, 'success');
+      assert.equal(await fs.readFile(path.join(storageDir, 'a.txt'), 'utf8'), 'hello '.repeat(1000));
+    });
+
+    it('answers commands that do not decompress', async () => {
+      const response = JSON.parse((await deliver({ type: 'text', requestId: 'z3', encoding: 'gzip', body: 'bm9wZQ==' })).body);
+
+      assert.equal(response.code, 'invalid-command');
+      assert.equal(response.requestId, 'z3');
+      assert.match(response.message, /^Command could not be decompressed/);
+    });
+  });
+
+  describe('history', () => {
+    const OTHER = '0x2222222222222222222222222222222222222222';
+
+    const changeDocs = async () => {
+      await sendCommand(transport, { action: 'mkdir', dirName: 'docs' });
+      await sendCommand(transport, { action: 'upload', path: 'docs', fileName: 'a.txt', data: Buffer.from('hello').toString('base64'), requestId: 'h1' });
+      await sendCommand(transport, { action: 'info', path: 'docs', fileName: 'a.txt' });
+      await sendCommand(transport, { action: 'rename', path: 'docs', oldName: 'a.txt', newName: 'b.txt' });
+      return sendCommand(transport, { action: 'delete', path: 'docs', fileName: 'b.txt' }, OTHER);
+    };
+
+    it('records every command that changes the storage', async () => {
+      const { trashId } = await changeDocs();
+
+      const response = await sendCommand(transport, { action: 'history' });
+      const [deleted, renamed, uploaded] = response.entries;
+
+      assert.deepEqual(response.entries.map((entry) => entry.action), ['delete', 'rename', 'upload', 'mkdir']);
+      assert.equal(response.truncated, false);
+      assert.deepEqual({ ...uploaded, time: undefined }, {
+        time: undefined,
+        senderId: SENDER,
+        deviceId: 'test-client',
+        requestId: 'h1',
+        action: 'upload',
+        paths: ['docs/a.txt'],
+        status: 'success',
+        bytes: 5
+      });
+      assert.ok(Date.now() - Date.parse(uploaded.time) < 5000);
+      assert.deepEqual(renamed.paths, ['docs/a.txt', 'docs/b.txt']);
+      assert.equal(deleted.senderId, OTHER);
+      assert.equal(deleted.trashId, trashId);
+    });
+
+    it('filters by path, operation, sender and time', async () => {
+      await changeDocs();
+      const history = async (filter) => (await sendCommand(transport, { action: 'history', ...filter })).entries;
+      const actions = (entries) => entries.map((entry) => entry.action);
+
+      assert.deepEqual(actions(await history({ path: 'docs/a.txt' })), ['rename', 'upload', 'mkdir']);
+      assert.deepEqual(actions(await history({ operation: 'upload' })), ['upload']);
+      assert.deepEqual(actions(await history({ sender: OTHER.toUpperCase().replace('0X', '0x') })), ['delete']);
+      assert.deepEqual(await history({ since: Date.now() + 60000 }), []);
+      assert.deepEqual(await history({ until: '2000-01-01T00:00:00Z' }), []);
+
+      const limited = await sendCommand(transport, { action: 'history', limit: 1 });
+      assert.deepEqual(actions(limited.entries), ['delete']);
+      assert.equal(limited.truncated, true);
+    });
+
+    it('records refused commands and only shows entries the sender may read', async () => {
+      await fs.writeFile(context.drive.config.aclFile, JSON.stringify({
+        users: { [SENDER]: { role: 'read-write', paths: ['public'] }, [OTHER]: { role: 'admin' } }
+      }));
+      await context.drive.accessControl.load();
+
+      await sendCommand(transport, { action: 'upload', path: 'private', fileName: 'a.txt', data: 'YQ==' }, OTHER);
+      const refused = await sendCommand(transport, { action: 'delete', path: 'private', fileName: 'a.txt' });
+      await sendCommand(transport, { action: 'upload', path: 'public', fileName: 'b.txt', data: 'Yg==' });
+
+      const own = await sendCommand(transport, { action: 'history' });
+      const all = await sendCommand(transport, { action: 'history' }, OTHER);
+
+      assert.equal(refused.code, 'forbidden');
+      assert.deepEqual(own.entries.map((entry) => entry.paths), [['public/b.txt']]);
+      assert.deepEqual(all.entries.map((entry) => [entry.action, entry.status, entry.code]), [
+        ['upload', 'success', undefined],
+        ['delete', 'error', 'forbidden'],
+        ['upload', 'success', undefined]
+      ]);
+    });
+  });
+
+  describe('access control', () => {
+    it('answers forbidden commands with an error', async () => {
+      await fs.writeFile(context.drive.config.aclFile, JSON.stringify({
+        users: { [SENDER]: { role: 'read-only' } }
+      }));
+      await context.drive.accessControl.load();
+
+      const response = await sendCommand(transport, { action: 'delete', fileName: 'a.txt', requestId: 'a1' });
+
+      assert.deepEqual(response, {
+        action: 'delete',
+        status: 'error',
+        code: 'forbidden',
+        message: 'Role read-only is not allowed to delete',
+        deviceId: 'test-drive',
+        requestId: 'a1'
+      });
+    });
+  });
+
+  describe('handleChunkUpdate', () => {
+    it('publishes upload-progress for chunked commands', () => {
+      transport.progress([
+        { messageId: 'm1', noOfChunks: 2, lastChunkId: 3, progress: '50.0', requestId: 'big-upload' }
+      ]);
+
+      assert.deepEqual(transport.responses(), [{
+        action: 'upload-progress',
+        status: 'info',
+        messageId: 'm1',
+        received: 2,
+        total: 4,
+        progress: 50,
+        complete: false,
+        deviceId: 'test-drive',
+        requestId: 'big-upload'
+      }]);
+    });
+
+    it('only reports every other chunk', () => {
+      transport.progress([
+        { messageId: 'm1', noOfChunks: 1, lastChunkId: 3, progress: '25.0' }
+      ]);
+
+      assert.deepEqual(transport.responses(), []);
+    });
+
+    it('leaves commands for other drives to them', () => {
+      transport.progress([
+        { messageId: 'm1', noOfChunks: 2, lastChunkId: 3, progress: '50.0', target: 'other-drive' }
+      ]);
+
+      assert.deepEqual(transport.responses(), []);
+    });
+  });
+
+  describe('cleanupTempFolder', () => {
+    it('removes temp files and stale upload sessions only', async () => {
+      await writeFile('temp/leftover.tmp', 'x');
+      await writeFile('temp/dir/nested.tmp', 'x');
+      const fresh = await sendCommand(transport, { action: 'upload-begin', fileName: 'a.txt', size: 1 });
+      const stale = await sendCommand(transport, { action: 'upload-begin', fileName: 'b.txt', size: 1 });
+
+      const uploadsDir = path.join(storageDir, 'temp', 'uploads');
+      const past = new Date(Date.now() - 2 * context.drive.config.uploadSessionTimeout);
+      for (const name of await fs.readdir(uploadsDir)) {
+        if (name.startsWith(stale.sessionId)) await fs.utimes(path.join(uploadsDir, name), past, past);
+      }
+
+      await context.drive.cleanupTempFolder();
+
+      assert.deepEqual(await fs.readdir(path.join(storageDir, 'temp')), ['uploads']);
+      assert.deepEqual((await fs.readdir(uploadsDir)).sort(), [`${fresh.sessionId}.json`, `${fresh.sessionId}.part`]);
+    });
+
+    it('leaves the temp files of running commands alone', async () => {
+      const tempPath = await context.drive.createTempFilePath();
+      await fs.writeFile(tempPath, 'in use');
+
+      await context.drive.cleanupTempFolder();
+      assert.equal(await fs.readFile(tempPath, 'utf8'), 'in use');
+
+      await context.drive.releaseTempPath(tempPath);
+      await assert.rejects(fs.access(tempPath));
+      assert.equal(context.drive.activeTempPaths.size, 0);
+    });
+
+    it('does nothing without a temp folder', async () => {
+      await context.drive.cleanupTempFolder();
+
+      await assert.rejects(fs.access(path.join(storageDir, 'temp')));
+    });
+  });
+});
@@ -0,0 +1,21 @@
+// test/upload-sessions.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { addRange } from '../upload-sessions.js';
+
+describe('addRange', () => {
+  it('keeps ranges sorted and merges touching ones', () => {
+    let ranges = [];
+    ranges = addRange(ranges, 10, 20);
+    ranges = addRange(ranges, 0, 5);
+    ranges = addRange(ranges, 30, 40);
+
+    assert.deepEqual(ranges, [[0, 5], [10, 20], [30, 40]]);
+    assert.deepEqual(addRange(ranges, 5, 10), [[0, 20], [30, 40]]);
+    assert.deepEqual(addRange(ranges, 3, 35), [[0, 40]]);
+  });
+
+  it('ignores parts that were already received', () => {
+    assert.deepEqual(addRange([[0, 100]], 20, 30), [[0, 100]]);
+  });
+});
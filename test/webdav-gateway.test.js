@@ -0,0 +1,190 @@
+// test/webdav-gateway.test.js
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import WebDavGateway from '../webdav-gateway.js';
+import { createTestDrive, sendCommand, silenceConsole } from './helpers.js';
+
+describe('WebDavGateway', () => {
+  let context;
+  let base;
+
+  before(() => {
+    silenceConsole();
+  });
+
+  beforeEach(async () => {
+    context = await createTestDrive({ gatewayPort: 0, gatewaySenderId: 'webdav', downloadSliceSize: 1024 });
+    base = `http://127.0.0.1:${context.drive.gateway.address().port}`;
+  });
+
+  afterEach(async () => {
+    await context.cleanup();
+  });
+
+  const request = (method, url, options = {}) => fetch(`${base}${url}`, { method, ...options });
+
+  it('stores and serves files', async () => {
+    const put = await request('PUT', '/docs/hello%20world.txt', { body: 'hello' });
+    const get = await request('GET', '/docs/hello%20world.txt');
+
+    assert.equal(put.status, 201);
+    assert.equal(get.status, 200);
+    assert.equal(get.headers.get('content-length'), '5');
+    assert.equal(await get.text(), 'hello');
+    assert.equal(await fs.readFile(path.join(context.storageDir, 'docs', 'hello world.txt'), 'utf8'), 'hello');
+  });
+
+  it('streams files with the download action', async () => {
+    const content = Buffer.alloc(5000, 'x');
+    await fs.writeFile(path.join(context.storageDir, 'big.bin'), content);
+    const before = context.drive.metrics.bytesOut;
+
+    const head = await request('HEAD', '/big.bin');
+    const get = await request('GET', '/big.bin');
+
+    assert.equal(head.headers.get('content-length'), '5000');
+    assert.equal(get.headers.get('content-length'), '5000');
+    assert.deepEqual(Buffer.from(await get.arrayBuffer()), content);
+    assert.ok(context.drive.metrics.bytesOut - before > content.length);
+  });
+
+  it('refuses to listen beyond the loopback interface without a password', async () => {
+    const open = new WebDavGateway({ drive: context.drive, port: 0, host: '0.0.0.0' });
+
+    await assert.rejects(open.start(), /A password is required to serve WebDAV on 0\.0\.0\.0/);
+    assert.equal(open.server, null);
+  });
+
+  it('streams uploads into the drive part by part', async () => {
+    context.drive.gateway.maxUploadSize = 10;
+    const content = Buffer.alloc(600 * 1024).map((_, i) => i % 251);
+    const chunked = (body) => new ReadableStream({
+      start(controller) {
+        controller.enqueue(body);
+        controller.close();
+      }
+    });
+
+    const put = await request('PUT', '/big.bin', { body: content });
+    const small = await request('PUT', '/small.txt', { body: chunked(Buffer.from('hello')), duplex: 'half' });
+    const large = await request('PUT', '/large.txt', { body: chunked(Buffer.from('hello world')), duplex: 'half' });
+
+    assert.deepEqual([put.status, small.status, large.status], [201, 201, 413]);
+    assert.deepEqual(await fs.readFile(path.join(context.storageDir, 'big.bin')), content);
+    assert.equal(await fs.readFile(path.join(context.storageDir, 'small.txt'), 'utf8'), 'hello');
+    assert.deepEqual(await fs.readdir(path.join(context.storageDir, 'temp', 'uploads')), []);
+  });
+
+  it('creates directories once and only inside existing ones', async () => {
+    const created = await request('MKCOL', '/photos');
+    const again = await request('MKCOL', '/photos');
+    const orphan = await request('MKCOL', '/a/b/c');
+    await request('PUT', '/file.txt', { body: 'x' });
+    const inFile = await request('MKCOL', '/file.txt/sub');
+
+    assert.deepEqual([created.status, again.status, orphan.status, inFile.status], [201, 405, 409, 409]);
+    assert.ok((await fs.stat(path.join(context.storageDir, 'photos'))).isDirectory());
+    await assert.rejects(fs.access(path.join(context.storageDir, 'a')));
+  });
+
+  it('asks to retry when the drive is busy', async () => {
+    context.drive.scheduler.maxQueued = 0;
+
+    const response = await request('PROPFIND', '/');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.headers.get('retry-after'), '1');
+    await response.text();
+  });
+
+  it('lists directories with PROPFIND', async () => {
+    await request('MKCOL', '/docs');
+    await request('MKCOL', '/docs/sub');
+    await request('PUT', '/docs/a&b.txt', { body: 'abc' });
+
+    const response = await request('PROPFIND', '/docs/', { headers: { Depth: '1' } });
+    const xml = await response.text();
+    const hrefs = [...xml.matchAll(/<D:href>([^<]*)<\/D:href>/g)].map((match) => match[1]);
+
+    assert.equal(response.status, 207);
+    assert.deepEqual(hrefs.sort(), ['/docs/', '/docs/a%26b.txt', '/docs/sub/']);
+    assert.match(xml, /<D:displayname>a&amp;b\.txt<\/D:displayname><D:resourcetype\/><D:getcontentlength>3<\/D:getcontentlength>/);
+    assert.match(xml, /<D:href>\/docs\/sub\/<\/D:href><D:propstat><D:prop><D:displayname>sub<\/D:displayname><D:resourcetype><D:collection\/>/);
+
+    const single = await (await request('PROPFIND', '/docs', { headers: { Depth: '0' } })).text();
+    assert.equal([...single.matchAll(/<D:response>/g)].length, 1);
+  });
+
+  it('renames and moves with MOVE', async () => {
+    await request('PUT', '/a.txt', { body: 'a' });
+    await request('PUT', '/b.txt', { body: 'b' });
+
+    const renamed = await request('MOVE', '/a.txt', { headers: { Destination: `${base}/c.txt` } });
+    const refused = await request('MOVE', '/b.txt', { headers: { Destination: `${base}/c.txt`, Overwrite: 'F' } });
+    const replaced = await request('MOVE', '/b.txt', { headers: { Destination: `${base}/c.txt` } });
+    await request('MKCOL', '/dir');
+    const moved = await request('MOVE', '/c.txt', { headers: { Destination: `${base}/dir/d.txt` } });
+
+    assert.deepEqual([renamed.status, refused.status, replaced.status, moved.status], [201, 412, 201, 201]);
+    assert.deepEqual((await fs.readdir(context.storageDir)).filter((name) => name.endsWith('.txt')), []);
+    assert.equal(await fs.readFile(path.join(context.storageDir, 'dir', 'd.txt'), 'utf8'), 'b');
+  });
+
+  it('moves deleted files to the trash', async () => {
+    await request('PUT', '/old.txt', { body: 'x' });
+
+    const deleted = await request('DELETE', '/old.txt');
+    const missing = await request('GET', '/old.txt');
+    const trash = await sendCommand(context.transport, { action: 'trash-list' });
+
+    assert.equal(deleted.status, 204);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(trash.items.map((item) => item.originalPath), ['old.txt']);
+  });
+
+  it('keeps requests inside the storage directory', async () => {
+    await fs.writeFile(path.join(context.rootDir, 'outside.txt'), 'secret');
+
+    const response = await request('GET', '/%2e%2e/outside.txt');
+    const encoded = await request('GET', '/..%2Foutside.txt');
+
+    assert.equal(response.status, 404);
+    assert.equal(encoded.status, 400);
+  });
+
+  it('acts as the gateway sender and records its commands', async () => {
+    await fs.writeFile(context.drive.config.aclFile, JSON.stringify({
+      users: { webdav: { role: 'read-only' } }
+    }));
+    await context.drive.accessControl.load();
+
+    const response = await request('PUT', '/a.txt', { body: 'a' });
+    const mkcol = await request('MKCOL', '/docs');
+    await context.drive.audit.flush();
+    const { entries } = await context.drive.audit.query({});
+
+    assert.equal(response.status, 403);
+    assert.match(await response.text(), /read-only is not allowed to upload/);
+    assert.equal(mkcol.status, 403);
+    assert.equal(entries[0].action, 'mkdir');
+    assert.equal(entries[0].senderId, 'webdav');
+    assert.match(entries[0].deviceId, /^http:/);
+  });
+
+  it('asks for a password when one is set', async () => {
+    context.drive.gateway.username = 'me';
+    context.drive.gateway.password = 'secret';
+
+    const anonymous = await request('PROPFIND', '/');
+    const wrong = await request('PROPFIND', '/', { headers: { Authorization: `Basic ${Buffer.from('me:nope').toString('base64')}` } });
+    const right = await request('PROPFIND', '/', { headers: { Authorization: `Basic ${Buffer.from('me:secret').toString('base64')}` } });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Basic realm="StreamrDrive"');
+    assert.equal(wrong.status, 401);
+    assert.equal(right.status, 207);
+    await right.text();
+  });
+});
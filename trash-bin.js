@@ -0,0 +1,137 @@
+// trash-bin.js
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { measureTree } from './file-operations.js';
+
+const ITEM_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const META_EXTENSION = '.json';
+
+// Holds deleted files and directories until they are restored or expire. Each item is
+// moved to <id> in the trash folder, next to an <id>.json recording where it came from.
+class TrashBin {
+  constructor(config) {
+    this.dir = config.dir;
+    this.retention = config.retention;
+  }
+
+  entryPath(id) {
+    return path.join(this.dir, id);
+  }
+
+  metaPath(id) {
+    return path.join(this.dir, `${id}${META_EXTENSION}`);
+  }
+
+  // Moves an entry into the trash. originalPath is relative to the storage directory.
+  async put(entryPath, { originalPath, deletedBy }) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const stats = await fs.lstat(entryPath);
+    const { bytes } = await measureTree(entryPath);
+    const item = {
+      id: randomUUID(),
+      name: path.posix.basename(originalPath),
+      originalPath,
+      isDirectory: stats.isDirectory(),
+      size: bytes,
+      deletedAt: Date.now(),
+      deletedBy
+    };
+
+    // Metadata first, so that an interrupted delete never leaves data nobody knows about
+    await this.save(item);
+    try {
+      await fs.rename(entryPath, this.entryPath(item.id));
+    } catch (error) {
+      await fs.rm(this.metaPath(item.id), { force: true });
+      throw error;
+    }
+
+    return item;
+  }
+
+  // Returns the items in the trash, most recently deleted first
+  async list() {
+    let names;
+
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const items = [];
+    for (const name of names) {
+      if (path.extname(name) !== META_EXTENSION) continue;
+
+      const item = await this.get(path.basename(name, META_EXTENSION));
+      if (item) items.push(item);
+    }
+
+    return items.sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  // Returns the item, or null if there is no such item or its data has gone missing
+  async get(id) {
+    if (typeof id !== 'string' || !ITEM_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    try {
+      const item = JSON.parse(await fs.readFile(this.metaPath(id), 'utf8'));
+      await fs.lstat(this.entryPath(id));
+      return item;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  expiresAt(item) {
+    return item.deletedAt + this.retention;
+  }
+
+  // Moves the item back to destinationPath, whose parent has to exist
+  async restore(item, destinationPath) {
+    await fs.rename(this.entryPath(item.id), destinationPath);
+    await fs.rm(this.metaPath(item.id), { force: true });
+  }
+
+  async remove(item) {
+    await fs.rm(this.entryPath(item.id), { recursive: true, force: true });
+    await fs.rm(this.metaPath(item.id), { force: true });
+  }
+
+  // Removes everything, including leftovers of interrupted deletes
+  async empty() {
+    const items = await this.list();
+    await fs.rm(this.dir, { recursive: true, force: true });
+    return items.length;
+  }
+
+  // Removes items that were deleted longer ago than the retention period
+  async removeExpired() {
+    const now = Date.now();
+    let removedCount = 0;
+
+    for (const item of await this.list()) {
+      if (this.expiresAt(item) > now) continue;
+
+      await this.remove(item);
+      removedCount++;
+    }
+
+    return removedCount;
+  }
+
+  async save(item) {
+    const metaPath = this.metaPath(item.id);
+    const tmpPath = `${metaPath}.${randomUUID()}.tmp`;
+
+    await fs.writeFile(tmpPath, JSON.stringify(item));
+    await fs.rename(tmpPath, metaPath);
+  }
+}
+
+export default TrashBin;
@@ -0,0 +1,182 @@
+// upload-sessions.js
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { hashFile } from './file-hash.js';
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const PART_EXTENSION = '.part';
+const META_EXTENSION = '.json';
+
+// Adds the half-open range [start, end) to a sorted list of ranges, merging neighbours
+export function addRange(ranges, start, end) {
+  const merged = [];
+  let inserted = [start, end];
+
+  for (const range of ranges) {
+    if (!inserted || range[1] < inserted[0]) {
+      merged.push(range);
+    } else if (range[0] > inserted[1]) {
+      merged.push(inserted, range);
+      inserted = null;
+    } else {
+      inserted = [Math.min(range[0], inserted[0]), Math.max(range[1], inserted[1])];
+    }
+  }
+
+  if (inserted) merged.push(inserted);
+  return merged;
+}
+
+// Keeps track of resumable uploads. Each session is staged as a .part file next to a
+// .json file holding its metadata, so sessions survive a restart of the drive.
+class UploadSessions {
+  constructor(config) {
+    this.dir = config.dir;
+    this.timeout = config.timeout;
+    this.sessions = new Map();
+  }
+
+  partPath(sessionId) {
+    return path.join(this.dir, `${sessionId}${PART_EXTENSION}`);
+  }
+
+  metaPath(sessionId) {
+    return path.join(this.dir, `${sessionId}${META_EXTENSION}`);
+  }
+
+  async create({ senderId, path: dirPath, fileName, size, hash, ifMatch, extract, onConflict }) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const session = {
+      sessionId: randomUUID(),
+      senderId,
+      path: dirPath || '',
+      fileName,
+      size,
+      hash: hash ? hash.toLowerCase() : undefined,
+      ifMatch,
+      extract,
+      onConflict,
+      ranges: [],
+      created: Date.now(),
+      updated: Date.now()
+    };
+
+    await fs.writeFile(this.partPath(session.sessionId), '');
+    await this.save(session);
+    this.sessions.set(session.sessionId, session);
+
+    return session;
+  }
+
+  // Returns the session if it exists and belongs to the sender, otherwise null
+  async get(sessionId, senderId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    let session = this.sessions.get(sessionId);
+
+    if (!session) {
+      try {
+        session = JSON.parse(await fs.readFile(this.metaPath(sessionId), 'utf8'));
+        this.sessions.set(sessionId, session);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return session.senderId === senderId ? session : null;
+  }
+
+  async append(session, offset, data) {
+    const handle = await fs.open(this.partPath(session.sessionId), 'r+');
+
+    try {
+      await handle.write(data, 0, data.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    if (data.length > 0) {
+      session.ranges = addRange(session.ranges, offset, offset + data.length);
+    }
+    session.updated = Date.now();
+    await this.save(session);
+  }
+
+  received(session) {
+    return session.ranges.reduce((total, [start, end]) => total + end - start, 0);
+  }
+
+  isComplete(session) {
+    return this.received(session) === session.size;
+  }
+
+  digest(session) {
+    return hashFile(this.partPath(session.sessionId));
+  }
+
+  // Moves the staged data to its destination. Both live under storageDir, so this is a rename.
+  async commit(session, filePath) {
+    await fs.rename(this.partPath(session.sessionId), filePath);
+    await this.remove(session);
+  }
+
+  async remove(session) {
+    this.sessions.delete(session.sessionId);
+    await fs.rm(this.partPath(session.sessionId), { force: true });
+    await fs.rm(this.metaPath(session.sessionId), { force: true });
+  }
+
+  // The number of sessions begun and not yet committed or aborted
+  async count() {
+    try {
+      const entries = await fs.readdir(this.dir);
+      return entries.filter((name) => path.extname(name) === META_EXTENSION).length;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  // Removes the files of sessions that have not been touched within the timeout
+  async removeStale() {
+    let entries;
+
+    try {
+      entries = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const now = Date.now();
+    let removedCount = 0;
+
+    for (const name of entries) {
+      const entryPath = path.join(this.dir, name);
+      const stats = await fs.stat(entryPath);
+
+      if (now - stats.mtimeMs <= this.timeout) continue;
+
+      await fs.rm(entryPath, { recursive: true, force: true });
+      this.sessions.delete(path.basename(name, path.extname(name)));
+      removedCount++;
+    }
+
+    return removedCount;
+  }
+
+  // Metadata is written to a side file and renamed so that a crash never leaves it half written
+  async save(session) {
+    const metaPath = this.metaPath(session.sessionId);
+    const tmpPath = `${metaPath}.${randomUUID()}.tmp`;
+
+    await fs.writeFile(tmpPath, JSON.stringify(session));
+    await fs.rename(tmpPath, metaPath);
+  }
+}
+
+export default UploadSessions;
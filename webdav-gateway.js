@@ -0,0 +1,428 @@
+// webdav-gateway.js
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+
+// Bytes of a PUT body sent to the drive per upload-append
+const PART_SIZE = 256 * 1024;
+
+const ALLOWED_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PUT', 'DELETE', 'MKCOL', 'COPY', 'MOVE', 'PROPFIND'];
+
+// HTTP status for the error codes of drive responses, 500 for any other
+const ERROR_STATUS = {
+  'not-found': 404,
+  forbidden: 403,
+  'already-exists': 412,
+  conflict: 412,
+  'checksum-mismatch': 412,
+  'invalid-path': 400,
+  'invalid-field': 400,
+  'missing-field': 400,
+  'too-large': 413,
+  'quota-exceeded': 507,
+  busy: 503
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Splits the path of a request URL into the drive's directory and name, '' for the root
+function parseTarget(url) {
+  let segments;
+
+  try {
+    segments = new URL(url, 'http://gateway').pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    throw new HttpError(400, 'Malformed path');
+  }
+
+  return {
+    path: segments.slice(0, -1).join('/'),
+    name: segments.length > 0 ? segments[segments.length - 1] : '',
+    segments
+  };
+}
+
+// The directory a target lies in, null for the root and its entries
+function parentOf(target) {
+  if (target.segments.length < 2) return null;
+
+  const segments = target.segments.slice(0, -1);
+  return { path: segments.slice(0, -1).join('/'), name: segments[segments.length - 1], segments };
+}
+
+const hrefOf = (segments, isDirectory) => {
+  const href = `/${segments.map(encodeURIComponent).join('/')}`;
+  return isDirectory && segments.length > 0 ? `${href}/` : href;
+};
+
+// One <D:response> of a PROPFIND answer
+function propfindEntry(segments, entry) {
+  const props = [
+    `<D:displayname>${escapeXml(segments.length > 0 ? segments[segments.length - 1] : '')}</D:displayname>`,
+    entry.isDirectory ? '<D:resourcetype><D:collection/></D:resourcetype>' : '<D:resourcetype/>'
+  ];
+  if (!entry.isDirectory) {
+    props.push(`<D:getcontentlength>${entry.size}</D:getcontentlength>`);
+    props.push('<D:getcontenttype>application/octet-stream</D:getcontenttype>');
+  }
+  if (entry.modified) props.push(`<D:getlastmodified>${new Date(entry.modified).toUTCString()}</D:getlastmodified>`);
+  if (entry.created) props.push(`<D:creationdate>${new Date(entry.created).toISOString()}</D:creationdate>`);
+  if (entry.hash) props.push(`<D:getetag>"${entry.hash}"</D:getetag>`);
+
+  return `<D:response><D:href>${escapeXml(hrefOf(segments, entry.isDirectory))}</D:href>` +
+    `<D:propstat><D:prop>${props.join('')}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`;
+}
+
+const isLoopback = (host) => host === 'localhost' || host === '::1' || /^127\./.test(host);
+
+// Writes a chunk and resolves once the response takes more, rejects if the client is gone
+function write(response, chunk) {
+  return new Promise((resolve, reject) => {
+    const closed = () => reject(new Error('Connection closed'));
+    if (response.destroyed) return closed();
+    if (response.write(chunk)) return resolve();
+
+    response.once('close', closed);
+    response.once('drain', () => {
+      response.off('close', closed);
+      resolve();
+    });
+  });
+}
+
+// Regroups the chunks of a stream into parts of partSize bytes, the last one may be shorter
+async function* partsOf(chunks, partSize) {
+  let pending = [];
+  let pendingSize = 0;
+
+  for await (const chunk of chunks) {
+    pending.push(chunk);
+    pendingSize += chunk.length;
+
+    while (pendingSize >= partSize) {
+      const joined = Buffer.concat(pending);
+      yield joined.subarray(0, partSize);
+      pending = [joined.subarray(partSize)];
+      pendingSize -= partSize;
+    }
+  }
+  if (pendingSize > 0) yield Buffer.concat(pending);
+}
+
+// Reads a request body of at most maxSize bytes
+function readBody(request, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= maxSize) chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (size > maxSize) return reject(new HttpError(413, `Uploads over HTTP without a Content-Length are limited to ${maxSize} bytes`));
+      resolve(Buffer.concat(chunks));
+    });
+    request.on('error', reject);
+  });
+}
+
+// Serves the drive's storage over HTTP with the WebDAV verbs file managers use to mount
+// it, without going through the Streamr network. Every request is carried out as the
+// command it corresponds to with StreamrDrive.runCommand, so paths are confined, checked
+// against the ACL, scheduled and recorded in the audit log just like commands from the
+// stream. Requests act as senderId; with a password set they need HTTP basic auth, which
+// is required to listen on anything but the loopback interface.
+class WebDavGateway {
+  constructor(config) {
+    this.drive = config.drive;
+    this.port = config.port;
+    this.host = config.host;
+    this.senderId = config.senderId;
+    this.username = config.username;
+    this.password = config.password;
+    this.maxUploadSize = config.maxUploadSize;
+    this.server = null;
+  }
+
+  start() {
+    if (!this.password && !isLoopback(this.host)) {
+      return Promise.reject(new Error(`A password is required to serve WebDAV on ${this.host}, set GATEWAY_PASSWORD or listen on 127.0.0.1`));
+    }
+
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this);
+      });
+    });
+  }
+
+  address() {
+    return this.server.address();
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.server.close(resolve);
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  async handleRequest(request, response) {
+    try {
+      if (!this.authenticate(request)) {
+        request.resume();
+        response.writeHead(401, { 'WWW-Authenticate': 'Basic realm="StreamrDrive"' });
+        return response.end();
+      }
+
+      const target = parseTarget(request.url);
+
+      switch (request.method) {
+        case 'OPTIONS':
+          request.resume();
+          response.writeHead(200, { DAV: '1', Allow: ALLOWED_METHODS.join(', '), 'MS-Author-Via': 'DAV' });
+          return response.end();
+        case 'GET':
+        case 'HEAD':
+          request.resume();
+          return await this.handleGet(request, response, target);
+        case 'PUT':
+          return await this.handlePut(request, response, target);
+        case 'DELETE':
+          request.resume();
+          return await this.handleDelete(request, response, target);
+        case 'MKCOL':
+          request.resume();
+          return await this.handleMkcol(request, response, target);
+        case 'COPY':
+        case 'MOVE':
+          request.resume();
+          return await this.handleTransfer(request, response, target);
+        case 'PROPFIND':
+          request.resume();
+          return await this.handlePropfind(request, response, target);
+        default:
+          request.resume();
+          response.writeHead(405, { Allow: ALLOWED_METHODS.join(', ') });
+          return response.end();
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) console.error('Error handling HTTP request:', error);
+      if (response.headersSent) return response.destroy();
+
+      const headers = { 'Content-Type': 'text/plain; charset=utf-8' };
+      if (error.retryAfter !== undefined) headers['Retry-After'] = Math.ceil(error.retryAfter / 1000);
+      response.writeHead(error instanceof HttpError ? error.status : 500, headers);
+      response.end(`${error.message}\n`);
+    }
+  }
+
+  authenticate(request) {
+    if (!this.password) return true;
+
+    const [scheme, encoded] = (request.headers.authorization || '').split(' ');
+    if (scheme !== 'Basic' || !encoded) return false;
+
+    const given = Buffer.from(Buffer.from(encoded, 'base64').toString('utf8'));
+    const expected = Buffer.from(`${this.username || ''}:${this.password}`);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  // Runs a command as the gateway's sender and throws an HttpError for error responses
+  async run(request, command, onMessage) {
+    const result = await this.drive.runCommand({
+      ...command,
+      senderId: this.senderId,
+      senderDevice: `http:${request.socket.remoteAddress}`
+    }, onMessage);
+
+    if (result.status === 'error') {
+      const error = new HttpError(ERROR_STATUS[result.code] || 500, result.message);
+      error.retryAfter = result.retryAfter;
+      throw error;
+    }
+    return result;
+  }
+
+  // Like the list action, with the entries of every batch
+  async list(request, target) {
+    const files = [];
+    const result = await this.run(request, { action: 'list', path: target.segments.join('/') }, (batch) => {
+      files.push(...batch.files);
+    });
+    return [...files, ...result.files];
+  }
+
+  // Like the info action, the root of the drive included
+  info(request, target) {
+    if (target.segments.length === 0) return { isDirectory: true };
+    return this.run(request, { action: 'info', path: target.path, fileName: target.name });
+  }
+
+  async handleGet(request, response, target) {
+    const info = await this.info(request, target);
+
+    if (info.isDirectory) {
+      const files = await this.list(request, target);
+      const body = files.map((file) => `${file.name}${file.isDirectory ? '/' : ''}\n`).join('');
+      response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+      return response.end(request.method === 'HEAD' ? undefined : body);
+    }
+
+    const headers = {
+      'Content-Type': 'application/octet-stream',
+      'Last-Modified': new Date(info.modified).toUTCString(),
+      ETag: `"${info.hash}"`
+    };
+    if (request.method === 'HEAD') {
+      response.writeHead(200, { ...headers, 'Content-Length': info.size });
+      return response.end();
+    }
+
+    // Streamed by the download action, which holds a read lock on the file until it is sent
+    await this.run(request, { action: 'download', path: target.path, fileName: target.name, stream: true }, (message) => {
+      if (message.type !== 'file') {
+        return response.writeHead(200, { ...headers, 'Content-Length': message.size });
+      }
+      return write(response, Buffer.from(message.body, 'base64'));
+    });
+    response.end();
+  }
+
+  // Streams the body into an upload session part by part. Bodies without a Content-Length
+  // are read first, up to maxUploadSize, as a session is begun with its size.
+  async handlePut(request, response, target) {
+    if (target.segments.length === 0) {
+      request.resume();
+      throw new HttpError(405, 'Cannot write to the root of the drive');
+    }
+
+    const length = request.headers['content-length'];
+    const buffered = length === undefined ? await readBody(request, this.maxUploadSize) : null;
+    let sessionId;
+
+    try {
+      ({ sessionId } = await this.run(request, {
+        action: 'upload-begin',
+        path: target.path,
+        fileName: target.name,
+        size: buffered ? buffered.length : Number(length)
+      }));
+
+      let offset = 0;
+      for await (const part of partsOf(buffered ? [buffered] : request, PART_SIZE)) {
+        await this.run(request, { action: 'upload-append', sessionId, offset, data: part.toString('base64') });
+        offset += part.length;
+      }
+      await this.run(request, { action: 'upload-commit', sessionId });
+    } catch (error) {
+      request.resume();
+      if (sessionId) await this.run(request, { action: 'upload-abort', sessionId }).catch(() => {});
+      throw error;
+    }
+
+    response.writeHead(201);
+    response.end();
+  }
+
+  async handleDelete(request, response, target) {
+    await this.run(request, { action: 'delete', path: target.path, fileName: target.name });
+
+    response.writeHead(204);
+    response.end();
+  }
+
+  async handleMkcol(request, response, target) {
+    if (target.segments.length === 0) throw new HttpError(405, 'The root of the drive exists');
+
+    // mkdir succeeds for directories that exist, WebDAV wants them refused
+    const existing = await this.info(request, target).catch((error) => {
+      if (error.status === 404) return null;
+      throw error;
+    });
+    if (existing) throw new HttpError(405, 'Already exists');
+
+    // Unlike mkdir, MKCOL does not create missing parents
+    const parent = parentOf(target);
+    const parentInfo = parent && await this.info(request, parent).catch((error) => {
+      if (error.status === 404) return null;
+      throw error;
+    });
+    if (parent && !(parentInfo && parentInfo.isDirectory)) {
+      throw new HttpError(409, 'The parent collection does not exist');
+    }
+
+    await this.run(request, { action: 'mkdir', path: target.path, dirName: target.name });
+
+    response.writeHead(201);
+    response.end();
+  }
+
+  // MOVE within a directory is a rename, anything else a move or copy. Destinations are
+  // replaced unless the Overwrite header is F.
+  async handleTransfer(request, response, target) {
+    if (!request.headers.destination) throw new HttpError(400, 'Missing Destination header');
+
+    const destination = parseTarget(request.headers.destination);
+    const onConflict = request.headers.overwrite === 'F' ? 'fail' : 'overwrite';
+    const transfer = {
+      action: request.method === 'MOVE' ? 'move' : 'copy',
+      path: target.path,
+      fileName: target.name,
+      destinationPath: destination.path,
+      destinationName: destination.name,
+      onConflict
+    };
+
+    if (request.method === 'MOVE' && destination.path === target.path) {
+      try {
+        await this.run(request, { action: 'rename', path: target.path, oldName: target.name, newName: destination.name });
+      } catch (error) {
+        if (error.status !== 412 || onConflict === 'fail') throw error;
+        await this.run(request, transfer);
+      }
+    } else {
+      await this.run(request, transfer);
+    }
+
+    response.writeHead(201);
+    response.end();
+  }
+
+  // Answers with the properties of the target and, unless Depth is 0, of its entries
+  async handlePropfind(request, response, target) {
+    const info = await this.info(request, target);
+    const entries = [propfindEntry(target.segments, info)];
+
+    if (info.isDirectory && request.headers.depth !== '0') {
+      for (const file of await this.list(request, target)) {
+        entries.push(propfindEntry([...target.segments, file.name], file));
+      }
+    }
+
+    const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:">${entries.join('')}</D:multistatus>\n`;
+    response.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    response.end(body);
+  }
+}
+
+export default WebDavGateway;